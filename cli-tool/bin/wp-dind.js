@@ -4,10 +4,26 @@ const { Command } = require('commander');
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs');
-const { execSync, spawn } = require('child_process');
+const { execSync, spawn, spawnSync } = require('child_process');
 const inquirer = require('inquirer');
 const ora = require('ora');
 const YAML = require('yaml');
+const { PORT_DEFINITIONS, DEFAULT_INSTANCE_PORT_RANGE, parseEnvFile, resolvePorts, resolveInstancePortRange, getServiceEndpoints, composePortVariable, defaultEnvLines } = require('../lib/ports');
+const { dockerOutput, getContainerIP, getContainerState, listInnerContainers, listInstances } = require('../lib/docker');
+const { isSupportedDumpFile, isGzipFile, dumpDatabase, restoreDatabase, waitForDatabase } = require('../lib/database');
+const { validateSnapshotLabel, loadSnapshots, archiveSite, createSnapshot, restoreSnapshot, deleteSnapshot } = require('../lib/snapshots');
+const { XDEBUG_MODES, DEFAULT_CLIENT_PORT, parseModes, getClientHost, enableXdebug, disableXdebug, getXdebugStatus } = require('../lib/xdebug');
+const { parseCidr, isPrivateSubnet, collectUsedSubnets, excludeOwnNetwork, findSubnetConflict, pickFreeSubnet } = require('../lib/network');
+const { runDoctor } = require('../lib/doctor');
+const { detectCompose } = require('../lib/compose');
+const { HOSTS_FILE, siteHostname, siteUrl, isHostnameUrl, buildHostsBlock, updateHostsFile } = require('../lib/hosts');
+const { CA_EXPORT_FILE, caCertPath, exportCaCert, trustCommands } = require('../lib/https');
+const { dindCheck, innerHealthCheck, httpCheck, waitForCheck } = require('../lib/readiness');
+const { LOG_SERVICES, parseSince, buildLogSources, collectLogs, followLogs } = require('../lib/logs');
+const { parsePortMapping, forwardRemotePort, describeForward, forwardAddress, findForwardConflict, isLocalPortFree, composeForwardLines } = require('../lib/forwards');
+const { listMessages, findMessage, extractLinks, htmlToText, deleteAllMessages, messageMatches } = require('../lib/mail');
+const { REDIS_HOST, REDIS_DATABASES, OBJECT_CACHE_PLUGIN, CACHE_CONSTANTS, redisCli, pickDatabase, cacheConstants, getServerStats, countKeys, flushDatabase, ensureGatewayBinding } = require('../lib/cache');
+const { parseList, buildCombinations, instanceNameFor, combinationLabel, outputTail, buildJUnitXml, buildGrid } = require('../lib/matrix');
 
 const program = new Command();
 
@@ -17,6 +33,35 @@ const packageJson = require('../package.json');
 // Configuration
 const CONFIG_FILE = path.join(process.env.HOME || process.env.USERPROFILE, '.wp-dind-config.json');
 
+// Network used by workspaces initialized before per-workspace networks existed
+const LEGACY_NETWORK = { name: 'wp-dind', subnet: '172.19.0.0/16' };
+
+// Supported stack choices (first entry is the default)
+const WORKSPACE_TYPES = ['workspace', 'multi-instance'];
+const WEBSERVERS = ['nginx', 'apache'];
+const PHP_VERSIONS = ['8.3', '8.2', '8.1', '8.0', '7.4'];
+const MYSQL_VERSIONS = ['8.0', '5.7', '5.6'];
+const CLONE_STRATEGIES = ['symlink', 'copy-all', 'copy-files'];
+const INSTANCE_SERVICES = ['php', 'mysql', 'nginx', 'apache'];
+
+// Paths "destroy" may remove: only what init and later commands create in a workspace.
+// WORKSPACE_DATA_PATHS are kept with --keep-data; wp-dind-workspace.json goes last.
+const WORKSPACE_DATA_PATHS = ['data', 'wordpress-instances', 'snapshots', 'wp-dind-snapshots.json', 'backups'];
+const WORKSPACE_PATHS = [...WORKSPACE_DATA_PATHS, 'logs', 'shared-images', 'docker-compose.yml', '.env', 'README.md', CA_EXPORT_FILE, 'wp-dind-workspace.json'];
+const README_TITLE = '# WordPress Docker-in-Docker Environment';
+
+// Optional services run by supervisord inside the DinD container (key => label)
+const OPTIONAL_SERVICES = {
+    phpmyadmin: 'phpMyAdmin',
+    mailhog: 'MailHog (MailCatcher)',
+    redis: 'Redis',
+    redisCommander: 'Redis Commander',
+    proxy: 'Hostname proxy (<instance>.<workspace>.localhost)'
+};
+
+// Optional services that stay off unless stack.services turns them on
+const OPT_IN_SERVICES = ['proxy'];
+
 // Helper functions
 function loadConfig() {
     if (fs.existsSync(CONFIG_FILE)) {
@@ -32,6 +77,59 @@ function saveConfig(config) {
     fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
 }
 
+// Registered workspaces as [{ name, directory, created }] (from init's instances map)
+function listRegisteredWorkspaces(config = loadConfig()) {
+    return Object.entries(config.instances || {}).map(([directory, entry]) => ({
+        name: entry.workspaceName,
+        directory,
+        created: entry.created
+    }));
+}
+
+// Directory of a registered workspace by name (exits if unknown or ambiguous)
+function findWorkspaceDir(name) {
+    const matches = listRegisteredWorkspaces().filter(workspace => workspace.name === name);
+    if (matches.length === 0) {
+        console.error(chalk.red(`Unknown workspace: ${name}`));
+        console.log(chalk.yellow('Run "wp-dind workspaces list" to see registered workspaces.'));
+        process.exit(1);
+    }
+    if (matches.length > 1) {
+        console.error(chalk.red(`Workspace name "${name}" is registered for several directories:`));
+        matches.forEach(workspace => console.log(chalk.gray(`  ${workspace.directory}`)));
+        console.log(chalk.yellow('Use -d <directory> instead, or "wp-dind workspaces prune" if some are gone.'));
+        process.exit(1);
+    }
+    return matches[0].directory;
+}
+
+// Workspace directory for a command: -d, then the global --workspace, then the current
+// directory if it is a workspace, then the current workspace set by "workspaces switch"
+function resolveTargetDir(options) {
+    const workspaceName = program.opts().workspace;
+    if (options.dir && workspaceName) {
+        console.error(chalk.red('Use either -d/--dir or --workspace, not both.'));
+        process.exit(1);
+    }
+    if (options.dir) {
+        return path.resolve(options.dir);
+    }
+    if (workspaceName) {
+        return findWorkspaceDir(workspaceName);
+    }
+
+    const cwd = process.cwd();
+    if (loadWorkspaceConfig(cwd)) {
+        return cwd;
+    }
+
+    const current = loadConfig().currentWorkspace;
+    if (current && fs.existsSync(current)) {
+        return current;
+    }
+    return cwd;
+}
+
 function execCommand(command, options = {}) {
     try {
         return execSync(command, {
@@ -59,15 +157,41 @@ function checkDocker() {
     }
 }
 
+// Compose command line ("docker compose" or "docker-compose"), detected once per run (see lib/compose.js).
+// WP_DIND_COMPOSE or composeCommand in ~/.wp-dind-config.json override the detection.
+let composeCommand;
+function getComposeOverride() {
+    return process.env.WP_DIND_COMPOSE || loadConfig().composeCommand;
+}
+
+function findComposeCommand() {
+    if (composeCommand === undefined) {
+        const found = detectCompose(getComposeOverride());
+        composeCommand = found ? found.command.join(' ') : null;
+    }
+    return composeCommand;
+}
+
 function checkDockerCompose() {
     try {
-        execSync('docker-compose --version', { stdio: 'pipe' });
-        return true;
+        if (findComposeCommand()) {
+            return true;
+        }
+        console.error(chalk.red('Docker Compose is not installed.'));
+        console.error(chalk.yellow('Please install the Docker Compose plugin (docker compose) or docker-compose'));
     } catch (error) {
-        console.error(chalk.red('docker-compose is not installed.'));
-        console.error(chalk.yellow('Please install docker-compose'));
-        return false;
+        console.error(chalk.red(error.message));
+        console.error(chalk.yellow(`Check WP_DIND_COMPOSE or composeCommand in ${CONFIG_FILE} (v2, v1, or a command such as "docker compose")`));
     }
+    return false;
+}
+
+// Compose command line for execCommand, e.g. compose('up -d'); exits if Docker Compose is missing
+function compose(args) {
+    if (!checkDockerCompose()) {
+        process.exit(1);
+    }
+    return `${findComposeCommand()} ${args}`;
 }
 
 function loadWorkspaceConfig(targetDir) {
@@ -83,6 +207,506 @@ function saveWorkspaceConfig(targetDir, config) {
     fs.writeFileSync(workspaceFile, JSON.stringify(config, null, 2));
 }
 
+// Services toggled in stack.services; workspaces created before the toggles existed run everything
+// but the opt-in services
+function getEnabledServices(workspaceConfig) {
+    const configured = (workspaceConfig && workspaceConfig.stack && workspaceConfig.stack.services) || {};
+    const services = {};
+    for (const key of Object.keys(OPTIONAL_SERVICES)) {
+        services[key] = OPT_IN_SERVICES.includes(key) ? configured[key] === true : configured[key] !== false;
+    }
+    return services;
+}
+
+// Resolve service ports from the workspace .env (see lib/ports.js)
+function loadPorts(targetDir) {
+    try {
+        return resolvePorts(targetDir);
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+    }
+}
+
+function loadInstancePortRange(targetDir, workspaceConfig) {
+    try {
+        return resolveInstancePortRange(targetDir, workspaceConfig);
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+    }
+}
+
+// README.md is only ours if init wrote it (a project may have its own)
+function isGeneratedReadme(targetDir) {
+    const readme = path.join(targetDir, 'README.md');
+    return fs.existsSync(readme) && fs.readFileSync(readme, 'utf8').startsWith(README_TITLE);
+}
+
+// URL of a site through the hostname proxy (null when the proxy is disabled), https once
+// "wp-dind https enable" has run; without an instance name, the workspace-mode site
+function getSiteUrl(workspaceConfig, workspaceName, ports, instanceName) {
+    if (!getEnabledServices(workspaceConfig).proxy) {
+        return null;
+    }
+    return proxyUrl(workspaceConfig, ports, siteHostname(workspaceName, instanceName));
+}
+
+function proxyUrl(workspaceConfig, ports, hostname) {
+    const https = Boolean(workspaceConfig && workspaceConfig.https);
+    return siteUrl(hostname, https ? ports.proxyHttps : ports.proxy, https);
+}
+
+// Whether the proxy port (https or http) is forwarded to the host's 127.0.0.1 with its own number,
+// where browsers send *.localhost names without a hosts entry ("wp-dind forward --port 80:proxy")
+function isProxyOnLoopback(workspaceConfig, ports, https = Boolean(workspaceConfig && workspaceConfig.https)) {
+    const key = https ? 'proxyHttps' : 'proxy';
+    return getEnabledServices(workspaceConfig).proxy
+        && (workspaceConfig.forwards || []).some(forward => forward.service === key && forward.local === ports[key]);
+}
+
+function getContainerName(targetDir, workspaceConfig) {
+    return workspaceConfig ? `wp-dind-${workspaceConfig.workspaceName}` : `wp-dind-${path.basename(targetDir)}`;
+}
+
+function printJson(data) {
+    console.log(JSON.stringify(data, null, 2));
+}
+
+// Structured description of a workspace (used by the --json outputs)
+function buildWorkspaceReport(targetDir, workspaceConfig) {
+    const containerName = getContainerName(targetDir, workspaceConfig);
+    const container = getContainerState(containerName);
+    const running = Boolean(container && container.state === 'running');
+    const dindIP = running ? getContainerIP(containerName) : null;
+    const ports = loadPorts(targetDir);
+    const workspaceType = workspaceConfig ? workspaceConfig.workspaceType : 'multi-instance';
+
+    const report = {
+        workspace: workspaceConfig ? workspaceConfig.workspaceName : path.basename(targetDir),
+        type: workspaceType,
+        directory: targetDir,
+        network: (workspaceConfig && workspaceConfig.network) || LEGACY_NETWORK,
+        container,
+        running,
+        dindIP,
+        services: getServiceEndpoints(ports, dindIP || '<dind-ip>', getEnabledServices(workspaceConfig)),
+        mysql: {
+            host: dindIP,
+            port: ports.mysql,
+            database: 'wordpress',
+            username: 'wordpress',
+            password: 'wordpress'
+        },
+        wordpress: null,
+        instances: [],
+        forwards: ((workspaceConfig && workspaceConfig.forwards) || []).map(forward => ({
+            ...forward,
+            address: forwardAddress(forward),
+            target: describeForward(forward),
+            remotePort: forwardRemotePort(forward, ports)
+        }))
+    };
+
+    // url is the hostname proxy URL when the proxy is enabled, directUrl always DinD IP + port;
+    // directHttpsUrl is set while HTTPS is enabled ("wp-dind https enable")
+    const https = Boolean(workspaceConfig && workspaceConfig.https);
+    if (workspaceType === 'workspace') {
+        const directUrl = `http://${dindIP || '<dind-ip>'}:${ports.wordpress}`;
+        report.wordpress = {
+            port: ports.wordpress,
+            url: getSiteUrl(workspaceConfig, report.workspace, ports) || directUrl,
+            directUrl,
+            directHttpsUrl: https ? `https://${dindIP || '<dind-ip>'}:${ports.wordpressHttps}` : null,
+            stack: workspaceConfig.workspaceStack
+        };
+    } else {
+        report.instancePortRange = loadInstancePortRange(targetDir, workspaceConfig);
+    }
+
+    if (workspaceType !== 'workspace' && running) {
+        report.instances = (listInstances(containerName) || []).map(instance => {
+            const directUrl = instance.port ? `http://${dindIP}:${instance.port}` : null;
+            return {
+                ...instance,
+                url: (directUrl && getSiteUrl(workspaceConfig, report.workspace, ports, instance.name)) || directUrl,
+                directUrl,
+                directHttpsUrl: https && instance.httpsPort ? `https://${dindIP}:${instance.httpsPort}` : null
+            };
+        });
+    }
+
+    return report;
+}
+
+// Wait for everything "start" brings up: the DinD container, then the workspace database and
+// the web endpoints (the WordPress site or each running instance, and the enabled web services),
+// each with its own spinner. Returns the names of the checks that did not come up in time.
+async function waitForEnvironment(targetDir, workspaceConfig, containerName, timeout) {
+    const deadline = Date.now() + (timeout * 1000);
+    const notReady = [];
+
+    const run = async (check) => {
+        const spinner = ora(`${check.name}...`).start();
+        const state = await waitForCheck(check, deadline, detail => {
+            spinner.text = `${check.name} (${detail})...`;
+        });
+        if (state.ready) {
+            spinner.succeed(`${check.name} (${state.detail})`);
+        } else {
+            spinner.fail(`${check.name}: ${state.detail}`);
+            notReady.push(check.name);
+        }
+    };
+
+    await run(dindCheck(containerName));
+    if (notReady.length > 0) {
+        // Nothing inside DinD can come up without it
+        return notReady;
+    }
+
+    const ports = loadPorts(targetDir);
+    const checks = [];
+    if (workspaceConfig && workspaceConfig.workspaceType === 'workspace') {
+        checks.push(innerHealthCheck(containerName, 'workspace-mysql', 'MySQL (workspace-mysql)'));
+        checks.push(httpCheck(containerName, 'WordPress', ports.wordpress));
+    } else {
+        (listInstances(containerName) || [])
+            .filter(instance => instance.port && instance.status !== 'stopped')
+            .forEach(instance => checks.push(httpCheck(containerName, `Instance ${instance.name}`, instance.port)));
+    }
+    getServiceEndpoints(ports, '127.0.0.1', getEnabledServices(workspaceConfig))
+        .filter(endpoint => endpoint.url.startsWith('http://'))
+        .forEach(endpoint => checks.push(httpCheck(containerName, endpoint.label, endpoint.port)));
+
+    for (const check of checks) {
+        await run(check);
+    }
+    return notReady;
+}
+
+// Subnets of the other registered workspaces; they count as taken even while they are stopped
+function registeredWorkspaceSubnets(targetDir) {
+    const config = loadConfig();
+    return Object.keys(config.instances || {})
+        .filter(dir => dir !== targetDir)
+        .map(dir => ({ dir, workspace: loadWorkspaceConfig(dir) }))
+        .filter(entry => entry.workspace && entry.workspace.network && entry.workspace.network.subnet)
+        .map(entry => ({ source: `workspace ${entry.workspace.workspaceName} (${entry.dir})`, subnet: entry.workspace.network.subnet }));
+}
+
+// Forwards of the other registered workspaces; their local ports count as taken even while they are stopped
+function registeredWorkspaceForwards(targetDir) {
+    const config = loadConfig();
+    return Object.keys(config.instances || {})
+        .filter(dir => dir !== targetDir)
+        .map(dir => ({ dir, workspace: loadWorkspaceConfig(dir) }))
+        .filter(entry => entry.workspace && entry.workspace.forwards)
+        .map(entry => ({ source: `workspace ${entry.workspace.workspaceName} (${entry.dir})`, forwards: entry.workspace.forwards }));
+}
+
+// Choose the outer DinD network for a workspace: an explicit --subnet (checked for
+// collisions), the subnet from a previous init if still free, or the first free /24
+function chooseWorkspaceNetwork(targetDir, workspaceName, requestedSubnet) {
+    const networkName = `wp-dind-${workspaceName}`;
+
+    const usedSubnets = excludeOwnNetwork(collectUsedSubnets(registeredWorkspaceSubnets(targetDir)), networkName);
+
+    if (requestedSubnet) {
+        const parsed = parseCidr(requestedSubnet);
+        if (!parsed) {
+            throw new Error(`Invalid subnet: ${requestedSubnet} (expected CIDR notation, e.g. 172.19.5.0/24)`);
+        }
+        if (!isPrivateSubnet(requestedSubnet)) {
+            throw new Error(`Subnet ${requestedSubnet} is not inside a private range (10.0.0.0/8, 172.16.0.0/12, 192.168.0.0/16)`);
+        }
+        if (parsed.prefix > 28) {
+            throw new Error(`Subnet ${requestedSubnet} is too small, use /28 or larger`);
+        }
+        const conflict = findSubnetConflict(requestedSubnet, usedSubnets);
+        if (conflict) {
+            throw new Error(`Subnet ${requestedSubnet} overlaps ${conflict.subnet} (${conflict.source})`);
+        }
+        return { name: networkName, subnet: requestedSubnet };
+    }
+
+    const previous = loadWorkspaceConfig(targetDir);
+    if (previous && previous.network && previous.network.subnet && !findSubnetConflict(previous.network.subnet, usedSubnets)) {
+        return { name: networkName, subnet: previous.network.subnet };
+    }
+
+    const subnet = pickFreeSubnet(usedSubnets);
+    if (!subnet) {
+        throw new Error('No free private subnet found, pass one explicitly with --subnet');
+    }
+    return { name: networkName, subnet };
+}
+
+// Problems in a loaded wp-dind-workspace.json that would break start or the stack commands
+function validateWorkspaceConfig(targetDir, workspaceConfig) {
+    const problems = [];
+    const nameCheck = validateWorkspaceName(workspaceConfig.workspaceName);
+    if (nameCheck !== true) {
+        problems.push(`workspaceName: ${nameCheck}`);
+    }
+    if (!WORKSPACE_TYPES.includes(workspaceConfig.workspaceType)) {
+        problems.push(`workspaceType must be one of ${WORKSPACE_TYPES.join(', ')}`);
+    }
+    if (workspaceConfig.workspaceType === 'workspace') {
+        const stack = workspaceConfig.workspaceStack || {};
+        const choices = getStackChoices(workspaceConfig);
+        [
+            validateChoice('workspaceStack.phpVersion', normalizeVersion(stack.phpVersion), choices.phpVersions),
+            validateChoice('workspaceStack.mysqlVersion', normalizeVersion(stack.mysqlVersion), choices.mysqlVersions),
+            validateChoice('workspaceStack.webserver', stack.webserver, choices.webservers)
+        ].filter(check => check !== true).forEach(check => problems.push(check));
+    }
+    if (workspaceConfig.network && !parseCidr(workspaceConfig.network.subnet || '')) {
+        problems.push(`network.subnet is not a valid CIDR: ${workspaceConfig.network.subnet}`);
+    }
+    if (!fs.existsSync(path.join(targetDir, 'docker-compose.yml'))) {
+        problems.push('docker-compose.yml is missing');
+    }
+    return problems;
+}
+
+function validateInstanceName(input) {
+    if (!input || input.trim() === '') {
+        return 'Instance name cannot be empty';
+    }
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(input)) {
+        return 'Instance name can only contain lowercase letters, numbers, hyphens, and underscores';
+    }
+    return true;
+}
+
+// Validate an optional flag value against the allowed choices (undefined passes)
+function validateChoice(label, value, choices) {
+    if (value === undefined || choices.includes(value)) {
+        return true;
+    }
+    return `Invalid ${label}: ${value} (available: ${choices.join(', ')})`;
+}
+
+// Print a validation message and exit unless it is `true`
+function exitOnInvalid(result) {
+    if (result !== true) {
+        console.error(chalk.red(result));
+        process.exit(1);
+    }
+}
+
+function pickDefault(choices, preferred) {
+    return choices.includes(preferred) ? preferred : choices[0];
+}
+
+// Versions and web servers this workspace supports (workspaceConfig.stack), newest first
+function getStackChoices(workspaceConfig) {
+    const stack = (workspaceConfig && workspaceConfig.stack) || {};
+    const byVersionDesc = (a, b) => parseFloat(b) - parseFloat(a);
+    return {
+        phpVersions: stack.phpVersions ? stack.phpVersions.map(normalizeVersion).sort(byVersionDesc) : PHP_VERSIONS,
+        mysqlVersions: stack.mysqlVersions ? stack.mysqlVersions.map(normalizeVersion).sort(byVersionDesc) : MYSQL_VERSIONS,
+        webservers: stack.webservers || WEBSERVERS
+    };
+}
+
+// Instance commands need an initialized, running multi-instance workspace
+function requireInstanceWorkspace(targetDir) {
+    const workspaceConfig = loadWorkspaceConfig(targetDir);
+    if (!workspaceConfig) {
+        console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+        console.log(chalk.yellow('Run "wp-dind init" first.'));
+        process.exit(1);
+    }
+    if (workspaceConfig.workspaceType !== 'multi-instance') {
+        console.error(chalk.red('Instances are only available in multi-instance mode.'));
+        console.log(chalk.yellow('For workspace mode, use: wp-dind install-wordpress'));
+        process.exit(1);
+    }
+
+    const containerName = getContainerName(targetDir, workspaceConfig);
+    const dind = getContainerState(containerName);
+    if (!dind || dind.state !== 'running') {
+        console.error(chalk.red('DinD container is not running. Run "wp-dind start" first.'));
+        process.exit(1);
+    }
+    return { workspaceConfig, containerName };
+}
+
+// Use the given instance name, or let the user pick one of the existing instances
+async function promptInstanceName(containerName, name, message) {
+    if (name !== undefined) {
+        return name;
+    }
+
+    const instances = listInstances(containerName) || [];
+    if (instances.length === 0) {
+        console.error(chalk.red('No instances found. Create one with: wp-dind instance create <name>'));
+        process.exit(1);
+    }
+
+    const answers = await inquirer.prompt([{
+        type: 'list',
+        name: 'name',
+        message,
+        choices: instances.map(instance => ({ name: `${instance.name} (${instance.status})`, value: instance.name }))
+    }]);
+    return answers.name;
+}
+
+// The WordPress site a command acts on: the workspace site, or an instance in multi-instance
+// mode (--instance, or the only instance). Never prompts, since output is often piped.
+function resolveSite(targetDir, instanceName) {
+    const workspaceConfig = loadWorkspaceConfig(targetDir);
+    if (!workspaceConfig) {
+        console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+        console.log(chalk.yellow('Run "wp-dind init" first.'));
+        process.exit(1);
+    }
+
+    const containerName = getContainerName(targetDir, workspaceConfig);
+    const dind = getContainerState(containerName);
+    if (!dind || dind.state !== 'running') {
+        console.error(chalk.red('DinD container is not running. Run "wp-dind start" first.'));
+        process.exit(1);
+    }
+
+    if (workspaceConfig.workspaceType === 'workspace') {
+        if (instanceName) {
+            console.error(chalk.red('--instance is only available in multi-instance mode.'));
+            process.exit(1);
+        }
+        return buildSite(workspaceConfig, containerName, null);
+    }
+
+    if (!instanceName) {
+        const instances = listInstances(containerName) || [];
+        if (instances.length !== 1) {
+            console.error(chalk.red('Specify the instance with --instance <name>.'));
+            if (instances.length > 0) {
+                console.log(chalk.yellow(`Instances: ${instances.map(instance => instance.name).join(', ')}`));
+            }
+            process.exit(1);
+        }
+        instanceName = instances[0].name;
+    }
+    return buildSite(workspaceConfig, containerName, instanceName);
+}
+
+// Containers and paths (inside DinD) of the workspace site, or of an instance
+function buildSite(workspaceConfig, containerName, instanceName) {
+    if (!instanceName) {
+        return {
+            name: workspaceConfig.workspaceName,
+            instance: null,
+            containerName,
+            appContainers: ['workspace-php', 'workspace-nginx', 'workspace-apache'],
+            phpContainer: 'workspace-php',
+            mysqlContainer: 'workspace-mysql',
+            wordpressPath: '/var/www/html'
+        };
+    }
+    return {
+        name: instanceName,
+        instance: instanceName,
+        containerName,
+        appContainers: [`${instanceName}-php`, `${instanceName}-nginx`, `${instanceName}-apache`],
+        phpContainer: `${instanceName}-php`,
+        mysqlContainer: `${instanceName}-mysql`,
+        wordpressPath: `/wordpress-instances/${instanceName}/data/wordpress`
+    };
+}
+
+// Run WP-CLI for a site as the host user (PUID/PGID from .env) instead of --allow-root,
+// so files it writes stay editable. Returns WP-CLI's exit code.
+function runWpCli(targetDir, site, args) {
+    if (!ensureWpCli(site.containerName, site.phpContainer)) {
+        console.error(chalk.red(`Could not find or install WP-CLI in ${site.phpContainer}. Is it running?`));
+        return 1;
+    }
+
+    const envVars = parseEnvFile(targetDir);
+    const user = `${envVars.PUID || 1000}:${envVars.PGID || 1000}`;
+
+    // -t only with a terminal on both ends, so piping the output works
+    const ttyFlags = process.stdin.isTTY && process.stdout.isTTY ? ['-it'] : ['-i'];
+    const result = spawnSync('docker', [
+        'exec', ...ttyFlags, site.containerName,
+        'docker', 'exec', ...ttyFlags, '-u', user, '-e', 'HOME=/tmp', '-w', '/var/www/html', site.phpContainer,
+        'php', '-d', 'memory_limit=512M', '/usr/local/bin/wp',
+        ...(args.some(arg => arg.startsWith('--path=')) ? [] : ['--path=/var/www/html']),
+        ...args
+    ], { stdio: 'inherit' });
+
+    if (result.error) {
+        console.error(chalk.red(`Failed to run WP-CLI: ${result.error.message}`));
+        return 1;
+    }
+    return result.status === null ? 1 : result.status;
+}
+
+// Make sure WP-CLI exists in a PHP container inside DinD, copying it from the DinD image if needed
+function ensureWpCli(containerName, phpContainer) {
+    if (dockerOutput(`exec ${containerName} docker exec ${phpContainer} test -x /usr/local/bin/wp`) !== null) {
+        return true;
+    }
+    return dockerOutput(`exec ${containerName} docker cp /usr/local/bin/wp ${phpContainer}:/usr/local/bin/wp`) !== null
+        && dockerOutput(`exec ${containerName} docker exec ${phpContainer} chmod 755 /usr/local/bin/wp`) !== null;
+}
+
+// Run instance-manager.sh inside DinD and exit with its exit code
+function runInstanceManager(containerName, args) {
+    const result = spawnSync('docker', ['exec', containerName, '/app/instance-manager.sh', ...args], { stdio: 'inherit' });
+    if (result.error) {
+        console.error(chalk.red(`Failed to run instance-manager.sh: ${result.error.message}`));
+        process.exit(1);
+    }
+    process.exit(result.status === null ? 1 : result.status);
+}
+
+function validateWorkspaceName(input) {
+    if (!input || input.trim() === '') {
+        return 'Workspace name cannot be empty';
+    }
+    if (!/^[a-zA-Z0-9_-]+$/.test(input)) {
+        return 'Workspace name can only contain letters, numbers, hyphens, and underscores';
+    }
+    return true;
+}
+
+// YAML/JSON numbers lose their trailing ".0" (8.0 -> 8), so put it back
+function normalizeVersion(version) {
+    if (version === undefined || version === null) {
+        return undefined;
+    }
+    const value = String(version);
+    if (/^\d\d$/.test(value)) {
+        return `${value[0]}.${value[1]}`;  // instance-manager.sh style codes, e.g. 83
+    }
+    return /^\d+$/.test(value) ? `${value}.0` : value;
+}
+
+// Load an init preset (same shape as wp-dind-workspace.json) from a YAML or JSON file
+function loadInitPreset(file) {
+    const presetPath = path.resolve(file);
+    if (!fs.existsSync(presetPath)) {
+        console.error(chalk.red(`Preset file not found: ${presetPath}`));
+        process.exit(1);
+    }
+
+    try {
+        const content = fs.readFileSync(presetPath, 'utf8');
+        const preset = path.extname(presetPath).toLowerCase() === '.json'
+            ? JSON.parse(content)
+            : YAML.parse(content);
+        return preset || {};
+    } catch (error) {
+        console.error(chalk.red(`Invalid preset file ${presetPath}: ${error.message}`));
+        process.exit(1);
+    }
+}
+
 function generateDockerCompose(targetDir, config = {}) {
     const containerName = config.workspaceName ? `wp-dind-${config.workspaceName}` : `wp-dind-${path.basename(targetDir)}`;
 
@@ -92,16 +716,27 @@ function generateDockerCompose(targetDir, config = {}) {
         workspacePort = '      - "${WORDPRESS_PORT:-8000}:80"\n';
     }
 
-    // Add instance ports range for multi-instance mode
-    let instancePorts = '';
-    if (config.workspaceType === 'multi-instance') {
-        instancePorts = '      - "8001-8020:8001-8020"\n';
-    }
+    const network = config.network || LEGACY_NETWORK;
 
-    // Generate YAML manually to properly handle environment variable substitution
-    const composeYaml = `version: '3.8'
+    // Instance port range (multi-instance mode), overridable from .env
+    const portRange = config.instancePortRange || DEFAULT_INSTANCE_PORT_RANGE;
+    const rangeStart = `\${WP_INSTANCE_PORT_RANGE_START:-${portRange.start}}`;
+    const rangeEnd = `\${WP_INSTANCE_PORT_RANGE_END:-${portRange.end}}`;
+
+    // Service ports follow .env through compose interpolation (defaults from lib/ports.js)
+    const portEnvironment = PORT_DEFINITIONS
+        .map(definition => `      ${definition.env}: "${composePortVariable(definition)}"\n`)
+        .join('');
+    const portExpose = PORT_DEFINITIONS
+        .map(definition => `      - "${composePortVariable(definition)}"\n`)
+        .join('');
 
-services:
+    // Opt-in forwards ("wp-dind forward") are the only ports published on the host
+    const forwards = config.forwards || [];
+    const portForwards = forwards.length > 0 ? `    ports:\n${composeForwardLines(forwards)}` : '';
+
+    // Generate YAML manually to properly handle environment variable substitution
+    const composeYaml = `services:
   wordpress-dind:
     image: ${config.dindImage || 'airoman/wp-dind:dind-27.0.3'}
     container_name: ${containerName}
@@ -112,38 +747,13 @@ services:
       PUID: "\${PUID:-1000}"
       PGID: "\${PGID:-1000}"
       WORKSPACE_TYPE: '${config.workspaceType || 'multi-instance'}'
+${portEnvironment}      WP_INSTANCE_PORT_RANGE_START: "${rangeStart}"
+      WP_INSTANCE_PORT_RANGE_END: "${rangeEnd}"
     # Ports are not exposed to localhost to avoid conflicts with multiple DinD instances
-    # Access services via DinD IP address instead
+    # Access services via DinD IP address instead, or publish some with "wp-dind forward"
     expose:
-      - "2375"
-      - "3306"
-      - "8080"
-      - "1080"
-      - "1025"
-      - "6379"
-      - "8081"
-      - "8000"
-      - "8001"
-      - "8002"
-      - "8003"
-      - "8004"
-      - "8005"
-      - "8006"
-      - "8007"
-      - "8008"
-      - "8009"
-      - "8010"
-      - "8011"
-      - "8012"
-      - "8013"
-      - "8014"
-      - "8015"
-      - "8016"
-      - "8017"
-      - "8018"
-      - "8019"
-      - "8020"
-    volumes:
+${portExpose}      - "${rangeStart}-${rangeEnd}"
+${portForwards}    volumes:
       - ./data/wordpress:/var/www/html
       - ./wordpress-instances:/wordpress-instances
       - ./shared-images:/shared-images
@@ -161,11 +771,11 @@ services:
 
 networks:
   wp-dind:
-    name: wp-dind
+    name: ${network.name}
     driver: bridge
     ipam:
       config:
-        - subnet: 172.19.0.0/16
+        - subnet: ${network.subnet}
 
 volumes:
   dind-docker-data:
@@ -175,19 +785,43 @@ volumes:
     return composeYaml;
 }
 
+// Rewrite docker-compose.yml from wp-dind-workspace.json (after its forwards changed)
+function writeDockerCompose(targetDir, workspaceConfig) {
+    fs.writeFileSync(path.join(targetDir, 'docker-compose.yml'), generateDockerCompose(targetDir, {
+        workspaceName: workspaceConfig.workspaceName,
+        workspaceType: workspaceConfig.workspaceType,
+        dindImage: workspaceConfig.stack && workspaceConfig.stack.dindImage,
+        instancePortRange: workspaceConfig.instancePortRange,
+        network: workspaceConfig.network,
+        forwards: workspaceConfig.forwards
+    }));
+}
+
 // Commands
 
 program
     .name('wp-dind')
     .description('WordPress Docker-in-Docker CLI Manager')
-    .version(packageJson.version);
+    .version(packageJson.version)
+    .option('-w, --workspace <name>', 'Registered workspace to use instead of -d <directory> (see "wp-dind workspaces list")');
 
 program
     .command('init')
     .description('Initialize WordPress DinD environment in current directory')
     .option('-d, --dir <directory>', 'Target directory (default: current directory)')
     .option('--with-phpmyadmin', 'Include phpMyAdmin service')
-    .option('--with-mailcatcher', 'Include MailCatcher service')
+    .option('--with-mailcatcher', 'Include MailCatcher (MailHog) service')
+    .option('--with-redis', 'Include Redis service')
+    .option('--with-redis-commander', 'Include Redis Commander service (implies --with-redis)')
+    .option('--with-proxy', 'Include the hostname proxy (<instance>.<workspace>.localhost)')
+    .option('--name <name>', 'Workspace name')
+    .option('--type <type>', `Workspace type (${WORKSPACE_TYPES.join(', ')})`)
+    .option('--webserver <webserver>', `Web server for workspace mode (${WEBSERVERS.join(', ')})`)
+    .option('--php <version>', `PHP version for workspace mode (${PHP_VERSIONS.join(', ')})`)
+    .option('--mysql <version>', `MySQL version for workspace mode (${MYSQL_VERSIONS.join(', ')})`)
+    .option('--subnet <cidr>', 'Subnet for the workspace network (default: first free private /24)')
+    .option('--from <file>', 'Read settings from a YAML/JSON preset (same shape as wp-dind-workspace.json)')
+    .option('-y, --yes', 'Use defaults for anything not provided and skip all prompts')
     .action(async (options) => {
         if (!checkDocker() || !checkDockerCompose()) {
             process.exit(1);
@@ -195,6 +829,44 @@ program
 
         const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
 
+        if (program.opts().workspace) {
+            console.error(chalk.red('--workspace selects an existing workspace; use --name and -d with "init".'));
+            process.exit(1);
+        }
+
+        // Values from flags win over the preset file; anything still missing is prompted for
+        const preset = options.from ? loadInitPreset(options.from) : {};
+        const presetStack = preset.workspaceStack || {};
+        const provided = {
+            workspaceName: options.name ?? preset.workspaceName,
+            workspaceType: options.type ?? preset.workspaceType,
+            webserver: options.webserver ?? presetStack.webserver,
+            phpVersion: normalizeVersion(options.php ?? presetStack.phpVersion),
+            mysqlVersion: normalizeVersion(options.mysql ?? presetStack.mysqlVersion)
+        };
+
+        if (provided.workspaceName !== undefined) {
+            const nameCheck = validateWorkspaceName(String(provided.workspaceName));
+            if (nameCheck !== true) {
+                console.error(chalk.red(nameCheck));
+                process.exit(1);
+            }
+        }
+
+        const allowedValues = {
+            workspaceType: WORKSPACE_TYPES,
+            webserver: WEBSERVERS,
+            phpVersion: PHP_VERSIONS,
+            mysqlVersion: MYSQL_VERSIONS
+        };
+        for (const [key, allowed] of Object.entries(allowedValues)) {
+            if (provided[key] !== undefined && !allowed.includes(provided[key])) {
+                console.error(chalk.red(`Invalid ${key}: ${provided[key]}`));
+                console.log(chalk.yellow(`Valid values: ${allowed.join(', ')}`));
+                process.exit(1);
+            }
+        }
+
         console.log(chalk.blue.bold('\n🚀 WordPress Docker-in-Docker Initializer\n'));
         console.log(chalk.gray(`Target directory: ${targetDir}\n`));
 
@@ -205,7 +877,7 @@ program
 
         // Check if already initialized
         const composeFile = path.join(targetDir, 'docker-compose.yml');
-        if (fs.existsSync(composeFile)) {
+        if (fs.existsSync(composeFile) && !options.yes) {
             const answers = await inquirer.prompt([{
                 type: 'confirm',
                 name: 'overwrite',
@@ -219,22 +891,29 @@ program
             }
         }
 
-        // Interactive configuration
+        // With --yes, fall back to the same defaults the prompts would offer
+        if (options.yes) {
+            provided.workspaceName = provided.workspaceName ?? path.basename(targetDir);
+            provided.workspaceType = provided.workspaceType ?? WORKSPACE_TYPES[0];
+            provided.webserver = provided.webserver ?? WEBSERVERS[0];
+            provided.phpVersion = provided.phpVersion ?? PHP_VERSIONS[0];
+            provided.mysqlVersion = provided.mysqlVersion ?? MYSQL_VERSIONS[0];
+
+            const nameCheck = validateWorkspaceName(provided.workspaceName);
+            if (nameCheck !== true) {
+                console.error(chalk.red(`${nameCheck} (derived from directory name, use --name)`));
+                process.exit(1);
+            }
+        }
+
+        // Interactive configuration (only for values not provided)
         const answers = await inquirer.prompt([
             {
                 type: 'input',
                 name: 'workspaceName',
                 message: 'Workspace name:',
                 default: path.basename(targetDir),
-                validate: (input) => {
-                    if (!input || input.trim() === '') {
-                        return 'Workspace name cannot be empty';
-                    }
-                    if (!/^[a-zA-Z0-9_-]+$/.test(input)) {
-                        return 'Workspace name can only contain letters, numbers, hyphens, and underscores';
-                    }
-                    return true;
-                }
+                validate: validateWorkspaceName
             },
             {
                 type: 'list',
@@ -252,7 +931,17 @@ program
                 ],
                 default: 'workspace'
             }
-        ]);
+        ].filter(question => provided[question.name] === undefined));
+        answers.workspaceName = String(answers.workspaceName ?? provided.workspaceName);
+        answers.workspaceType = answers.workspaceType ?? provided.workspaceType;
+
+        // Names select workspaces (--workspace) and containers, so they must be unique
+        const nameClash = listRegisteredWorkspaces()
+            .find(workspace => workspace.name === answers.workspaceName && workspace.directory !== targetDir && fs.existsSync(workspace.directory));
+        if (nameClash) {
+            console.error(chalk.red(`Workspace name "${answers.workspaceName}" is already used by ${nameClash.directory}`));
+            process.exit(1);
+        }
 
         // If workspace mode, ask for stack configuration
         let workspaceStack = null;
@@ -262,29 +951,70 @@ program
                     type: 'list',
                     name: 'webserver',
                     message: 'Web server:',
-                    choices: ['nginx', 'apache'],
+                    choices: WEBSERVERS,
                     default: 'nginx'
                 },
                 {
                     type: 'list',
                     name: 'phpVersion',
                     message: 'PHP version:',
-                    choices: ['8.3', '8.2', '8.1', '8.0', '7.4'],
+                    choices: PHP_VERSIONS,
                     default: '8.3'
                 },
                 {
                     type: 'list',
                     name: 'mysqlVersion',
                     message: 'MySQL version:',
-                    choices: ['8.0', '5.7', '5.6'],
+                    choices: MYSQL_VERSIONS,
                     default: '8.0'
                 }
-            ]);
-            workspaceStack = stackAnswers;
+            ].filter(question => provided[question.name] === undefined));
+            workspaceStack = {
+                webserver: stackAnswers.webserver ?? provided.webserver,
+                phpVersion: stackAnswers.phpVersion ?? provided.phpVersion,
+                mysqlVersion: stackAnswers.mysqlVersion ?? provided.mysqlVersion
+            };
+        }
+
+        // Optional services run inside the DinD container via supervisord.
+        // Any --with-* flag means "only these"; otherwise use the preset, --yes defaults or ask.
+        const serviceFlags = {
+            phpmyadmin: options.withPhpmyadmin,
+            mailhog: options.withMailcatcher,
+            redis: options.withRedis,
+            redisCommander: options.withRedisCommander,
+            proxy: options.withProxy
+        };
+        let services;
+        if (Object.values(serviceFlags).some(Boolean)) {
+            services = Object.fromEntries(Object.entries(serviceFlags).map(([key, value]) => [key, Boolean(value)]));
+        } else if (preset.stack && preset.stack.services) {
+            services = getEnabledServices(preset);
+        } else if (options.yes) {
+            services = getEnabledServices(null);
+        } else {
+            const serviceAnswers = await inquirer.prompt([{
+                type: 'checkbox',
+                name: 'services',
+                message: 'Services to run inside the DinD container:',
+                choices: Object.entries(OPTIONAL_SERVICES).map(([value, name]) => ({ name, value, checked: !OPT_IN_SERVICES.includes(value) }))
+            }]);
+            services = Object.fromEntries(Object.keys(OPTIONAL_SERVICES).map(key => [key, serviceAnswers.services.includes(key)]));
+        }
+
+        if (services.redisCommander && !services.redis) {
+            console.log(chalk.yellow('Redis Commander needs Redis, enabling Redis as well.'));
+            services.redis = true;
         }
 
-        // Note: phpMyAdmin, MailHog, Redis, and Redis Commander are always included
-        // They run inside the DinD container via supervisord
+        // Per-workspace network so several workspaces (and VPN ranges) don't collide
+        let network;
+        try {
+            network = chooseWorkspaceNetwork(targetDir, answers.workspaceName, options.subnet ?? (preset.network && preset.network.subnet));
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(1);
+        }
 
         const spinner = ora('Generating configuration files...').start();
 
@@ -295,17 +1025,14 @@ program
             initializedAt: new Date().toISOString(),
             workspaceStack: workspaceStack,  // Only set for workspace mode
             instances: {},  // For multi-instance mode
+            instancePortRange: { ...DEFAULT_INSTANCE_PORT_RANGE },  // For multi-instance mode
+            network: network,
             stack: {
                 dindImage: 'airoman/wp-dind:dind-27.0.3',
                 phpVersions: ['7.4', '8.0', '8.1', '8.2', '8.3'],
                 mysqlVersions: ['5.6', '5.7', '8.0'],
                 webservers: ['nginx', 'apache'],
-                services: {
-                    phpmyadmin: true,
-                    mailhog: true,
-                    redis: true,
-                    redisCommander: true
-                }
+                services: services
             },
             imageVersions: {
                 dind: '27.0.3',
@@ -339,7 +1066,12 @@ program
         });
 
         // Generate docker-compose.yml
-        const composeContent = generateDockerCompose(targetDir, { ...answers, workspaceName: answers.workspaceName });
+        const composeContent = generateDockerCompose(targetDir, {
+            ...answers,
+            workspaceName: answers.workspaceName,
+            instancePortRange: workspaceConfig.instancePortRange,
+            network: workspaceConfig.network
+        });
         fs.writeFileSync(composeFile, composeContent);
 
         // Create .env file
@@ -352,19 +1084,16 @@ DOCKER_TLS_CERTDIR=
 
 # Service Port Configuration (all services run inside DinD container)
 # Change these if you have port conflicts with other services
-DOCKER_DAEMON_PORT=2375
-PHPMYADMIN_PORT=8080
-MAILCATCHER_WEB_PORT=1080
-MAILCATCHER_SMTP_PORT=1025
-REDIS_PORT=6379
-REDIS_COMMANDER_PORT=8082
-
-# Note: WordPress instances get dynamically assigned ports
+${defaultEnvLines()}
+
+# Multi-instance mode: instances get the lowest free port in this range
 # Use 'wp-dind instance info <name>' to find the assigned port
+WP_INSTANCE_PORT_RANGE_START=${workspaceConfig.instancePortRange.start}
+WP_INSTANCE_PORT_RANGE_END=${workspaceConfig.instancePortRange.end}
 
 # If you get port conflicts, change the ports above. For example:
 # REDIS_PORT=6380
-# PHPMYADMIN_PORT=8081
+# PHPMYADMIN_PORT=8090
 
 # User/Group IDs for file permissions
 # Set these to your host user's UID/GID to allow editing WordPress files
@@ -374,8 +1103,11 @@ PGID=1000
 `;
         fs.writeFileSync(path.join(targetDir, '.env'), envContent);
 
-        // Create README
-        const readmeContent = `# WordPress Docker-in-Docker Environment
+        // Create README, with the ports just written to .env (see lib/ports.js)
+        const ports = loadPorts(targetDir);
+        const endpoints = getServiceEndpoints(ports, '<dind-ip>', getEnabledServices(workspaceConfig));
+        const instancePorts = [0, 1, 2].map(offset => workspaceConfig.instancePortRange.start + offset).join(', ');
+        const readmeContent = `${README_TITLE}
 
 Workspace: **${workspaceConfig.workspaceName}**
 Initialized: ${new Date(workspaceConfig.initializedAt).toLocaleString()}
@@ -402,10 +1134,8 @@ This directory contains a WordPress Docker-in-Docker (DinD) environment.
    \`\`\`
 
    Access your services at:
-   - WordPress: \`http://<dind-ip>:8000\`
-   - phpMyAdmin: \`http://<dind-ip>:8080\`
-   - MailCatcher: \`http://<dind-ip>:1080\`
-   - Redis Commander: \`http://<dind-ip>:8081\`
+   - WordPress: \`http://<dind-ip>:${ports.wordpress}\`
+${endpoints.filter(endpoint => endpoint.url.startsWith('http')).map(endpoint => `   - ${endpoint.label}: \`${endpoint.url}\``).join('\n')}
 
 ### Multi-Instance Mode (Multiple WordPress Sites)
 
@@ -417,16 +1147,16 @@ This directory contains a WordPress Docker-in-Docker (DinD) environment.
 2. Create WordPress instances:
    \`\`\`bash
    # Create instance with MySQL 8.0, PHP 8.3, nginx
-   wp-dind instance create mysite 80 83 nginx
+   wp-dind instance create mysite --php 8.3 --mysql 8.0 --webserver nginx
 
    # Create another instance with different stack
-   wp-dind instance create legacy 57 74 apache
+   wp-dind instance create legacy --php 7.4 --mysql 5.7 --webserver apache
    \`\`\`
 
 3. List instances and get access URLs:
    \`\`\`bash
    wp-dind ports
-   # Shows all instances with their ports (8001, 8002, etc.)
+   # Shows all instances with their ports (${instancePorts}, etc.)
    \`\`\`
 
 ## Available Commands
@@ -440,9 +1170,17 @@ Initialize a new WordPress DinD workspace in the current directory.
 **Options:**
 - \`-d, --dir <directory>\` - Target directory (default: current directory)
 - \`--with-phpmyadmin\` - Include phpMyAdmin service
-- \`--with-mailcatcher\` - Include MailCatcher service
-
-**Interactive prompts:**
+- \`--with-mailcatcher\` - Include MailCatcher (MailHog) service
+- \`--with-redis\` - Include Redis service
+- \`--with-redis-commander\` - Include Redis Commander service (implies \`--with-redis\`)
+- \`--with-proxy\` - Include the hostname proxy (\`<instance>.<workspace>.localhost\`)
+- \`--name <name>\` - Workspace name
+- \`--type <type>\` - Workspace type (workspace or multi-instance)
+- \`--webserver <webserver>\`, \`--php <version>\`, \`--mysql <version>\` - Stack for workspace mode
+- \`--from <file>\` - YAML/JSON preset with the same shape as \`wp-dind-workspace.json\`
+- \`-y, --yes\` - Use defaults for anything not provided and skip all prompts
+
+**Interactive prompts (only for values not given as flags or in the preset):**
 - Workspace name
 - Workspace type (workspace or multi-instance)
 - Web server (nginx or apache) - workspace mode only
@@ -453,9 +1191,9 @@ Initialize a new WordPress DinD workspace in the current directory.
 
 **Start the environment:**
 \`\`\`bash
-wp-dind start [-d <directory>]
+wp-dind start [-d <directory>] [--timeout <seconds>] [--no-wait]
 \`\`\`
-Starts the DinD container and all services.
+Starts the DinD container and all services, and waits until MySQL and the web endpoints answer.
 
 **Stop the environment:**
 \`\`\`bash
@@ -478,6 +1216,65 @@ Lists all accessible services, ports, and connection details. Shows:
 - WordPress instances with their ports
 - MySQL connection credentials
 
+**Hostnames:**
+\`\`\`bash
+sudo wp-dind hosts --apply -d <directory>
+\`\`\`
+Points \`<instance>.<workspace>.localhost\` (\`<workspace>.localhost\` in workspace mode) at the DinD IP in /etc/hosts.
+Without \`--apply\` the entries are only printed. Run it again if the DinD IP changes.
+The hostname proxy is opt-in (\`--with-proxy\` on \`init\`). \`wp-dind forward --port 80:proxy\` serves the
+hostnames on 127.0.0.1 instead, and makes them the default site URLs of \`install-wordpress\`.
+
+**HTTPS:**
+\`\`\`bash
+wp-dind https enable [--update-urls] -d <directory>
+\`\`\`
+Creates a local CA and per-site certificates, serves the sites on HTTPS and exports the CA to
+\`wp-dind-ca.crt\` with the commands to trust it. \`--update-urls\` switches home/siteurl to https.
+\`wp-dind https disable\` turns it off again, \`wp-dind https status\` shows the HTTPS URLs.
+
+**Forward to localhost:**
+\`\`\`bash
+wp-dind forward --port 8080:phpmyadmin -d <directory>
+wp-dind forward --instance mysite -d <directory>
+\`\`\`
+Publishes a service (or an instance's web port) on 127.0.0.1, for Docker Desktop hosts where the
+DinD IP is not reachable. Forwards are kept in \`wp-dind-workspace.json\`; \`wp-dind forward\` lists them.
+
+**Caught emails:**
+\`\`\`bash
+wp-dind mail list -d <directory>
+wp-dind mail show <id> [--text|--html|--raw] -d <directory>
+wp-dind mail links <id> -d <directory>
+wp-dind mail clear -d <directory>
+wp-dind mail wait --to <address> --subject <text> --timeout 30 -d <directory>
+\`\`\`
+Reads the emails MailHog caught through its API inside DinD. \`<id>\` is the number from
+\`mail list\` (1 = newest) or the MailHog ID. \`wait\` exits 1 if no matching email arrives in time.
+
+**Object cache:**
+\`\`\`bash
+wp-dind cache enable [-i <instance>] -d <directory>
+wp-dind cache flush [-i <instance>] [--all] -d <directory>
+wp-dind cache stats [--json] -d <directory>
+wp-dind cache disable [-i <instance>] -d <directory>
+\`\`\`
+Connects WordPress to the DinD Redis through the Redis Object Cache plugin. Each site gets its own
+Redis database and key prefix, kept in \`redis\` of \`wp-dind-workspace.json\`.
+
+**Multisite sub-sites:**
+\`\`\`bash
+wp-dind site add <slug> [-i <instance>] [--title <title>] [--email <email>] -d <directory>
+\`\`\`
+Adds a site to a network installed with \`install-wordpress --multisite\` or \`instance create --multisite\`.
+
+**Stack matrix (multi-instance mode):**
+\`\`\`bash
+wp-dind matrix run --php 7.4,8.3 --mysql 5.7,8.0 --webserver nginx,apache --plugin ./my-plugin [--http /] [--junit matrix.xml] [--keep] -- <command>
+\`\`\`
+Creates a throwaway instance per combination, copies in and activates the plugin, runs the command
+in its PHP container, prints a pass/fail grid and removes the instances (unless \`--keep\`).
+
 **List containers:**
 \`\`\`bash
 wp-dind ps [-d <directory>] [-a]
@@ -487,18 +1284,24 @@ Lists all running containers.
 
 **View logs:**
 \`\`\`bash
-wp-dind logs [-d <directory>] [-f] [-s <service>]
+wp-dind logs [-d <directory>] [-i <instance>] [-s <services>] [-f] [--since 10m] [--grep <pattern>]
 \`\`\`
-View logs from the DinD environment.
+Merges the logs of the site containers, the Xdebug and MySQL slow logs and the DinD services
+into one time-ordered stream, each line prefixed with its source.
+- \`-i, --instance <name>\` - Only this instance (multi-instance mode)
+- \`-s, --service <services>\` - Only php, mysql, web, mailhog, redis and/or dockerd (comma-separated)
 - \`-f, --follow\` - Follow log output (live tail)
-- \`-s, --service <service>\` - Show logs for specific service
+- \`--since <time>\` / \`--grep <pattern>\` - Only recent / matching lines
 
 **Destroy environment:**
 \`\`\`bash
-wp-dind destroy [-d <directory>]
+wp-dind destroy [-d <directory>] [--keep-data] [--dry-run] [--backup]
 \`\`\`
-Completely removes the DinD environment including all containers, volumes, and data.
-**Warning:** This action cannot be undone!
+Removes the DinD containers, volumes and the files wp-dind created here (lists them and asks first).
+- \`--keep-data\` - Keep data volumes and data directories
+- \`--dry-run\` - Only show what would be removed
+- \`--backup\` - Take a final backup of each site first
+**Warning:** Without \`--keep-data\` this action cannot be undone!
 
 ### WordPress Installation (Workspace Mode Only)
 
@@ -511,12 +1314,14 @@ Install WordPress in the workspace (data/wordpress directory).
 
 **Options:**
 - \`-d, --dir <directory>\` - Target directory (default: current directory)
-- \`--url <url>\` - WordPress site URL (default: http://<dind-ip>:8000)
+- \`--url <url>\` - WordPress site URL (default: http://<dind-ip>:${ports.wordpress})
 - \`--title <title>\` - Site title (default: workspace name)
 - \`--admin-user <username>\` - Admin username (default: admin)
 - \`--admin-password <password>\` - Admin password (default: prompted)
 - \`--admin-email <email>\` - Admin email (default: admin@example.com)
 - \`--skip-install\` - Download WordPress only, skip installation
+- \`--multisite\` - Install a multisite network (sub-sites in subdirectories, works on the IP:port URL)
+- \`--subdomains\` - With \`--multisite\`: sub-sites on subdomains (needs the hostname proxy and URL)
 
 **Fix file permissions:**
 \`\`\`bash
@@ -537,12 +1342,13 @@ Sets proper permissions (dirs: 775, files: 664).
 
 **Create instance:**
 \`\`\`bash
-wp-dind instance create <name> [mysql_version] [php_version] [webserver]
+wp-dind instance create [name] [--php <version>] [--mysql <version>] [--webserver <webserver>] [--multisite [--subdomains]] [--yes]
 \`\`\`
-Creates a new isolated WordPress instance.
-- \`mysql_version\`: 56, 57, 80 (default: 80)
-- \`php_version\`: 74, 80, 81, 82, 83 (default: 83)
-- \`webserver\`: nginx, apache (default: nginx)
+Creates a new isolated WordPress instance. Missing values are prompted for (\`--yes\` uses the defaults).
+- \`--php\`: 7.4, 8.0, 8.1, 8.2, 8.3 (default: 8.3)
+- \`--mysql\`: 5.6, 5.7, 8.0 (default: 8.0)
+- \`--webserver\`: nginx, apache (default: nginx)
+- \`--multisite\`: multisite network rewrite rules; \`/app/install-wordpress.sh\` installs a network
 
 **List instances:**
 \`\`\`bash
@@ -569,13 +1375,13 @@ Start or stop a specific WordPress instance.
 
 **Remove instance:**
 \`\`\`bash
-wp-dind instance remove <name> [-d <directory>]
+wp-dind instance remove <name> [--force] [-d <directory>]
 \`\`\`
-Removes a WordPress instance and all its data.
+Removes a WordPress instance and all its data (asks for confirmation unless \`--force\` is given).
 
 **Clone instance:**
 \`\`\`bash
-wp-dind instance clone <source> <target> [strategy]
+wp-dind instance clone <source> <target> [--strategy <strategy>]
 \`\`\`
 Clone an existing instance with different strategies:
 - \`symlink\` - Share files, separate database (default)
@@ -584,10 +1390,10 @@ Clone an existing instance with different strategies:
 
 **View instance logs:**
 \`\`\`bash
-wp-dind instance logs <name> [service] [-d <directory>]
+wp-dind instance logs <name> [--service <service>] [-d <directory>]
 \`\`\`
-View logs for a specific instance.
-- \`service\`: php, mysql, nginx, apache (default: all)
+Follow the logs of a specific instance.
+- \`--service\`: php, mysql, nginx, apache (default: all)
 
 ### Execute Commands
 
@@ -629,7 +1435,7 @@ wp-dind start
 **2. Install WordPress:**
 \`\`\`bash
 wp-dind install-wordpress \\
-  --url http://172.19.0.2:8000 \\
+  --url http://<dind-ip>:${ports.wordpress} \\
   --title "My Site" \\
   --admin-user admin \\
   --admin-password mypassword \\
@@ -643,9 +1449,9 @@ wp-dind ports
 
 **4. Execute WP-CLI commands:**
 \`\`\`bash
-wp-dind exec dind wp plugin list
-wp-dind exec dind wp theme activate twentytwentyfour
-wp-dind exec dind wp user list
+wp-dind wp -- plugin list
+wp-dind wp -- theme activate twentytwentyfour
+wp-dind wp -- user list
 \`\`\`
 
 ### Multi-Instance Mode (Multiple WordPress Sites)
@@ -661,13 +1467,13 @@ wp-dind start
 **2. Create instances with different stacks:**
 \`\`\`bash
 # Create instance with MySQL 8.0, PHP 8.3, nginx
-wp-dind instance create mysite 80 83 nginx
+wp-dind instance create mysite --php 8.3 --mysql 8.0 --webserver nginx
 
 # Create instance with MySQL 5.7, PHP 7.4, apache
-wp-dind instance create legacy-site 57 74 apache
+wp-dind instance create legacy-site --php 7.4 --mysql 5.7 --webserver apache
 
 # Create instance with default stack
-wp-dind instance create another-site
+wp-dind instance create another-site --yes
 \`\`\`
 
 **3. List and manage instances:**
@@ -679,16 +1485,16 @@ wp-dind instance list
 wp-dind instance info mysite
 
 # View instance logs
-wp-dind instance logs mysite php
+wp-dind instance logs mysite --service php
 \`\`\`
 
 **4. Clone an instance:**
 \`\`\`bash
 # Clone with shared files (symlink)
-wp-dind instance clone mysite mysite-dev symlink
+wp-dind instance clone mysite mysite-dev --strategy symlink
 
 # Clone with separate files and database
-wp-dind instance clone mysite mysite-staging copy-all
+wp-dind instance clone mysite mysite-staging --strategy copy-all
 \`\`\`
 
 ### Common Tasks
@@ -703,8 +1509,8 @@ wp-dind exec -i dind bash
 # Follow all logs
 wp-dind logs -f
 
-# View specific service logs
-wp-dind logs -s wordpress-dind
+# PHP and web server logs from the last 10 minutes
+wp-dind logs -s php,web --since 10m
 \`\`\`
 
 **Connect to MySQL:**
@@ -713,7 +1519,7 @@ wp-dind logs -s wordpress-dind
 wp-dind ports
 
 # Connect from host
-mysql -h <dind-ip> -P 3306 -u wordpress -pwordpress wordpress
+mysql -h <dind-ip> -P ${ports.mysql} -u wordpress -pwordpress wordpress
 \`\`\`
 
 **Manage environment:**
@@ -736,22 +1542,16 @@ wp-dind destroy
 All services run inside the DinD container and are accessible via the DinD IP address.
 Use \`wp-dind ports\` to get the DinD IP and see all available services.
 
-**Core Services:**
-- **Docker Daemon**: \`<dind-ip>:2375\` - Docker API (inside DinD)
-- **MySQL**: \`<dind-ip>:3306\` - Database server (wordpress/wordpress)
-- **phpMyAdmin**: \`http://<dind-ip>:8080\` - Database management interface
-- **MailCatcher Web**: \`http://<dind-ip>:1080\` - Email testing interface
-- **MailCatcher SMTP**: \`<dind-ip>:1025\` - SMTP server for testing emails
-- **Redis**: \`<dind-ip>:6379\` - Cache server
-- **Redis Commander**: \`http://<dind-ip>:8081\` - Redis management interface
+**Core Services** (MySQL user and password: wordpress/wordpress):
+${endpoints.map(endpoint => `- **${endpoint.label}**: \`${endpoint.url}\``).join('\n')}
 
 **WordPress Access:**
-- **Workspace Mode**: \`http://<dind-ip>:8000\`
-- **Multi-Instance Mode**: Ports 8001, 8002, 8003, etc. (use \`wp-dind ports\` to see all instances)
+- **Workspace Mode**: \`http://<dind-ip>:${ports.wordpress}\`
+- **Multi-Instance Mode**: Ports ${instancePorts}, etc. (use \`wp-dind ports\` to see all instances)
 
 **Important Notes:**
 - Services are NOT accessible via localhost to avoid conflicts when running multiple DinD instances
-- Each DinD instance gets its own IP address on the wp-dind network (172.19.0.0/16)
+- Each workspace has its own Docker network (see \`network\` in wp-dind-workspace.json) and the DinD container its own IP address on it
 - Use \`wp-dind ports\` to get the exact IP address and port for each service
 - DinD containers do NOT auto-start after host reboot (restart policy: "no")
 
@@ -770,7 +1570,7 @@ This workspace is configured with:
 - **PHP Versions**: ${workspaceConfig.stack.phpVersions.join(', ')}
 - **MySQL Versions**: ${workspaceConfig.stack.mysqlVersions.join(', ')}
 - **Web Servers**: ${workspaceConfig.stack.webservers.join(', ')}
-- **Services**: ${Object.entries(workspaceConfig.stack.services).filter(([k, v]) => v).map(([k]) => k).join(', ')}
+- **Services**: ${Object.entries(workspaceConfig.stack.services).filter(([k, v]) => v).map(([k]) => k).join(', ') || 'none'}
 `;
         fs.writeFileSync(path.join(targetDir, 'README.md'), readmeContent);
 
@@ -783,6 +1583,7 @@ This workspace is configured with:
         if (workspaceConfig.workspaceStack) {
             console.log(chalk.gray(`  Stack: ${workspaceConfig.workspaceStack.webserver}, PHP ${workspaceConfig.workspaceStack.phpVersion}, MySQL ${workspaceConfig.workspaceStack.mysqlVersion}`));
         }
+        console.log(chalk.gray(`  Network: ${workspaceConfig.network.name} (${workspaceConfig.network.subnet})`));
         console.log(chalk.gray(`  Initialized: ${workspaceConfig.initializedAt}`));
         console.log(chalk.gray(`  Config: wp-dind-workspace.json\n`));
         console.log(chalk.yellow('Next steps:'));
@@ -791,13 +1592,13 @@ This workspace is configured with:
 
         if (workspaceConfig.workspaceType === 'workspace') {
             console.log(chalk.gray('  3. wp-dind install-wordpress'));
-            console.log(chalk.gray('  4. Access WordPress at http://<dind-ip>:8000'));
+            console.log(chalk.gray(`  4. Access WordPress at http://<dind-ip>:${ports.wordpress}`));
             console.log(chalk.gray('\n  Note: Get DinD IP with "wp-dind status" after starting\n'));
         } else {
             console.log(chalk.gray('  3. Create instances:'));
-            console.log(chalk.gray('     docker exec wp-dind-<name> /app/instance-manager.sh create mysite 80 83 nginx'));
-            console.log(chalk.gray('  4. List instances: docker exec wp-dind-<name> /app/instance-manager.sh list'));
-            console.log(chalk.gray('  5. Access instances at http://<dind-ip>:8001, 8002, etc.'));
+            console.log(chalk.gray('     wp-dind instance create mysite --php 8.3 --mysql 8.0 --webserver nginx'));
+            console.log(chalk.gray('  4. List instances: wp-dind instance list'));
+            console.log(chalk.gray(`  5. Access instances at http://<dind-ip>:${instancePorts}, etc.`));
             console.log(chalk.gray('\n  Note: Get DinD IP with "wp-dind status" after starting\n'));
         }
 
@@ -814,8 +1615,10 @@ program
     .command('start')
     .description('Start the WordPress DinD environment')
     .option('-d, --dir <directory>', 'Target directory (default: current directory)')
-    .action((options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
+    .option('--timeout <seconds>', 'How long to wait for the services to come up', '300')
+    .option('--no-wait', 'Return right after starting the container, without waiting for the services')
+    .action(async (options) => {
+        const targetDir = resolveTargetDir(options);
         const composeFile = path.join(targetDir, 'docker-compose.yml');
 
         if (!fs.existsSync(composeFile)) {
@@ -827,32 +1630,38 @@ program
         const workspaceConfig = loadWorkspaceConfig(targetDir);
         const containerName = workspaceConfig ? `wp-dind-${workspaceConfig.workspaceName}` : 'wp-dind';
 
-        console.log(chalk.blue('Starting WordPress DinD environment...\n'));
-        execCommand('docker-compose up -d', { cwd: targetDir });
-        console.log(chalk.green('\n✅ Environment started successfully!\n'));
+        const timeout = Number(options.timeout);
+        if (!Number.isInteger(timeout) || timeout < 1) {
+            console.error(chalk.red(`Invalid --timeout: ${options.timeout} (expected a number of seconds)`));
+            process.exit(1);
+        }
 
-        // Get DinD container IP address
+        console.log(chalk.blue('Starting WordPress DinD environment...\n'));
         try {
-            const ipCmd = `docker inspect -f '{{range .NetworkSettings.Networks}}{{.IPAddress}}{{end}}' ${containerName}`;
-            const ipResult = require('child_process').execSync(ipCmd, { encoding: 'utf8' }).trim();
+            execSync(compose('up -d'), { cwd: targetDir, stdio: 'inherit' });
+        } catch (error) {
+            console.error(chalk.red('\n❌ Failed to start the DinD container.'));
+            console.log(chalk.yellow('Run "wp-dind doctor" to check Docker and the workspace.'));
+            process.exit(1);
+        }
 
-            // Load .env file to get port mappings
-            const envPath = path.join(targetDir, '.env');
-            const envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
-            const envVars = {};
-            envContent.split('\n').forEach(line => {
-                const match = line.match(/^([A-Z_]+)=(.+)$/);
-                if (match) {
-                    envVars[match[1]] = match[2];
-                }
-            });
+        let notReady = [];
+        if (options.wait) {
+            console.log(chalk.blue(`\nWaiting for services (up to ${timeout}s)...\n`));
+            notReady = await waitForEnvironment(targetDir, workspaceConfig, containerName, timeout);
+        }
+        if (notReady.length > 0) {
+            console.log(chalk.red(`\n❌ Not ready after ${timeout}s: ${notReady.join(', ')}\n`));
+        } else {
+            console.log(chalk.green(`\n✅ Environment started successfully!${options.wait ? '' : ' (services may still be starting)'}\n`));
+        }
+
+        // Get DinD container IP address
+        try {
+            const ipCmd = `docker inspect -f '{{range .NetworkSettings.Networks}}{{.IPAddress}}{{end}}' ${containerName}`;
+            const ipResult = require('child_process').execSync(ipCmd, { encoding: 'utf8' }).trim();
 
-            const dockerPort = envVars.DOCKER_DAEMON_PORT || '2375';
-            const phpMyAdminPort = envVars.PHPMYADMIN_PORT || '8080';
-            const mailcatcherWebPort = envVars.MAILCATCHER_WEB_PORT || '1080';
-            const mailcatcherSmtpPort = envVars.MAILCATCHER_SMTP_PORT || '1025';
-            const redisPort = envVars.REDIS_PORT || '6379';
-            const redisCommanderPort = envVars.REDIS_COMMANDER_PORT || '8082';
+            const ports = loadPorts(targetDir);
 
             console.log(chalk.blue.bold('📡 DinD Container Information:\n'));
             console.log(chalk.gray(`  Container Name: ${containerName}`));
@@ -866,154 +1675,1883 @@ program
                 workspaceType = config.workspaceType || 'multi-instance';
             }
 
+            const services = getEnabledServices(workspaceConfig);
+
             console.log(chalk.blue.bold('🌐 Accessible Services (via DinD IP only):\n'));
-            console.log(chalk.gray(`    • phpMyAdmin:        http://${ipResult}:8080`));
-            console.log(chalk.gray(`    • MailCatcher Web:   http://${ipResult}:1080`));
-            console.log(chalk.gray(`    • Redis Commander:   http://${ipResult}:8081`));
-            console.log(chalk.gray(`    • Redis:             ${ipResult}:6379`));
-            console.log(chalk.gray(`    • Docker Daemon:     ${ipResult}:2375`));
-            console.log(chalk.gray(`    • MailCatcher SMTP:  ${ipResult}:1025\n`));
+            getServiceEndpoints(ports, ipResult, services).forEach(endpoint => {
+                console.log(chalk.gray(`    • ${(endpoint.label + ':').padEnd(19)}${endpoint.url}`));
+            });
+            console.log('');
 
             if (workspaceType === 'workspace') {
-                console.log(chalk.gray(`    • WordPress:         http://${ipResult}:8000\n`));
+                const hostnameUrl = getSiteUrl(workspaceConfig, workspaceConfig.workspaceName, ports);
+                console.log(chalk.gray(`    • WordPress:         http://${ipResult}:${ports.wordpress}${hostnameUrl ? ` or ${hostnameUrl}` : ''}\n`));
                 console.log(chalk.yellow('Next steps:'));
                 console.log(chalk.gray('  • wp-dind install-wordpress (install WordPress)'));
                 console.log(chalk.gray('  • wp-dind status (check environment status)'));
             } else {
                 console.log(chalk.yellow('Next steps:'));
-                console.log(chalk.gray('  • Create instance: docker exec wp-dind-' + path.basename(targetDir) + ' /app/instance-manager.sh create mysite 80 83 nginx'));
-                console.log(chalk.gray('  • List instances: docker exec wp-dind-' + path.basename(targetDir) + ' /app/instance-manager.sh list'));
-                console.log(chalk.gray('  • Access instances at http://' + ipResult + ':8001, 8002, etc.'));
+                console.log(chalk.gray('  • Create instance: wp-dind instance create mysite --php 8.3 --mysql 8.0 --webserver nginx'));
+                console.log(chalk.gray('  • List instances: wp-dind instance list'));
+                const range = loadInstancePortRange(targetDir, workspaceConfig);
+                console.log(chalk.gray(`  • Access instances at http://${ipResult}:${range.start}, ${range.start + 1}, etc.`));
                 console.log(chalk.gray('  • wp-dind status (check environment status)'));
             }
+            if (services.proxy && !isProxyOnLoopback(workspaceConfig, ports)) {
+                // The DinD IP can change between starts, so the entries may need refreshing
+                console.log(chalk.gray('  • wp-dind hosts --apply (point the *.localhost hostnames at this DinD IP)'));
+                console.log(chalk.gray(`  • or wp-dind forward --port ${ports.proxy}:proxy (serve them on 127.0.0.1)`));
+            }
         } catch (error) {
             console.log(chalk.yellow('Run "wp-dind status" to check the status.'));
         }
-    });
 
-program
-    .command('stop')
-    .description('Stop the WordPress DinD environment')
-    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
-    .action((options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
-        console.log(chalk.blue('Stopping WordPress DinD environment...\n'));
-        execCommand('docker-compose stop', { cwd: targetDir });
-        console.log(chalk.green('\n✅ Environment stopped successfully!'));
-    });
+        if (notReady.length > 0) {
+            console.log(chalk.yellow('\nCheck "wp-dind logs" and "wp-dind doctor", or run "wp-dind start" again with a longer --timeout.'));
+            process.exit(1);
+        }
+    });
+
+program
+    .command('stop')
+    .description('Stop the WordPress DinD environment')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .action((options) => {
+        const targetDir = resolveTargetDir(options);
+        console.log(chalk.blue('Stopping WordPress DinD environment...\n'));
+        execCommand(compose('stop'), { cwd: targetDir });
+        console.log(chalk.green('\n✅ Environment stopped successfully!'));
+    });
+
+program
+    .command('status')
+    .description('Check the status of the WordPress DinD environment')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+        const targetDir = resolveTargetDir(options);
+
+        if (options.json) {
+            const workspaceConfig = loadWorkspaceConfig(targetDir);
+            const report = buildWorkspaceReport(targetDir, workspaceConfig);
+            report.containers = report.running ? (listInnerContainers(getContainerName(targetDir, workspaceConfig), true) || []) : [];
+            printJson(report);
+            return;
+        }
+
+        console.log(chalk.blue('WordPress DinD Environment Status:\n'));
+        execCommand(compose('ps'), { cwd: targetDir });
+    });
+
+program
+    .command('ports')
+    .description('List all accessible services and ports')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+        const targetDir = resolveTargetDir(options);
+
+        // Load workspace config
+        const workspaceConfig = loadWorkspaceConfig(targetDir);
+        if (!workspaceConfig) {
+            console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+            console.log(chalk.yellow('Run "wp-dind init" first.'));
+            process.exit(1);
+        }
+
+        if (options.json) {
+            printJson(buildWorkspaceReport(targetDir, workspaceConfig));
+            return;
+        }
+
+        const containerName = `wp-dind-${workspaceConfig.workspaceName}`;
+        const ports = loadPorts(targetDir);
+
+        // Get DinD container IP
+        const dindIP = getContainerIP(containerName);
+        if (!dindIP) {
+            console.error(chalk.red('DinD container is not running. Run "wp-dind start" first.'));
+            process.exit(1);
+        }
+
+        console.log(chalk.blue.bold('\n🌐 WordPress DinD Services\n'));
+        console.log(chalk.gray(`Workspace: ${workspaceConfig.workspaceName}`));
+        console.log(chalk.gray(`Type: ${workspaceConfig.workspaceType}`));
+        console.log(chalk.gray(`DinD IP: ${dindIP}\n`));
+
+        const services = getEnabledServices(workspaceConfig);
+
+        console.log(chalk.yellow('Core Services:'));
+        getServiceEndpoints(ports, dindIP, services).forEach(endpoint => {
+            console.log(chalk.gray(`  • ${(endpoint.label + ':').padEnd(19)}${endpoint.url}`));
+        });
+        console.log('');
+
+        const workspaceName = workspaceConfig.workspaceName;
+        if (workspaceConfig.workspaceType === 'workspace') {
+            const directUrl = `http://${dindIP}:${ports.wordpress}`;
+            const hostnameUrl = getSiteUrl(workspaceConfig, workspaceName, ports);
+            console.log(chalk.yellow('WordPress:'));
+            console.log(chalk.gray(`  • WordPress Site:    ${hostnameUrl ? `${hostnameUrl} (${directUrl})` : directUrl}`));
+            if (workspaceConfig.https) {
+                console.log(chalk.gray(`  • WordPress HTTPS:   https://${dindIP}:${ports.wordpressHttps}`));
+            }
+            console.log('');
+        } else {
+            console.log(chalk.yellow('WordPress Instances:'));
+
+            // Get list of instances from DinD
+            const instances = listInstances(containerName);
+            if (instances === null) {
+                console.log(chalk.gray('  Unable to list instances. Make sure the environment is running.\n'));
+            } else if (instances.length === 0) {
+                console.log(chalk.gray('  No instances created yet.'));
+                console.log(chalk.gray('  Create one with: wp-dind instance create <name>\n'));
+            } else {
+                instances.forEach(instance => {
+                    const directUrl = instance.port ? `http://${dindIP}:${instance.port}` : null;
+                    const hostnameUrl = directUrl && getSiteUrl(workspaceConfig, workspaceName, ports, instance.name);
+                    const url = hostnameUrl ? `${hostnameUrl} (${directUrl})` : directUrl || 'no port assigned';
+                    console.log(chalk.gray(`  • ${instance.name.padEnd(20)} ${url} (${instance.status})`));
+                });
+                console.log('');
+            }
+
+            const portRange = loadInstancePortRange(targetDir, workspaceConfig);
+            const usedPorts = (instances || []).reduce((count, instance) => count + (instance.port ? 1 : 0) + (instance.httpsPort ? 1 : 0), 0);
+            const freePorts = (portRange.end - portRange.start + 1) - usedPorts;
+            console.log(chalk.gray(`  Port range: ${portRange.start}-${portRange.end} (${freePorts} free)\n`));
+        }
+
+        const forwards = workspaceConfig.forwards || [];
+        if (forwards.length > 0) {
+            console.log(chalk.yellow('Forwarded to localhost:'));
+            forwards.forEach(forward => {
+                console.log(chalk.gray(`  • ${forwardAddress(forward).padEnd(24)} → ${describeForward(forward)}`));
+            });
+            console.log('');
+        }
+
+        console.log(chalk.yellow('MySQL Connection:'));
+        console.log(chalk.gray(`  Host: ${dindIP}`));
+        console.log(chalk.gray(`  Port: ${ports.mysql}`));
+        console.log(chalk.gray(`  Database: wordpress`));
+        console.log(chalk.gray(`  Username: wordpress`));
+        console.log(chalk.gray(`  Password: wordpress\n`));
+
+        if (services.proxy && !isProxyOnLoopback(workspaceConfig, ports)) {
+            console.log(chalk.gray('Hostnames need hosts file entries pointing at the DinD IP: wp-dind hosts --apply'));
+            console.log(chalk.gray(`or the proxy port forwarded to 127.0.0.1: wp-dind forward --port ${ports.proxy}:proxy\n`));
+        }
+    });
+
+
+program
+    .command('logs')
+    .description('Show the logs of the sites and DinD services, merged in time order')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Only this instance (multi-instance mode; default: all instances)')
+    .option('-s, --service <services>', `Only these services, comma-separated (${LOG_SERVICES.join(', ')})`)
+    .option('-f, --follow', 'Follow log output')
+    .option('--since <time>', 'Only lines since a duration (30s, 10m, 2h, 1d) or a date')
+    .option('--grep <pattern>', 'Only lines matching a regular expression')
+    .option('-n, --tail <lines>', 'Lines to show from the end of each log', '100')
+    .action(async (options) => {
+        const targetDir = resolveTargetDir(options);
+        const workspaceConfig = loadWorkspaceConfig(targetDir);
+        if (!workspaceConfig) {
+            console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+            console.log(chalk.yellow('Run "wp-dind init" first.'));
+            process.exit(1);
+        }
+
+        const services = options.service ? options.service.split(',').map(service => service.trim()).filter(Boolean) : [];
+        services.forEach(service => exitOnInvalid(validateChoice('service', service, LOG_SERVICES)));
+
+        const tail = Number(options.tail);
+        if (!Number.isInteger(tail) || tail < 0) {
+            console.error(chalk.red(`Invalid --tail: ${options.tail} (expected a number of lines)`));
+            process.exit(1);
+        }
+
+        let since = null;
+        let grep = null;
+        try {
+            since = options.since ? parseSince(options.since) : null;
+            grep = options.grep ? new RegExp(options.grep) : null;
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(1);
+        }
+
+        const containerName = getContainerName(targetDir, workspaceConfig);
+        const container = getContainerState(containerName);
+        if (!container) {
+            console.error(chalk.red(`${containerName} does not exist. Run "wp-dind start" first.`));
+            process.exit(1);
+        }
+
+        // The sites' containers live inside DinD; a stopped DinD container only has its own output
+        let sites = [];
+        if (container.state !== 'running') {
+            console.error(chalk.yellow(`${containerName} is ${container.state}; showing its own output only.`));
+        } else if (workspaceConfig.workspaceType === 'workspace') {
+            if (options.instance) {
+                console.error(chalk.red('--instance is only available in multi-instance mode.'));
+                process.exit(1);
+            }
+            const webserver = (workspaceConfig.workspaceStack && workspaceConfig.workspaceStack.webserver) || 'nginx';
+            sites = [{ label: 'workspace', phpContainer: 'workspace-php', mysqlContainer: 'workspace-mysql', webContainer: `workspace-${webserver}` }];
+        } else {
+            const instances = listInstances(containerName);
+            if (instances === null) {
+                console.error(chalk.red('Unable to list instances. Make sure the environment is running.'));
+                process.exit(1);
+            }
+            if (options.instance && !instances.some(instance => instance.name === options.instance)) {
+                console.error(chalk.red(`Instance "${options.instance}" not found.`));
+                process.exit(1);
+            }
+            sites = instances
+                .filter(instance => !options.instance || instance.name === options.instance)
+                .map(instance => ({
+                    label: instance.name,
+                    phpContainer: `${instance.name}-php`,
+                    mysqlContainer: `${instance.name}-mysql`,
+                    webContainer: `${instance.name}-${(instance.stack && instance.stack.webserver) || 'nginx'}`
+                }));
+        }
+
+        const sources = container.state === 'running'
+            ? buildLogSources(containerName, sites, services)
+            : buildLogSources(containerName, [], []).filter(source => source.kind === 'outer');
+
+        // "<time> <source> | <line>", each source in its own colour
+        const width = Math.max(...sources.map(source => source.name.length));
+        const printEntry = entry => {
+            const time = entry.time === null ? ''.padEnd(8) : new Date(entry.time).toTimeString().slice(0, 8);
+            console.log(`${chalk.gray(time)} ${chalk[entry.source.color](entry.source.name.padEnd(width))} ${chalk.gray('|')} ${entry.text}`);
+        };
+
+        (await collectLogs(sources, { tail, since, grep })).forEach(printEntry);
+        if (options.follow) {
+            await followLogs(sources, { grep }, printEntry);
+        }
+    });
+
+program
+    .command('wp [args...]')
+    .description('Run WP-CLI in the workspace or an instance (wp-dind wp [--instance <name>] -- <wp-cli args>)')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance to run against (multi-instance mode)')
+    .allowUnknownOption()
+    .action((args, options) => {
+        const targetDir = resolveTargetDir(options);
+        const site = resolveSite(targetDir, options.instance);
+        process.exit(runWpCli(targetDir, site, args));
+    });
+
+// Database dump/restore for the workspace site or an instance
+const dbCommand = program
+    .command('db')
+    .description('Export and import the WordPress database');
+
+dbCommand
+    .command('export [file]')
+    .description('Dump the database to a .sql or .sql.gz file (default: <site>-<timestamp>.sql.gz, "-" for stdout)')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance to export (multi-instance mode)')
+    .action(async (file, options) => {
+        const targetDir = resolveTargetDir(options);
+        const site = resolveSite(targetDir, options.instance);
+
+        const toStdout = file === '-';
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const outputFile = toStdout ? null : path.resolve(file || `${site.name}-${timestamp}.sql.gz`);
+        if (outputFile && !isSupportedDumpFile(outputFile)) {
+            console.error(chalk.red('The export file must end in .sql or .sql.gz'));
+            process.exit(1);
+        }
+
+        // Status output goes to stderr so "db export -" can be piped
+        const spinner = ora({ text: `Exporting database of ${site.name}...`, stream: process.stderr }).start();
+        try {
+            await dumpDatabase(site, toStdout ? process.stdout : fs.createWriteStream(outputFile), { gzip: !!outputFile && isGzipFile(outputFile) });
+            spinner.succeed(toStdout ? `Exported database of ${site.name}` : `Exported database of ${site.name} to ${outputFile}`);
+        } catch (error) {
+            spinner.fail(`Export failed: ${error.message}`);
+            if (outputFile && fs.existsSync(outputFile)) {
+                fs.unlinkSync(outputFile);
+            }
+            process.exit(1);
+        }
+    });
+
+dbCommand
+    .command('import <file>')
+    .description('Import a .sql or .sql.gz file ("-" for stdin) into the database')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance to import into (multi-instance mode)')
+    .option('--search-replace <values...>', 'Run "wp search-replace <old> <new>" after the import')
+    .option('-y, --yes', 'Do not ask for confirmation')
+    .action(async (file, options) => {
+        const targetDir = resolveTargetDir(options);
+
+        const fromStdin = file === '-';
+        const inputFile = fromStdin ? null : path.resolve(file);
+        if (inputFile && !isSupportedDumpFile(inputFile)) {
+            console.error(chalk.red('The import file must end in .sql or .sql.gz'));
+            process.exit(1);
+        }
+        if (inputFile && !fs.existsSync(inputFile)) {
+            console.error(chalk.red(`File not found: ${inputFile}`));
+            process.exit(1);
+        }
+        if (options.searchReplace && options.searchReplace.length !== 2) {
+            console.error(chalk.red('--search-replace takes exactly two values: <old> <new>'));
+            process.exit(1);
+        }
+
+        const site = resolveSite(targetDir, options.instance);
+
+        if (!options.yes) {
+            if (fromStdin) {
+                console.error(chalk.red('Use --yes when importing from stdin.'));
+                process.exit(1);
+            }
+            const answers = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirm',
+                message: chalk.red(`This will overwrite tables in the database of ${site.name}. Continue?`),
+                default: false
+            }]);
+            if (!answers.confirm) {
+                console.log(chalk.yellow('Cancelled.'));
+                return;
+            }
+        }
+
+        const spinner = ora(`Importing ${fromStdin ? 'stdin' : path.basename(inputFile)} into ${site.name}...`).start();
+        try {
+            await restoreDatabase(site, fromStdin ? process.stdin : fs.createReadStream(inputFile), { gunzip: !!inputFile && isGzipFile(inputFile) });
+            spinner.succeed(`Imported database into ${site.name}`);
+        } catch (error) {
+            spinner.fail(`Import failed: ${error.message}`);
+            process.exit(1);
+        }
+
+        if (options.searchReplace) {
+            const [from, to] = options.searchReplace;
+            console.log(chalk.blue(`\nReplacing "${from}" with "${to}"...\n`));
+            const status = runWpCli(targetDir, site, ['search-replace', from, to, '--all-tables-with-prefix', '--report-changed-only']);
+            if (status !== 0) {
+                console.error(chalk.red('\nsearch-replace failed; the database was imported without the replacement.'));
+                process.exit(status);
+            }
+        }
+    });
+
+// Named snapshots (files + database) of the workspace site or an instance
+const snapshotCommand = program
+    .command('snapshot')
+    .description('Create, list, restore and delete snapshots of WordPress files and database');
+
+// Snapshot of the given label (for --instance, if given); exits if missing or ambiguous
+function findSnapshot(targetDir, label, instanceName) {
+    const matches = loadSnapshots(targetDir)
+        .filter(snapshot => snapshot.label === label && (!instanceName || snapshot.instance === instanceName));
+    if (matches.length === 0) {
+        console.error(chalk.red(`Snapshot not found: ${label}`));
+        console.log(chalk.yellow('Run "wp-dind snapshot list" to see available snapshots.'));
+        process.exit(1);
+    }
+    if (matches.length > 1) {
+        console.error(chalk.red(`Several instances have a snapshot "${label}": ${matches.map(snapshot => snapshot.site).join(', ')}`));
+        console.log(chalk.yellow('Select one with --instance <name>.'));
+        process.exit(1);
+    }
+    return matches[0];
+}
+
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+snapshotCommand
+    .command('create <label>')
+    .description('Snapshot the WordPress files and database')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance to snapshot (multi-instance mode)')
+    .option('-f, --force', 'Overwrite an existing snapshot with the same label')
+    .action(async (label, options) => {
+        const targetDir = resolveTargetDir(options);
+        exitOnInvalid(validateSnapshotLabel(label));
+
+        const site = resolveSite(targetDir, options.instance);
+        const existing = loadSnapshots(targetDir).find(snapshot => snapshot.site === site.name && snapshot.label === label);
+        if (existing && !options.force) {
+            console.error(chalk.red(`Snapshot "${label}" already exists for ${site.name}. Use --force to overwrite it.`));
+            process.exit(1);
+        }
+
+        const spinner = ora(`Creating snapshot "${label}" of ${site.name}...`).start();
+        try {
+            const snapshot = await createSnapshot(targetDir, site, label);
+            spinner.succeed(`Snapshot "${label}" of ${site.name} created (${formatSize(snapshot.size)}, ${snapshot.path})`);
+        } catch (error) {
+            spinner.fail(`Snapshot failed: ${error.message}`);
+            process.exit(1);
+        }
+    });
+
+snapshotCommand
+    .command('list')
+    .description('List snapshots')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Only show snapshots of this instance')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+        const targetDir = resolveTargetDir(options);
+        const snapshots = loadSnapshots(targetDir).filter(snapshot => !options.instance || snapshot.instance === options.instance);
+
+        if (options.json) {
+            printJson(snapshots);
+            return;
+        }
+
+        if (snapshots.length === 0) {
+            console.log(chalk.yellow('No snapshots yet. Create one with: wp-dind snapshot create <label>'));
+            return;
+        }
+
+        console.log(chalk.blue.bold('\n📸 Snapshots\n'));
+        console.log(chalk.gray(`  ${'LABEL'.padEnd(24)} ${'SITE'.padEnd(20)} ${'CREATED'.padEnd(20)} SIZE`));
+        snapshots.forEach(snapshot => {
+            const created = snapshot.createdAt.replace('T', ' ').slice(0, 19);
+            console.log(`  ${snapshot.label.padEnd(24)} ${snapshot.site.padEnd(20)} ${created.padEnd(20)} ${formatSize(snapshot.size)}`);
+        });
+        console.log('');
+    });
+
+snapshotCommand
+    .command('restore <label>')
+    .description('Roll WordPress files and database back to a snapshot')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance the snapshot belongs to (if the label is used more than once)')
+    .option('-y, --yes', 'Do not ask for confirmation')
+    .action(async (label, options) => {
+        const targetDir = resolveTargetDir(options);
+        const snapshot = findSnapshot(targetDir, label, options.instance);
+        const site = resolveSite(targetDir, snapshot.instance || undefined);
+
+        if (!options.yes) {
+            const answers = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirm',
+                message: chalk.red(`This replaces the WordPress files and database of ${site.name} with snapshot "${label}". Continue?`),
+                default: false
+            }]);
+            if (!answers.confirm) {
+                console.log(chalk.yellow('Cancelled.'));
+                return;
+            }
+        }
+
+        const spinner = ora(`Restoring snapshot "${label}"...`).start();
+        try {
+            await restoreSnapshot(targetDir, site, snapshot, step => {
+                spinner.text = step;
+            });
+            spinner.succeed(`${site.name} restored to snapshot "${label}" (${snapshot.createdAt})`);
+        } catch (error) {
+            spinner.fail(`Restore failed: ${error.message}`);
+            process.exit(1);
+        }
+    });
+
+snapshotCommand
+    .command('delete <label>')
+    .description('Delete a snapshot')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance the snapshot belongs to (if the label is used more than once)')
+    .action((label, options) => {
+        const targetDir = resolveTargetDir(options);
+        const snapshot = findSnapshot(targetDir, label, options.instance);
+        deleteSnapshot(targetDir, snapshot);
+        console.log(chalk.green(`✅ Snapshot "${label}" of ${snapshot.site} deleted`));
+    });
+
+program
+    .command('xdebug <action>')
+    .description('Turn Xdebug on or off, or show its status (on, off, status)')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance (multi-instance mode)')
+    .option('--mode <modes>', `Xdebug modes for "on", comma separated (${XDEBUG_MODES.join(', ')})`, 'debug')
+    .option('--client-host <host>', 'IDE host (default: gateway of the DinD network)')
+    .option('--client-port <port>', 'IDE port', String(DEFAULT_CLIENT_PORT))
+    .action((action, options) => {
+        const targetDir = resolveTargetDir(options);
+        exitOnInvalid(validateChoice('action', action, ['on', 'off', 'status']));
+
+        let modes;
+        const clientPort = Number(options.clientPort);
+        try {
+            modes = parseModes(options.mode);
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(1);
+        }
+        if (!Number.isInteger(clientPort) || clientPort < 1 || clientPort > 65535) {
+            console.error(chalk.red(`Invalid client port: ${options.clientPort}`));
+            process.exit(1);
+        }
+
+        const site = resolveSite(targetDir, options.instance);
+
+        try {
+            if (action === 'on') {
+                const clientHost = options.clientHost || getClientHost(site);
+                enableXdebug(site, { modes, clientHost, clientPort });
+                console.log(chalk.green(`✅ Xdebug enabled for ${site.name} (mode: ${modes.join(',')})`));
+                console.log(chalk.gray(`  Client: ${clientHost}:${clientPort} (the IDE must accept connections on this address, not only on 127.0.0.1)\n`));
+
+                // Where /var/www/html lives on the host, for the IDE's path mappings
+                const hostPath = site.instance
+                    ? path.join(targetDir, 'wordpress-instances', site.instance, 'data', 'wordpress')
+                    : path.join(targetDir, 'data', 'wordpress');
+                console.log(chalk.yellow('Path mappings:'));
+                console.log(chalk.gray(`  /var/www/html  =>  ${hostPath}\n`));
+                console.log(chalk.yellow('VS Code (launch.json):'));
+                console.log(chalk.gray(JSON.stringify({
+                    name: `Listen for Xdebug (${site.name})`,
+                    type: 'php',
+                    request: 'launch',
+                    port: clientPort,
+                    pathMappings: { '/var/www/html': hostPath }
+                }, null, 2).split('\n').map(line => `  ${line}`).join('\n')));
+                console.log(chalk.yellow('\nPhpStorm:'));
+                console.log(chalk.gray(`  Settings > PHP > Servers: map ${hostPath} to /var/www/html, listen on port ${clientPort}\n`));
+            } else if (action === 'off') {
+                disableXdebug(site);
+                console.log(chalk.green(`✅ Xdebug disabled for ${site.name}`));
+            } else {
+                const status = getXdebugStatus(site);
+                console.log(chalk.blue.bold(`\n🐞 Xdebug status for ${site.name}\n`));
+                if (!status.loaded) {
+                    console.log(chalk.gray('  Xdebug extension is not loaded in this PHP image.\n'));
+                    return;
+                }
+                console.log(chalk.gray(`  Enabled:     ${status.enabled ? chalk.green('yes') : 'no'}`));
+                console.log(chalk.gray(`  Mode:        ${status.mode || 'off'}`));
+                console.log(chalk.gray(`  Client:      ${status.clientHost}:${status.clientPort}`));
+                console.log(chalk.gray(`  Override:    ${status.override ? 'yes (wp-dind xdebug on)' : 'no (image defaults)'}\n`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Xdebug ${action} failed: ${error.message}`));
+            process.exit(1);
+        }
+    });
+
+// Change the PHP/MySQL/web server versions of the workspace site or an instance in place
+const stackCommand = program
+    .command('stack')
+    .description('Change the PHP, MySQL and web server versions of the workspace or an instance');
+
+// Run one of the manager scripts inside DinD with inherited output; returns its exit code
+function runDindScript(containerName, script, args) {
+    const result = spawnSync('docker', ['exec', containerName, script, ...args], { stdio: 'inherit' });
+    return result.error || result.status === null ? 1 : result.status;
+}
+
+stackCommand
+    .command('set')
+    .description('Switch to other PHP, MySQL or web server versions, recreating only the affected containers')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance to change (multi-instance mode)')
+    .option('--php <version>', 'PHP version (e.g. 8.2)')
+    .option('--mysql <version>', 'MySQL version (e.g. 5.7); the database is dumped and reloaded')
+    .option('--webserver <webserver>', `Web server (${WEBSERVERS.join(', ')})`)
+    .option('-y, --yes', 'Do not ask for confirmation before a MySQL version change')
+    .action(async (options) => {
+        const targetDir = resolveTargetDir(options);
+        const workspaceConfig = loadWorkspaceConfig(targetDir);
+        if (!workspaceConfig) {
+            console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+            console.log(chalk.yellow('Run "wp-dind init" first.'));
+            process.exit(1);
+        }
+
+        const provided = {
+            phpVersion: normalizeVersion(options.php),
+            mysqlVersion: normalizeVersion(options.mysql),
+            webserver: options.webserver
+        };
+        if (Object.values(provided).every(value => value === undefined)) {
+            console.error(chalk.red('Give at least one of --php, --mysql or --webserver.'));
+            process.exit(1);
+        }
+        const choices = getStackChoices(workspaceConfig);
+        exitOnInvalid(validateChoice('PHP version', provided.phpVersion, choices.phpVersions));
+        exitOnInvalid(validateChoice('MySQL version', provided.mysqlVersion, choices.mysqlVersions));
+        exitOnInvalid(validateChoice('web server', provided.webserver, choices.webservers));
+
+        const isWorkspace = workspaceConfig.workspaceType === 'workspace';
+        const containerName = getContainerName(targetDir, workspaceConfig);
+        const dind = getContainerState(containerName);
+        const dindRunning = dind && dind.state === 'running';
+
+        // A stopped workspace only needs its config changed: "start" regenerates the compose file.
+        // Everything else needs DinD (instances live there, and a MySQL change needs a dump).
+        const site = isWorkspace && !dindRunning && provided.mysqlVersion === undefined
+            ? buildSite(workspaceConfig, containerName, null)
+            : resolveSite(targetDir, options.instance);
+
+        let current;
+        if (isWorkspace) {
+            const stack = workspaceConfig.workspaceStack || {};
+            current = {
+                phpVersion: normalizeVersion(stack.phpVersion) || '8.3',
+                mysqlVersion: normalizeVersion(stack.mysqlVersion) || '8.0',
+                webserver: stack.webserver || 'nginx'
+            };
+        } else {
+            const instance = (listInstances(containerName) || []).find(entry => entry.name === site.instance);
+            if (!instance) {
+                console.error(chalk.red(`Instance not found: ${site.instance}`));
+                process.exit(1);
+            }
+            current = { ...instance.stack };
+        }
+
+        const target = { ...current };
+        Object.keys(provided).forEach(key => {
+            target[key] = provided[key] ?? current[key];
+        });
+        const changed = Object.keys(target).filter(key => target[key] !== current[key]);
+        if (changed.length === 0) {
+            console.log(chalk.yellow(`${site.name} already runs ${current.webserver}, PHP ${current.phpVersion}, MySQL ${current.mysqlVersion}.`));
+            return;
+        }
+        const mysqlChanged = changed.includes('mysqlVersion');
+
+        console.log(chalk.blue(`\nStack of ${site.name}:`));
+        console.log(chalk.gray(`  Web server: ${current.webserver} -> ${target.webserver}`));
+        console.log(chalk.gray(`  PHP:        ${current.phpVersion} -> ${target.phpVersion}`));
+        console.log(chalk.gray(`  MySQL:      ${current.mysqlVersion} -> ${target.mysqlVersion}\n`));
+
+        // MySQL data directories are not compatible across versions: dump, start empty, reload
+        let dumpFile = null;
+        if (mysqlChanged) {
+            const mysql = (listInnerContainers(containerName) || []).find(container => container.name === site.mysqlContainer);
+            if (!mysql || mysql.state !== 'running') {
+                console.error(chalk.red(`${site.mysqlContainer} is not running; it is needed to dump the database before the MySQL change.`));
+                process.exit(1);
+            }
+            if (parseFloat(target.mysqlVersion) < parseFloat(current.mysqlVersion)) {
+                console.log(chalk.yellow(`⚠️  Downgrading MySQL: a dump from ${current.mysqlVersion} may use features (e.g. utf8mb4_0900 collations) that ${target.mysqlVersion} cannot load.\n`));
+            }
+            if (!options.yes) {
+                const answers = await inquirer.prompt([{
+                    type: 'confirm',
+                    name: 'confirm',
+                    message: chalk.red(`Changing MySQL resets its data directory. The database of ${site.name} will be dumped and reloaded. Continue?`),
+                    default: false
+                }]);
+                if (!answers.confirm) {
+                    console.log(chalk.yellow('Cancelled.'));
+                    return;
+                }
+            }
+
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            dumpFile = path.join(targetDir, 'backups', `${site.name}-mysql-${current.mysqlVersion}-${timestamp}.sql.gz`);
+            fs.mkdirSync(path.dirname(dumpFile), { recursive: true });
+            const spinner = ora(`Dumping the database of ${site.name}...`).start();
+            try {
+                await dumpDatabase(site, fs.createWriteStream(dumpFile), { gzip: true });
+                spinner.succeed(`Database dumped to ${path.relative(targetDir, dumpFile)}`);
+            } catch (error) {
+                fs.rmSync(dumpFile, { force: true });
+                spinner.fail(`Dump failed, nothing was changed: ${error.message}`);
+                process.exit(1);
+            }
+        }
+
+        let status;
+        if (isWorkspace) {
+            workspaceConfig.workspaceStack = { ...workspaceConfig.workspaceStack, ...target };
+            saveWorkspaceConfig(targetDir, workspaceConfig);
+            if (!dindRunning) {
+                console.log(chalk.green('✅ Stack updated in wp-dind-workspace.json; it is applied on the next "wp-dind start".'));
+                return;
+            }
+
+            const services = [
+                ...(mysqlChanged ? ['workspace-mysql'] : []),
+                ...(changed.includes('phpVersion') ? ['workspace-php'] : []),
+                ...(changed.includes('webserver') ? [`workspace-${target.webserver}`] : [])
+            ];
+            status = runDindScript(containerName, '/app/workspace-manager.sh', [
+                'recreate', ...(mysqlChanged ? ['--reset-mysql-data'] : []), ...services
+            ]);
+        } else {
+            // instance-manager.sh takes version codes without the dot (8.3 => 83)
+            status = runDindScript(containerName, '/app/instance-manager.sh', [
+                'set-stack',
+                site.instance,
+                target.mysqlVersion.replace('.', ''),
+                target.phpVersion.replace('.', ''),
+                target.webserver,
+                ...(mysqlChanged ? ['--reset-mysql-data'] : [])
+            ]);
+            if (status === 0 && workspaceConfig.instances && workspaceConfig.instances[site.instance]) {
+                workspaceConfig.instances[site.instance].stack = target;
+                saveWorkspaceConfig(targetDir, workspaceConfig);
+            }
+        }
+
+        if (status !== 0) {
+            console.error(chalk.red('\nChanging the stack failed.'));
+            if (dumpFile) {
+                console.log(chalk.yellow(`The database dump is kept in ${dumpFile}; load it with "wp-dind db import".`));
+            }
+            process.exit(status);
+        }
+
+        if (dumpFile) {
+            const spinner = ora(`Waiting for MySQL ${target.mysqlVersion}...`).start();
+            try {
+                await waitForDatabase(site);
+                spinner.text = `Reloading the database of ${site.name}...`;
+                await restoreDatabase(site, fs.createReadStream(dumpFile), { gunzip: true });
+                spinner.succeed(`Database reloaded into MySQL ${target.mysqlVersion}`);
+            } catch (error) {
+                spinner.fail(`Reloading the database failed: ${error.message}`);
+                console.log(chalk.yellow(`The dump is kept in ${dumpFile}; load it with "wp-dind db import".`));
+                process.exit(1);
+            }
+            console.log(chalk.gray(`  The dump is kept in ${path.relative(targetDir, dumpFile)}; delete it once everything works.`));
+        }
+
+        console.log(chalk.green(`\n✅ ${site.name} now runs ${target.webserver}, PHP ${target.phpVersion}, MySQL ${target.mysqlVersion}`));
+    });
+
+program
+    .command('doctor')
+    .description('Check Docker, the DinD container and the workspace configuration')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+        const targetDir = resolveTargetDir(options);
+
+        let workspaceConfig = null;
+        let configError = null;
+        try {
+            workspaceConfig = loadWorkspaceConfig(targetDir);
+        } catch (error) {
+            configError = error.message;
+        }
+
+        const spinner = options.json ? null : ora({ text: 'Running checks...', stream: process.stderr }).start();
+        const checks = runDoctor({
+            targetDir,
+            workspaceConfig,
+            configError,
+            configProblems: workspaceConfig ? validateWorkspaceConfig(targetDir, workspaceConfig) : [],
+            containerName: getContainerName(targetDir, workspaceConfig),
+            otherSubnets: registeredWorkspaceSubnets(targetDir),
+            otherForwards: registeredWorkspaceForwards(targetDir),
+            composeOverride: getComposeOverride(),
+            services: getEnabledServices(workspaceConfig)
+        });
+        const summary = { pass: 0, warn: 0, fail: 0 };
+        checks.forEach(check => {
+            summary[check.status]++;
+        });
+
+        if (options.json) {
+            printJson({ directory: targetDir, workspace: workspaceConfig ? workspaceConfig.workspaceName : null, checks, summary });
+        } else {
+            spinner.stop();
+            const marks = { pass: chalk.green('✔'), warn: chalk.yellow('⚠'), fail: chalk.red('✖') };
+            console.log(chalk.blue.bold(`\n🩺 wp-dind doctor${workspaceConfig ? ` (${workspaceConfig.workspaceName})` : ''}\n`));
+            checks.forEach(check => {
+                console.log(`  ${marks[check.status]} ${check.name.padEnd(18)}${check.message}`);
+                if (check.hint && check.status !== 'pass') {
+                    console.log(chalk.gray(`    → ${check.hint}`));
+                }
+            });
+            console.log(chalk.gray(`\n  ${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed\n`));
+        }
+
+        if (summary.fail > 0) {
+            process.exit(1);
+        }
+    });
+
+program
+    .command('hosts')
+    .description('Print or apply hosts file entries for the <instance>.<workspace>.localhost hostnames')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--apply', `Write the entries to the hosts file (${HOSTS_FILE}), replacing older ones`)
+    .option('--remove', 'Remove the workspace entries from the hosts file')
+    .option('--file <file>', 'Hosts file to update (default: the system hosts file)')
+    .action((options) => {
+        const targetDir = resolveTargetDir(options);
+        const workspaceConfig = loadWorkspaceConfig(targetDir);
+        if (!workspaceConfig) {
+            console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+            console.log(chalk.yellow('Run "wp-dind init" first.'));
+            process.exit(1);
+        }
+
+        const workspaceName = workspaceConfig.workspaceName;
+        const hostsFile = options.file ? path.resolve(options.file) : HOSTS_FILE;
+
+        // Writes to the system hosts file need root; suggest the same command under sudo
+        const writeHostsFile = (block) => {
+            try {
+                return updateHostsFile(hostsFile, workspaceName, block);
+            } catch (error) {
+                console.error(chalk.red(`Cannot write ${hostsFile}: ${error.message}`));
+                if (error.code === 'EACCES' || error.code === 'EPERM') {
+                    const command = `wp-dind hosts ${options.remove ? '--remove' : '--apply'} -d ${targetDir}`;
+                    console.log(chalk.yellow(process.platform === 'win32'
+                        ? `Run "${command}" from an administrator terminal.`
+                        : `Run it as root: sudo ${command}`));
+                }
+                process.exit(1);
+            }
+        };
+
+        if (options.remove) {
+            const changed = writeHostsFile(null);
+            console.log(changed
+                ? chalk.green(`✅ Removed the ${workspaceName} entries from ${hostsFile}`)
+                : chalk.gray(`No ${workspaceName} entries in ${hostsFile}`));
+            return;
+        }
+
+        if (!getEnabledServices(workspaceConfig).proxy) {
+            console.error(chalk.red('The hostname proxy is disabled in this workspace (stack.services.proxy).'));
+            process.exit(1);
+        }
+
+        const containerName = getContainerName(targetDir, workspaceConfig);
+        const dindIP = getContainerIP(containerName);
+        if (!dindIP) {
+            console.error(chalk.red('DinD container is not running. Run "wp-dind start" first.'));
+            process.exit(1);
+        }
+
+        let hostnames;
+        if (workspaceConfig.workspaceType === 'workspace') {
+            hostnames = [siteHostname(workspaceName)];
+        } else {
+            const instances = listInstances(containerName);
+            if (instances === null) {
+                console.error(chalk.red('Unable to list instances. Make sure the environment is running.'));
+                process.exit(1);
+            }
+            hostnames = instances.map(instance => siteHostname(workspaceName, instance.name));
+        }
+        const block = buildHostsBlock(workspaceName, dindIP, hostnames);
+
+        if (!options.apply) {
+            // Entries on stdout, hints on stderr, so the output can be piped
+            console.log(block);
+            if (hostnames.length === 0) {
+                console.error(chalk.gray('No instances yet; create one with "wp-dind instance create <name>".'));
+            }
+            console.error(chalk.gray(`\nAdd these lines to ${HOSTS_FILE}, or run "wp-dind hosts --apply" (as root) to do it for you.`));
+            return;
+        }
+
+        const changed = writeHostsFile(block);
+        if (!changed) {
+            console.log(chalk.gray(`${hostsFile} is already up to date.`));
+            return;
+        }
+        console.log(chalk.green(`✅ Updated ${hostsFile}:`));
+        const ports = loadPorts(targetDir);
+        hostnames.forEach(hostname => {
+            console.log(chalk.gray(`  • ${proxyUrl(workspaceConfig, ports, hostname)} → ${dindIP}`));
+        });
+        console.log(chalk.gray('\nRun it again after "wp-dind start" if the DinD IP changes.'));
+    });
+
+// The workspace site or every instance, with the URL WordPress should use over http and https
+// (through the hostname proxy when its port is forwarded to 127.0.0.1, otherwise DinD IP + port)
+function collectHttpsSites(targetDir, workspaceConfig, containerName, dindIP) {
+    const ports = loadPorts(targetDir);
+    const httpProxy = isProxyOnLoopback(workspaceConfig, ports, false);
+    const httpsProxy = isProxyOnLoopback(workspaceConfig, ports, true);
+    const entries = workspaceConfig.workspaceType === 'workspace'
+        ? [{ instance: null, port: ports.wordpress, httpsPort: ports.wordpressHttps }]
+        : (listInstances(containerName) || []).map(instance => ({ instance: instance.name, port: instance.port, httpsPort: instance.httpsPort }));
+
+    return entries.map(entry => {
+        const hostname = siteHostname(workspaceConfig.workspaceName, entry.instance);
+        return {
+            label: entry.instance || workspaceConfig.workspaceName,
+            site: buildSite(workspaceConfig, containerName, entry.instance),
+            httpUrl: httpProxy ? siteUrl(hostname, ports.proxy) : `http://${dindIP}:${entry.port}`,
+            httpsUrl: httpsProxy ? siteUrl(hostname, ports.proxyHttps, true) : (entry.httpsPort ? `https://${dindIP}:${entry.httpsPort}` : null)
+        };
+    });
+}
+
+function printTrustInstructions(caFile, workspaceName) {
+    console.log(chalk.yellow('\nTrust the CA on this machine so browsers accept the certificates:'));
+    trustCommands(caFile, workspaceName).forEach(command => {
+        console.log(chalk.gray(`  ${command}`));
+    });
+    console.log(chalk.gray('  Firefox keeps its own list: import the file under Settings > Privacy & Security > Certificates.'));
+}
+
+program
+    .command('https <action>')
+    .description('Serve the sites over HTTPS with a local CA (enable, disable, status, ca)')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--update-urls', 'Also switch the WordPress home/siteurl options to https (http with disable)')
+    .option('--out <file>', `Where to export the CA certificate (default: ${CA_EXPORT_FILE} in the workspace)`)
+    .action((action, options) => {
+        const actions = ['enable', 'disable', 'status', 'ca'];
+        if (!actions.includes(action)) {
+            console.error(chalk.red(`Unknown action: ${action} (expected ${actions.join(', ')})`));
+            process.exit(1);
+        }
+
+        const targetDir = resolveTargetDir(options);
+        const workspaceConfig = loadWorkspaceConfig(targetDir);
+        if (!workspaceConfig) {
+            console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+            console.log(chalk.yellow('Run "wp-dind init" first.'));
+            process.exit(1);
+        }
+
+        const workspaceName = workspaceConfig.workspaceName;
+        const containerName = getContainerName(targetDir, workspaceConfig);
+        const enabled = workspaceConfig.https === true;
+
+        if (action === 'ca') {
+            const caFile = exportCaCert(targetDir, options.out);
+            if (!caFile) {
+                console.error(chalk.red('This workspace has no CA yet. Run "wp-dind https enable" first.'));
+                process.exit(1);
+            }
+            console.log(chalk.green(`✅ CA certificate exported to ${caFile}`));
+            printTrustInstructions(caFile, workspaceName);
+            return;
+        }
+
+        const dindIP = getContainerIP(containerName);
+
+        if (action === 'status') {
+            const caFile = caCertPath(targetDir);
+            console.log(chalk.blue.bold(`\n🔒 HTTPS (${workspaceName})\n`));
+            console.log(chalk.gray(`  HTTPS: ${enabled ? 'enabled' : 'disabled'}`));
+            console.log(chalk.gray(`  CA:    ${fs.existsSync(caFile) ? caFile : 'not created yet'}`));
+            if (enabled && dindIP) {
+                console.log('');
+                collectHttpsSites(targetDir, workspaceConfig, containerName, dindIP).forEach(entry => {
+                    console.log(chalk.gray(`  • ${entry.label.padEnd(20)} ${entry.httpsUrl || 'no HTTPS port assigned'}`));
+                });
+            } else if (enabled) {
+                console.log(chalk.gray('\n  Start the environment to see the HTTPS URLs.'));
+            }
+            console.log('');
+            return;
+        }
+
+        if (!dindIP) {
+            console.error(chalk.red('DinD container is not running. Run "wp-dind start" first.'));
+            process.exit(1);
+        }
+
+        const enable = action === 'enable';
+        // Collected before "apply" on disable, which releases the instances' HTTPS ports
+        const sitesBefore = enable ? null : collectHttpsSites(targetDir, workspaceConfig, containerName, dindIP);
+
+        workspaceConfig.https = enable;
+        saveWorkspaceConfig(targetDir, workspaceConfig);
+
+        console.log(chalk.blue(`\n🔒 ${enable ? 'Enabling' : 'Disabling'} HTTPS...\n`));
+        const code = runDindScript(containerName, '/app/https-manager.sh', ['apply']);
+        if (code !== 0) {
+            console.error(chalk.red('\n❌ Failed to apply the HTTPS setting (see the output above).'));
+            console.log(chalk.yellow('Run "wp-dind doctor" to check the DinD container.'));
+            process.exit(code);
+        }
+
+        const sites = sitesBefore || collectHttpsSites(targetDir, workspaceConfig, containerName, dindIP);
+
+        if (options.updateUrls) {
+            console.log(chalk.blue('\nUpdating WordPress URLs...'));
+            sites.forEach(entry => {
+                const url = enable ? entry.httpsUrl : entry.httpUrl;
+                if (!url) {
+                    console.log(chalk.yellow(`  ⚠️  ${entry.label}: no HTTPS port assigned, URLs left unchanged`));
+                    return;
+                }
+                const failed = ['home', 'siteurl'].some(option => runWpCli(targetDir, entry.site, ['option', 'update', option, url]) !== 0);
+                console.log(failed
+                    ? chalk.yellow(`  ⚠️  ${entry.label}: could not update home/siteurl (is WordPress installed?)`)
+                    : chalk.green(`  ✓ ${entry.label}: home/siteurl set to ${url}`));
+            });
+        }
+
+        if (!enable) {
+            console.log(chalk.green('\n✅ HTTPS disabled'));
+            if (!options.updateUrls) {
+                console.log(chalk.gray('Run "wp-dind https disable --update-urls" if WordPress still points at https URLs.'));
+            }
+            return;
+        }
+
+        console.log(chalk.green('\n✅ HTTPS enabled\n'));
+        sites.forEach(entry => {
+            console.log(chalk.gray(`  • ${entry.label.padEnd(20)} ${entry.httpsUrl || 'no HTTPS port assigned'}`));
+        });
+
+        const caFile = exportCaCert(targetDir, options.out);
+        if (caFile) {
+            console.log(chalk.gray(`\nCA certificate: ${caFile}`));
+            printTrustInstructions(caFile, workspaceName);
+        }
+        if (!options.updateUrls) {
+            console.log(chalk.gray('\nWordPress keeps its http home/siteurl; run "wp-dind https enable --update-urls" to switch them.'));
+        }
+    });
+
+program
+    .command('forward')
+    .description('Publish a service or instance port on 127.0.0.1 (without options, list the forwards)')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Forward an instance\'s web port (multi-instance mode); --port then sets the local port')
+    .option('-p, --port <local:remote>', 'Local port and the port or service inside DinD, e.g. 3307:3306 or 8080:phpmyadmin')
+    .option('--remove <local>', 'Stop forwarding a local port')
+    .option('--no-apply', 'Only save the change; it takes effect on the next "wp-dind start"')
+    .option('--json', 'Output machine-readable JSON (when listing)')
+    .action(async (options) => {
+        const targetDir = resolveTargetDir(options);
+        const workspaceConfig = loadWorkspaceConfig(targetDir);
+        if (!workspaceConfig) {
+            console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+            console.log(chalk.yellow('Run "wp-dind init" first.'));
+            process.exit(1);
+        }
+
+        const ports = loadPorts(targetDir);
+        const forwards = workspaceConfig.forwards || [];
+        const containerName = getContainerName(targetDir, workspaceConfig);
+        const describe = forward => (forward.service || forward.instance
+            ? `${describeForward(forward)} (DinD port ${forwardRemotePort(forward, ports)})`
+            : describeForward(forward));
+
+        if (!options.instance && !options.port && !options.remove) {
+            const entries = forwards.map(forward => ({
+                ...forward,
+                address: forwardAddress(forward),
+                target: describeForward(forward),
+                remotePort: forwardRemotePort(forward, ports)
+            }));
+            if (options.json) {
+                printJson(entries);
+                return;
+            }
+            if (entries.length === 0) {
+                console.log(chalk.gray('No forwards. Add one with "wp-dind forward --port 8080:phpmyadmin" or "wp-dind forward --instance <name>".'));
+                return;
+            }
+            console.log(chalk.blue.bold(`\n🔀 Forwards (${workspaceConfig.workspaceName})\n`));
+            entries.forEach(entry => {
+                console.log(chalk.gray(`  • ${entry.address.padEnd(24)} → ${describe(entry)}`));
+            });
+            console.log('');
+            return;
+        }
+
+        let updated;
+        let added = null;
+        if (options.remove) {
+            const local = Number(options.remove);
+            if (!forwards.some(forward => forward.local === local)) {
+                console.error(chalk.red(`127.0.0.1:${options.remove} is not forwarded in this workspace.`));
+                process.exit(1);
+            }
+            updated = forwards.filter(forward => forward.local !== local);
+        } else {
+            if (options.instance) {
+                if (workspaceConfig.workspaceType === 'workspace') {
+                    console.error(chalk.red('--instance is only available in multi-instance mode; use --port <local>:wordpress.'));
+                    process.exit(1);
+                }
+                const instance = (listInstances(containerName) || []).find(entry => entry.name === options.instance);
+                if (!instance || !instance.port) {
+                    console.error(chalk.red(`Instance "${options.instance}" not found or has no port. Is the environment running?`));
+                    process.exit(1);
+                }
+                const local = options.port ? Number(options.port) : instance.port;
+                if (!/^\d+$/.test(String(options.port || local)) || local < 1 || local > 65535) {
+                    console.error(chalk.red('With --instance, --port only takes the local port (e.g. --port 9001).'));
+                    process.exit(1);
+                }
+                added = { local, remote: instance.port, instance: instance.name };
+            } else {
+                added = parsePortMapping(options.port);
+                if (!added) {
+                    console.error(chalk.red(`Invalid port mapping: ${options.port} (expected <local>:<port or service>, e.g. 3307:3306 or 8080:phpmyadmin)`));
+                    process.exit(1);
+                }
+            }
+
+            const existing = forwards.find(forward => forward.local === added.local);
+            if (existing) {
+                if (describeForward(existing) === describeForward(added) && forwardRemotePort(existing, ports) === forwardRemotePort(added, ports)) {
+                    console.log(chalk.gray(`${forwardAddress(existing)} already forwards to ${describeForward(existing)}.`));
+                    return;
+                }
+                console.error(chalk.red(`127.0.0.1:${added.local} already forwards to ${describeForward(existing)}. Remove it first: wp-dind forward --remove ${added.local}`));
+                process.exit(1);
+            }
+
+            const conflict = findForwardConflict(added.local, registeredWorkspaceForwards(targetDir));
+            if (conflict) {
+                console.error(chalk.red(`127.0.0.1:${added.local} is already forwarded by ${conflict}. Choose another local port.`));
+                process.exit(1);
+            }
+            if (!(await isLocalPortFree(added.local))) {
+                console.error(chalk.red(`Something on this machine already listens on 127.0.0.1:${added.local}. Choose another local port.`));
+                process.exit(1);
+            }
+            updated = [...forwards, added];
+        }
+
+        workspaceConfig.forwards = updated;
+        saveWorkspaceConfig(targetDir, workspaceConfig);
+        writeDockerCompose(targetDir, workspaceConfig);
+
+        if (added) {
+            console.log(chalk.green(`✅ ${forwardAddress(added)} → ${describe(added)}`));
+        } else {
+            console.log(chalk.green(`✅ Stopped forwarding 127.0.0.1:${options.remove}`));
+        }
+
+        const container = getContainerState(containerName);
+        if (!options.apply || !container || container.state !== 'running') {
+            console.log(chalk.gray('Saved; the ports are published on the next "wp-dind start".'));
+            return;
+        }
+
+        // Published ports can only change by recreating the DinD container; the sites come back with it
+        console.log(chalk.blue('\nRecreating the DinD container to publish the ports...\n'));
+        try {
+            execSync(compose('up -d'), { cwd: targetDir, stdio: 'inherit' });
+        } catch (error) {
+            console.error(chalk.red('\n❌ Failed to recreate the DinD container. Run "wp-dind start" to retry.'));
+            process.exit(1);
+        }
+    });
+
+// Emails caught by MailHog, read through its API inside the DinD container
+const mailCommand = program
+    .command('mail')
+    .description('List, read, clear and wait for emails caught by MailHog');
+
+// DinD container of a workspace with MailHog enabled and running; exits otherwise
+function requireMailhog(options) {
+    const targetDir = resolveTargetDir(options);
+    const workspaceConfig = loadWorkspaceConfig(targetDir);
+    if (!workspaceConfig) {
+        console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+        console.log(chalk.yellow('Run "wp-dind init" first.'));
+        process.exit(1);
+    }
+    if (!getEnabledServices(workspaceConfig).mailhog) {
+        console.error(chalk.red('MailHog is disabled in this workspace (stack.services.mailhog).'));
+        process.exit(1);
+    }
+
+    const containerName = getContainerName(targetDir, workspaceConfig);
+    const dind = getContainerState(containerName);
+    if (!dind || dind.state !== 'running') {
+        console.error(chalk.red('DinD container is not running. Run "wp-dind start" first.'));
+        process.exit(1);
+    }
+    return containerName;
+}
+
+// Run a MailHog API call; exits with its error if MailHog does not answer
+function mailhogCall(fn) {
+    try {
+        return fn();
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+    }
+}
+
+// Message for "mail show"/"mail links"; exits if there is none
+function requireMessage(containerName, reference) {
+    const message = mailhogCall(() => findMessage(containerName, reference));
+    if (!message) {
+        console.error(chalk.red(`Message not found: ${reference}`));
+        console.log(chalk.yellow('Run "wp-dind mail list" to see caught emails.'));
+        process.exit(1);
+    }
+    return message;
+}
+
+// Summary of a message for --json (bodies are left to "mail show --json")
+function mailSummary(message, index) {
+    return { number: index + 1, id: message.id, date: message.date, from: message.from, to: message.to, subject: message.subject };
+}
+
+function mailDetails(message) {
+    return { id: message.id, date: message.date, from: message.from, to: message.to, subject: message.subject, text: message.text, html: message.html, links: extractLinks(message) };
+}
+
+mailCommand
+    .command('list')
+    .description('List caught emails, newest first')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+        const containerName = requireMailhog(options);
+        const messages = mailhogCall(() => listMessages(containerName));
+
+        if (options.json) {
+            printJson(messages.map(mailSummary));
+            return;
+        }
+
+        if (messages.length === 0) {
+            console.log(chalk.yellow('No emails caught yet.'));
+            return;
+        }
+
+        console.log(chalk.blue.bold('\n📧 Emails\n'));
+        console.log(chalk.gray(`  ${'#'.padEnd(4)} ${'RECEIVED'.padEnd(20)} ${'TO'.padEnd(30)} SUBJECT`));
+        messages.forEach((message, index) => {
+            const received = new Date(message.date).toISOString().replace('T', ' ').slice(0, 19);
+            console.log(`  ${String(index + 1).padEnd(4)} ${received.padEnd(20)} ${message.to.join(', ').padEnd(30)} ${message.subject}`);
+        });
+        console.log(chalk.gray('\n  Read one with: wp-dind mail show <#|id>\n'));
+    });
+
+mailCommand
+    .command('show <id>')
+    .description('Show an email by its number in "mail list" (1 = newest) or its MailHog ID')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--text', 'Show the plain text part (default; falls back to the HTML part as text)')
+    .option('--html', 'Show the HTML part')
+    .option('--raw', 'Show the raw message as received over SMTP')
+    .option('--json', 'Output machine-readable JSON')
+    .action((id, options) => {
+        const containerName = requireMailhog(options);
+        const message = requireMessage(containerName, id);
+
+        if (options.json) {
+            printJson(mailDetails(message));
+            return;
+        }
+        if (options.raw) {
+            process.stdout.write(message.raw.endsWith('\n') ? message.raw : `${message.raw}\n`);
+            return;
+        }
+
+        let body;
+        if (options.html) {
+            if (message.html === null) {
+                console.error(chalk.red('This email has no HTML part. Use --text instead.'));
+                process.exit(1);
+            }
+            body = message.html;
+        } else {
+            body = message.text !== null ? message.text : htmlToText(message.html || '');
+        }
+
+        console.log(chalk.gray(`From:    ${message.from}`));
+        console.log(chalk.gray(`To:      ${message.to.join(', ')}`));
+        console.log(chalk.gray(`Date:    ${new Date(message.date).toString()}`));
+        console.log(chalk.bold(`Subject: ${message.subject}\n`));
+        console.log(body.trimEnd());
+    });
+
+mailCommand
+    .command('links <id>')
+    .description('List the URLs in an email (password reset, activation links, ...)')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--json', 'Output machine-readable JSON')
+    .action((id, options) => {
+        const containerName = requireMailhog(options);
+        const links = extractLinks(requireMessage(containerName, id));
+
+        if (options.json) {
+            printJson(links);
+            return;
+        }
+        if (links.length === 0) {
+            console.log(chalk.yellow('No links in this email.'));
+            return;
+        }
+        links.forEach(link => console.log(link));
+    });
+
+mailCommand
+    .command('clear')
+    .description('Delete all caught emails')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .action((options) => {
+        const containerName = requireMailhog(options);
+        mailhogCall(() => deleteAllMessages(containerName));
+        console.log(chalk.green('✓ All caught emails deleted'));
+    });
+
+mailCommand
+    .command('wait')
+    .description('Wait until an email matching --to/--subject is caught (exits 1 on timeout; for scripted tests)')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--to <address>', 'Recipient contains this text (case-insensitive)')
+    .option('--subject <text>', 'Subject contains this text (case-insensitive)')
+    .option('--timeout <seconds>', 'Seconds to wait', '30')
+    .option('--json', 'Print the matching email as JSON')
+    .action(async (options) => {
+        const timeout = Number(options.timeout);
+        if (!Number.isFinite(timeout) || timeout < 0) {
+            console.error(chalk.red(`Invalid --timeout: ${options.timeout} (expected seconds)`));
+            process.exit(1);
+        }
+
+        const containerName = requireMailhog(options);
+        const filters = { to: options.to, subject: options.subject };
+        const wanted = [options.to && `to "${options.to}"`, options.subject && `subject "${options.subject}"`].filter(Boolean).join(', ') || 'any email';
+        const deadline = Date.now() + (timeout * 1000);
+
+        // Emails caught before the wait count too; run "mail clear" first to only see new ones
+        let message;
+        for (;;) {
+            message = mailhogCall(() => listMessages(containerName)).find(candidate => messageMatches(candidate, filters));
+            if (message || Date.now() >= deadline) {
+                break;
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+
+        if (!message) {
+            console.error(chalk.red(`No email matching ${wanted} within ${timeout}s.`));
+            process.exit(1);
+        }
+        if (options.json) {
+            printJson(mailDetails(message));
+            return;
+        }
+        console.log(chalk.green(`✓ ${message.subject} → ${message.to.join(', ')} (${message.id})`));
+    });
+
+// Redis object cache of the sites. Each site gets its own Redis database and key prefix,
+// recorded in "redis" of wp-dind-workspace.json as { <site>: { database, prefix } }.
+const cacheCommand = program
+    .command('cache')
+    .description('Connect WordPress to the DinD Redis as object cache, and flush or inspect it');
+
+// Workspace with Redis enabled, its DinD container running and Redis answering; exits otherwise
+function requireRedis(options) {
+    const targetDir = resolveTargetDir(options);
+    const workspaceConfig = loadWorkspaceConfig(targetDir);
+    if (!workspaceConfig) {
+        console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
+        console.log(chalk.yellow('Run "wp-dind init" first.'));
+        process.exit(1);
+    }
+    if (!getEnabledServices(workspaceConfig).redis) {
+        console.error(chalk.red('Redis is disabled in this workspace (stack.services.redis).'));
+        process.exit(1);
+    }
+
+    const containerName = getContainerName(targetDir, workspaceConfig);
+    const dind = getContainerState(containerName);
+    if (!dind || dind.state !== 'running') {
+        console.error(chalk.red('DinD container is not running. Run "wp-dind start" first.'));
+        process.exit(1);
+    }
+
+    const port = loadPorts(targetDir).redis;
+    if (!redisCli(containerName, port, ['PING']).ok) {
+        console.error(chalk.red(`Redis does not answer on port ${port} in ${containerName}.`));
+        console.log(chalk.yellow('Check it with: wp-dind logs -s redis'));
+        process.exit(1);
+    }
+    return { targetDir, workspaceConfig, containerName, port };
+}
+
+// Object cache entry of a site; exits if the cache is not enabled for it
+function requireCacheEntry(workspaceConfig, site) {
+    const entry = (workspaceConfig.redis || {})[site.name];
+    if (!entry) {
+        console.error(chalk.red(`The object cache is not enabled for ${site.name}.`));
+        console.log(chalk.yellow(`Enable it with: wp-dind cache enable${site.instance ? ` --instance ${site.instance}` : ''}`));
+        process.exit(1);
+    }
+    return entry;
+}
+
+cacheCommand
+    .command('enable')
+    .description('Install the Redis Object Cache plugin and its drop-in, with a Redis database of its own')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance to enable it for (multi-instance mode)')
+    .action((options) => {
+        const { targetDir, workspaceConfig, containerName, port } = requireRedis(options);
+        const site = resolveSite(targetDir, options.instance);
+        const redisConfig = workspaceConfig.redis || {};
+
+        const gateway = ensureGatewayBinding(containerName, port);
+        if (!gateway.ok) {
+            console.error(chalk.red(`Redis does not accept the sites on ${REDIS_HOST}, the wp-shared gateway (answer: ${gateway.answer}).`));
+            console.log(chalk.yellow('Check that the site is running ("wp-dind status"), then restart the environment ("wp-dind stop" and "wp-dind start").'));
+            console.log(chalk.yellow('An answer starting with DENIED comes from an older DinD image: pull or rebuild it (images/docker-dind-wp).'));
+            process.exit(1);
+        }
+
+        // Databases of removed instances can be handed out again
+        if (workspaceConfig.workspaceType !== 'workspace') {
+            const names = (listInstances(containerName) || []).map(instance => instance.name);
+            Object.keys(redisConfig).filter(name => !names.includes(name)).forEach(name => delete redisConfig[name]);
+        }
+
+        let entry = redisConfig[site.name];
+        if (!entry) {
+            const database = pickDatabase(redisConfig);
+            if (database === null) {
+                console.error(chalk.red(`All ${REDIS_DATABASES} Redis databases are in use. Run "wp-dind cache disable" for a site you no longer need.`));
+                process.exit(1);
+            }
+            entry = { database, prefix: `${site.name}:` };
+        }
+
+        console.log(chalk.blue(`\n⚡ Enabling the Redis object cache for ${site.name} (database ${entry.database})...\n`));
+        const pluginInstalled = runWpCli(targetDir, site, ['plugin', 'is-installed', OBJECT_CACHE_PLUGIN]) === 0;
+        const steps = [
+            pluginInstalled ? ['plugin', 'activate', OBJECT_CACHE_PLUGIN] : ['plugin', 'install', OBJECT_CACHE_PLUGIN, '--activate'],
+            ...cacheConstants(entry, port).map(([name, value, raw]) => ['config', 'set', name, value, '--type=constant', ...(raw ? ['--raw'] : [])]),
+            ['redis', 'enable']
+        ];
+        for (const args of steps) {
+            if (runWpCli(targetDir, site, args) !== 0) {
+                console.error(chalk.red(`\n❌ "wp ${args.join(' ')}" failed (see the output above). Is WordPress installed?`));
+                process.exit(1);
+            }
+        }
+
+        // Keys a removed site may have left in this database
+        flushDatabase(containerName, port, entry.database);
+
+        redisConfig[site.name] = entry;
+        workspaceConfig.redis = redisConfig;
+        saveWorkspaceConfig(targetDir, workspaceConfig);
+
+        console.log(chalk.green(`\n✅ Object cache enabled for ${site.name}`));
+        console.log(chalk.gray(`  Redis: ${REDIS_HOST}:${port}, database ${entry.database}, key prefix "${entry.prefix}"`));
+    });
+
+cacheCommand
+    .command('disable')
+    .description('Remove the object cache drop-in and settings, and free the site\'s Redis database')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance to disable it for (multi-instance mode)')
+    .action((options) => {
+        const { targetDir, workspaceConfig, containerName, port } = requireRedis(options);
+        const site = resolveSite(targetDir, options.instance);
+        const entry = requireCacheEntry(workspaceConfig, site);
+
+        console.log(chalk.blue(`\n⚡ Disabling the Redis object cache for ${site.name}...\n`));
+        if (runWpCli(targetDir, site, ['plugin', 'is-active', OBJECT_CACHE_PLUGIN]) === 0) {
+            runWpCli(targetDir, site, ['redis', 'disable']);
+            runWpCli(targetDir, site, ['plugin', 'deactivate', OBJECT_CACHE_PLUGIN]);
+        }
+        CACHE_CONSTANTS.forEach(name => {
+            if (runWpCli(targetDir, site, ['config', 'has', name, '--type=constant']) === 0) {
+                runWpCli(targetDir, site, ['config', 'delete', name, '--type=constant']);
+            }
+        });
+
+        flushDatabase(containerName, port, entry.database);
+        delete workspaceConfig.redis[site.name];
+        saveWorkspaceConfig(targetDir, workspaceConfig);
+
+        console.log(chalk.green(`\n✅ Object cache disabled for ${site.name} (Redis database ${entry.database} flushed and freed)`));
+    });
+
+cacheCommand
+    .command('flush')
+    .description('Empty the object cache of the workspace site or an instance')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance to flush (multi-instance mode)')
+    .option('--all', 'Flush every Redis database, not just this site\'s')
+    .action((options) => {
+        const { targetDir, workspaceConfig, containerName, port } = requireRedis(options);
+
+        if (options.all) {
+            if (!redisCli(containerName, port, ['FLUSHALL']).ok) {
+                console.error(chalk.red('Failed to flush Redis.'));
+                process.exit(1);
+            }
+            console.log(chalk.green('✓ All Redis databases flushed'));
+            return;
+        }
+
+        const site = resolveSite(targetDir, options.instance);
+        const entry = requireCacheEntry(workspaceConfig, site);
+        const keys = countKeys(containerName, port, entry.database);
+        if (!flushDatabase(containerName, port, entry.database)) {
+            console.error(chalk.red(`Failed to flush Redis database ${entry.database}.`));
+            process.exit(1);
+        }
+        console.log(chalk.green(`✓ Object cache of ${site.name} flushed (${keys === null ? 'unknown number of' : keys} keys, database ${entry.database})`));
+    });
+
+cacheCommand
+    .command('stats')
+    .description('Show Redis memory, hit rate and the keys of each site with the object cache enabled')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Only this instance (multi-instance mode)')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+        const { workspaceConfig, containerName, port } = requireRedis(options);
+        if (options.instance && workspaceConfig.workspaceType === 'workspace') {
+            console.error(chalk.red('--instance is only available in multi-instance mode.'));
+            process.exit(1);
+        }
+
+        const server = getServerStats(containerName, port);
+        const sites = Object.entries(workspaceConfig.redis || {})
+            .filter(([name]) => !options.instance || name === options.instance)
+            .map(([name, entry]) => ({ site: name, database: entry.database, prefix: entry.prefix, keys: countKeys(containerName, port, entry.database) }));
+
+        if (options.json) {
+            printJson({ host: REDIS_HOST, port, server, sites });
+            return;
+        }
+
+        console.log(chalk.blue.bold('\n⚡ Redis object cache\n'));
+        if (server) {
+            console.log(chalk.gray(`  Redis ${server.version}, ${server.usedMemory} used of ${server.maxMemory === '0B' ? 'unlimited' : server.maxMemory}`));
+            console.log(chalk.gray(`  Hits: ${server.hits}, misses: ${server.misses}${server.hitRate === null ? '' : `, hit rate ${server.hitRate}%`}\n`));
+        }
+        if (sites.length === 0) {
+            console.log(chalk.yellow(options.instance
+                ? `The object cache is not enabled for ${options.instance}.`
+                : 'No site uses the object cache yet. Enable it with: wp-dind cache enable'));
+            console.log('');
+            return;
+        }
+        console.log(chalk.gray(`  ${'SITE'.padEnd(24)} ${'DATABASE'.padEnd(10)} KEYS`));
+        sites.forEach(entry => {
+            console.log(`  ${entry.site.padEnd(24)} ${String(entry.database).padEnd(10)} ${entry.keys === null ? '-' : entry.keys}`);
+        });
+        console.log('');
+    });
+
+// Sub-sites of a multisite network (install-wordpress --multisite, instance create --multisite)
+const siteCommand = program
+    .command('site')
+    .description('Manage the sub-sites of a multisite network');
+
+siteCommand
+    .command('add <slug>')
+    .description('Add a sub-site to the multisite network of the workspace site or an instance')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-i, --instance <name>', 'Instance whose network gets the site (multi-instance mode)')
+    .option('--title <title>', 'Site title (default: the slug)')
+    .option('--email <email>', 'Admin email of the site (default: the network admin\'s)')
+    .action((slug, options) => {
+        // WordPress only allows lowercase letters, digits and hyphens in site slugs
+        if (!/^[a-z0-9-]+$/.test(slug)) {
+            console.error(chalk.red(`Invalid slug "${slug}": use lowercase letters, digits and hyphens.`));
+            process.exit(1);
+        }
+
+        const targetDir = resolveTargetDir(options);
+        const site = resolveSite(targetDir, options.instance);
+        if (runWpCli(targetDir, site, ['core', 'is-installed', '--network']) !== 0) {
+            console.error(chalk.red(`${site.name} is not a multisite network.`));
+            console.log(chalk.yellow(site.instance
+                ? 'Create the instance with "wp-dind instance create --multisite" and install WordPress with /app/install-wordpress.sh.'
+                : 'Install it with: wp-dind install-wordpress --multisite'));
+            process.exit(1);
+        }
+
+        console.log(chalk.blue(`\n🌐 Adding site "${slug}" to the ${site.name} network...\n`));
+        const args = ['site', 'create', `--slug=${slug}`, `--title=${options.title || slug}`];
+        if (options.email) {
+            args.push(`--email=${options.email}`);
+        }
+        if (runWpCli(targetDir, site, args) !== 0) {
+            console.error(chalk.red(`\n❌ Failed to add site "${slug}" (see the output above).`));
+            process.exit(1);
+        }
+
+        // Subdomain sites need their own hostname to resolve to the DinD IP
+        const workspaceConfig = loadWorkspaceConfig(targetDir);
+        const instance = site.instance ? (listInstances(site.containerName) || []).find(entry => entry.name === site.instance) : null;
+        const multisite = site.instance ? instance && instance.multisite : workspaceConfig.multisite;
+        if (multisite === 'subdomain') {
+            const hostname = `${slug}.${siteHostname(workspaceConfig.workspaceName, site.instance)}`;
+            console.log(chalk.yellow(`\nAdd the site's hostname to ${HOSTS_FILE} ("wp-dind hosts" only lists the main sites):`));
+            console.log(chalk.gray(`  ${getContainerIP(site.containerName)}\t${hostname}`));
+        }
+    });
+
+// Stack test matrix: one throwaway instance per PHP x MySQL x web server combination
+const matrixCommand = program
+    .command('matrix')
+    .description('Test a plugin or command against combinations of PHP, MySQL and web server versions');
+
+// Run a command in the DinD container and collect its output; returns { status, output }
+function dindRun(containerName, args, timeoutSeconds) {
+    const result = spawnSync('docker', ['exec', containerName, ...args], {
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        ...(timeoutSeconds ? { timeout: timeoutSeconds * 1000 } : {})
+    });
+    const output = `${result.stdout || ''}${result.stderr || ''}`;
+    if (result.error) {
+        const reason = result.error.code === 'ETIMEDOUT' ? `timed out after ${timeoutSeconds}s` : result.error.message;
+        return { status: null, output: `${output}\n${reason}\n` };
+    }
+    return { status: result.status, output };
+}
+
+// Set up the instance of one combination, run the checks in it and tear it down (unless `keep`).
+// Returns the result for the grid and JUnit report; `onStep` receives the name of each step.
+function runMatrixCombination(targetDir, containerName, combination, settings, onStep) {
+    const instance = instanceNameFor(combination);
+    const startedAt = Date.now();
+    let output = '';
+    const finish = (status, message) => ({ combination, instance, status, message, output, duration: Date.now() - startedAt });
+
+    // Each step's output is kept for the report; returns whether it succeeded
+    const step = (label, args, timeoutSeconds) => {
+        onStep(label);
+        const result = dindRun(containerName, args, timeoutSeconds);
+        output += `$ ${label}\n${result.output}${result.output.endsWith('\n') ? '' : '\n'}`;
+        return result.status === 0;
+    };
+
+    const code = version => version.replace('.', '');
+    if (!step('create instance', ['/app/instance-manager.sh', 'create', instance, code(combination.mysql), code(combination.php), combination.webserver])) {
+        return finish('error', 'Could not create the instance');
+    }
+    if (!step('start instance', ['/app/instance-manager.sh', 'start', instance])) {
+        return finish('error', 'Could not start the instance');
+    }
+
+    // Installed for the URL the checks use (inside DinD), not the hostname proxy
+    const entry = (listInstances(containerName) || []).find(candidate => candidate.name === instance);
+    const siteUrl = entry ? `http://127.0.0.1:${entry.port}` : null;
+    if (!siteUrl || !step('install WordPress', ['/app/install-wordpress.sh', instance, '--yes', '--url', siteUrl])) {
+        return finish('error', 'Could not install WordPress');
+    }
+
+    const phpContainer = `${instance}-php`;
+    let workdir = '/var/www/html';
+    if (settings.plugin) {
+        onStep('copy plugin');
+        const slug = path.basename(settings.plugin);
+        try {
+            // wordpress-instances/ is the DinD's /wordpress-instances, so the copy lands in the instance
+            fs.cpSync(settings.plugin, path.join(targetDir, 'wordpress-instances', instance, 'data', 'wordpress', 'wp-content', 'plugins', slug), {
+                recursive: true,
+                filter: source => path.basename(source) !== '.git'
+            });
+        } catch (error) {
+            output += `Could not copy ${settings.plugin}: ${error.message}\n`;
+            return finish('error', 'Could not copy the plugin');
+        }
+        workdir = `/var/www/html/wp-content/plugins/${slug}`;
+
+        if (settings.activate && !(ensureWpCli(containerName, phpContainer)
+            && step(`wp plugin activate ${slug}`, ['docker', 'exec', '-u', settings.user, '-e', 'HOME=/tmp', phpContainer,
+                'wp', '--path=/var/www/html', 'plugin', 'activate', slug]))) {
+            return finish('failed', `Plugin ${slug} could not be activated`);
+        }
+    }
+
+    if (settings.command.length > 0) {
+        if (!ensureWpCli(containerName, phpContainer)) {
+            output += `Could not find or install WP-CLI in ${phpContainer}\n`;
+            return finish('error', 'WP-CLI is not available');
+        }
+        const env = {
+            WP_DIND_INSTANCE: instance,
+            WP_DIND_PHP: combination.php,
+            WP_DIND_MYSQL: combination.mysql,
+            WP_DIND_WEBSERVER: combination.webserver
+        };
+        if (!step(settings.command.join(' '), [
+            'docker', 'exec', '-u', settings.user, '-e', 'HOME=/tmp',
+            ...Object.entries(env).flatMap(([name, value]) => ['-e', `${name}=${value}`]),
+            '-w', workdir, phpContainer, ...settings.command
+        ], settings.timeout)) {
+            return finish('failed', `"${settings.command.join(' ')}" failed`);
+        }
+    }
+
+    if (settings.http) {
+        onStep(`GET ${settings.http}`);
+        const result = dindRun(containerName, ['curl', '-sS', '-k', '-L', '-o', '/dev/null', '-m', '30', '-w', '%{http_code}', `${siteUrl}${settings.http}`]);
+        const status = result.output.trim().slice(-3);
+        output += `$ GET ${settings.http}\nHTTP ${status}\n`;
+        if (result.status !== 0 || !/^2\d\d$/.test(status)) {
+            return finish('failed', `GET ${settings.http} answered HTTP ${status}`);
+        }
+    }
 
-program
-    .command('status')
-    .description('Check the status of the WordPress DinD environment')
-    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
-    .action((options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
-        console.log(chalk.blue('WordPress DinD Environment Status:\n'));
-        execCommand('docker-compose ps', { cwd: targetDir });
-    });
+    return finish('passed', '');
+}
 
-program
-    .command('ports')
-    .description('List all accessible services and ports')
+matrixCommand
+    .command('run [command...]')
+    .description('Create an instance per combination, run a command (after --) and/or an HTTP check in each, then remove them')
     .option('-d, --dir <directory>', 'Target directory (default: current directory)')
-    .action((options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
-
-        // Load workspace config
-        const workspaceConfig = loadWorkspaceConfig(targetDir);
-        if (!workspaceConfig) {
-            console.error(chalk.red('This directory is not initialized as a wp-dind workspace.'));
-            console.log(chalk.yellow('Run "wp-dind init" first.'));
+    .option('--php <versions>', 'PHP versions, comma-separated (e.g. 7.4,8.1,8.3)')
+    .option('--mysql <versions>', 'MySQL versions, comma-separated (e.g. 5.7,8.0)')
+    .option('--webserver <webservers>', `Web servers, comma-separated (${WEBSERVERS.join(', ')})`)
+    .option('--plugin <directory>', 'Plugin directory to copy into each instance and activate')
+    .option('--no-activate', 'Copy the plugin without activating it')
+    .option('--http <path>', 'Also request this path (e.g. /) and expect a 2xx answer')
+    .option('--timeout <seconds>', 'Time limit for the command in each instance', '600')
+    .option('--junit <file>', 'Write the results as JUnit XML')
+    .option('--keep', 'Keep the instances afterwards (to inspect failures)')
+    .action((command, options) => {
+        const targetDir = resolveTargetDir(options);
+        const { workspaceConfig, containerName } = requireInstanceWorkspace(targetDir);
+        const choices = getStackChoices(workspaceConfig);
+
+        const phpVersions = options.php ? parseList(options.php).map(normalizeVersion) : [pickDefault(choices.phpVersions, PHP_VERSIONS[0])];
+        const mysqlVersions = options.mysql ? parseList(options.mysql).map(normalizeVersion) : [pickDefault(choices.mysqlVersions, MYSQL_VERSIONS[0])];
+        const webservers = options.webserver ? parseList(options.webserver) : [pickDefault(choices.webservers, WEBSERVERS[0])];
+        phpVersions.forEach(version => exitOnInvalid(validateChoice('PHP version', version, choices.phpVersions)));
+        mysqlVersions.forEach(version => exitOnInvalid(validateChoice('MySQL version', version, choices.mysqlVersions)));
+        webservers.forEach(webserver => exitOnInvalid(validateChoice('web server', webserver, choices.webservers)));
+
+        if (command.length === 0 && !options.http) {
+            console.error(chalk.red('Nothing to run: give a command after -- and/or --http <path>.'));
+            console.log(chalk.yellow('Example: wp-dind matrix run --php 7.4,8.3 --plugin ./my-plugin -- wp plugin list'));
+            process.exit(1);
+        }
+        if (options.http && !options.http.startsWith('/')) {
+            console.error(chalk.red(`Invalid --http: ${options.http} (expected a path such as /)`));
+            process.exit(1);
+        }
+        const timeout = Number(options.timeout);
+        if (!Number.isFinite(timeout) || timeout <= 0) {
+            console.error(chalk.red(`Invalid --timeout: ${options.timeout} (expected seconds)`));
             process.exit(1);
         }
 
-        const containerName = `wp-dind-${workspaceConfig.workspaceName}`;
+        let plugin = null;
+        if (options.plugin) {
+            plugin = path.resolve(options.plugin);
+            if (!fs.existsSync(plugin) || !fs.statSync(plugin).isDirectory()) {
+                console.error(chalk.red(`Plugin directory not found: ${plugin}`));
+                process.exit(1);
+            }
+        }
 
-        // Get DinD container IP
-        let dindIP = 'N/A';
-        try {
-            const ipCmd = `docker inspect -f '{{range .NetworkSettings.Networks}}{{.IPAddress}}{{end}}' ${containerName}`;
-            dindIP = require('child_process').execSync(ipCmd, { encoding: 'utf8' }).trim();
-        } catch (error) {
-            console.error(chalk.red('DinD container is not running. Run "wp-dind start" first.'));
+        // Instances left by an earlier --keep run would be reused half-configured
+        const combinations = buildCombinations(phpVersions, mysqlVersions, webservers);
+        const existing = (listInstances(containerName) || []).map(instance => instance.name);
+        const leftovers = combinations.map(instanceNameFor).filter(name => existing.includes(name));
+        if (leftovers.length > 0) {
+            console.error(chalk.red(`Instances from an earlier run exist: ${leftovers.join(', ')}`));
+            console.log(chalk.yellow(`Remove them first: ${leftovers.map(name => `wp-dind instance remove ${name} --force`).join(' && ')}`));
             process.exit(1);
         }
 
-        console.log(chalk.blue.bold('\n🌐 WordPress DinD Services\n'));
-        console.log(chalk.gray(`Workspace: ${workspaceConfig.workspaceName}`));
-        console.log(chalk.gray(`Type: ${workspaceConfig.workspaceType}`));
-        console.log(chalk.gray(`DinD IP: ${dindIP}\n`));
+        const envVars = parseEnvFile(targetDir);
+        const settings = {
+            command,
+            http: options.http,
+            plugin,
+            activate: options.activate,
+            timeout,
+            user: `${envVars.PUID || 1000}:${envVars.PGID || 1000}`
+        };
 
-        console.log(chalk.yellow('Core Services:'));
-        console.log(chalk.gray(`  • Docker Daemon:     ${dindIP}:2375`));
-        console.log(chalk.gray(`  • MySQL:             ${dindIP}:3306`));
-        console.log(chalk.gray(`  • phpMyAdmin:        http://${dindIP}:8080`));
-        console.log(chalk.gray(`  • MailCatcher Web:   http://${dindIP}:1080`));
-        console.log(chalk.gray(`  • MailCatcher SMTP:  ${dindIP}:1025`));
-        console.log(chalk.gray(`  • Redis:             ${dindIP}:6379`));
-        console.log(chalk.gray(`  • Redis Commander:   http://${dindIP}:8081\n`));
+        // Ctrl+C stops after the current combination, whose instance is still removed
+        let interrupted = false;
+        process.on('SIGINT', () => {
+            interrupted = true;
+        });
 
-        if (workspaceConfig.workspaceType === 'workspace') {
-            console.log(chalk.yellow('WordPress:'));
-            console.log(chalk.gray(`  • WordPress Site:    http://${dindIP}:8000\n`));
-        } else {
-            console.log(chalk.yellow('WordPress Instances:'));
+        console.log(chalk.blue.bold(`\n🧪 Stack matrix: ${combinations.length} combination${combinations.length === 1 ? '' : 's'}\n`));
+        const results = [];
+        for (const [index, combination] of combinations.entries()) {
+            const label = `[${index + 1}/${combinations.length}] ${combinationLabel(combination)}`;
+            const spinner = ora(label).start();
+            const result = runMatrixCombination(targetDir, containerName, combination, settings, stepName => {
+                spinner.text = `${label}: ${stepName}...`;
+            });
+            results.push(result);
 
-            // Get list of instances from DinD
-            try {
-                const listCmd = `docker exec ${containerName} /app/instance-manager.sh list`;
-                const output = require('child_process').execSync(listCmd, { encoding: 'utf8' });
-
-                // Parse instance list
-                const lines = output.split('\n');
-                let foundInstances = false;
-
-                for (const line of lines) {
-                    // Look for lines with instance info (format: name | port | status)
-                    if (line.includes('|') && !line.includes('Name') && line.trim()) {
-                        const parts = line.split('|').map(p => p.trim());
-                        if (parts.length >= 2) {
-                            const name = parts[0];
-                            const port = parts[1];
-                            console.log(chalk.gray(`  • ${name.padEnd(20)} http://${dindIP}:${port}`));
-                            foundInstances = true;
-                        }
-                    }
-                }
+            const time = `${(result.duration / 1000).toFixed(1)}s`;
+            if (result.status === 'passed') {
+                spinner.succeed(`${label} ${chalk.gray(time)}`);
+            } else {
+                spinner.fail(`${label}: ${result.message} ${chalk.gray(time)}`);
+            }
 
-                if (!foundInstances) {
-                    console.log(chalk.gray('  No instances created yet.'));
-                    console.log(chalk.gray(`  Create one with: docker exec ${containerName} /app/instance-manager.sh create <name> 80 83 nginx\n`));
-                } else {
-                    console.log('');
+            if (!options.keep) {
+                const removed = dindRun(containerName, ['/app/instance-manager.sh', 'remove', result.instance, '--force']);
+                if (removed.status !== 0 && result.status !== 'error') {
+                    console.log(chalk.yellow(`  Could not remove ${result.instance}; run "wp-dind instance remove ${result.instance} --force"`));
                 }
-            } catch (error) {
-                console.log(chalk.gray('  Unable to list instances. Make sure the environment is running.\n'));
+            }
+            if (interrupted) {
+                console.log(chalk.yellow(`\nInterrupted, ${combinations.length - results.length} combination(s) not run.`));
+                break;
             }
         }
 
-        console.log(chalk.yellow('MySQL Connection:'));
-        console.log(chalk.gray(`  Host: ${dindIP}`));
-        console.log(chalk.gray(`  Port: 3306`));
-        console.log(chalk.gray(`  Database: wordpress`));
-        console.log(chalk.gray(`  Username: wordpress`));
-        console.log(chalk.gray(`  Password: wordpress\n`));
-    });
+        console.log(chalk.blue.bold('\nResults:\n'));
+        const cells = {
+            passed: { plain: 'PASS', display: chalk.green('PASS') },
+            failed: { plain: 'FAIL', display: chalk.red('FAIL') },
+            error: { plain: 'ERROR', display: chalk.yellow('ERROR') }
+        };
+        buildGrid(results, result => cells[result.status]).forEach((line, index) => {
+            console.log(index === 0 ? chalk.gray(`  ${line}`) : `  ${line}`);
+        });
 
+        const unsuccessful = results.filter(result => result.status !== 'passed');
+        unsuccessful.forEach(result => {
+            console.log(chalk.red(`\n✗ ${combinationLabel(result.combination)}: ${result.message}`));
+            console.log(chalk.gray(outputTail(result.output).split('\n').map(line => `    ${line}`).join('\n')));
+        });
 
-program
-    .command('logs')
-    .description('View logs from the WordPress DinD environment')
-    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
-    .option('-f, --follow', 'Follow log output')
-    .option('-s, --service <service>', 'Show logs for specific service')
-    .action((options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
-        let cmd = 'docker-compose logs';
-        if (options.follow) cmd += ' -f';
-        if (options.service) cmd += ` ${options.service}`;
+        if (options.junit) {
+            const junitFile = path.resolve(options.junit);
+            fs.writeFileSync(junitFile, buildJUnitXml(results));
+            console.log(chalk.gray(`\nJUnit report: ${junitFile}`));
+        }
+        if (options.keep) {
+            console.log(chalk.gray(`\nKept instances: ${results.map(result => result.instance).join(', ')}`));
+            console.log(chalk.gray('Remove them with "wp-dind instance remove <name> --force".'));
+        }
 
-        execCommand(cmd, { cwd: targetDir });
+        const passed = results.length - unsuccessful.length;
+        console.log((unsuccessful.length === 0 ? chalk.green : chalk.red)(`\n${passed}/${results.length} passed\n`));
+        process.exit(interrupted ? 130 : (unsuccessful.length === 0 ? 0 : 1));
     });
 
 program
@@ -1023,21 +3561,21 @@ program
     .option('-i, --interactive', 'Run in interactive mode (allocate TTY)', false)
     .option('-u, --user <user>', 'Run as specific user (e.g., www-data, root)')
     .action((container, command, options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
+        const targetDir = resolveTargetDir(options);
 
         // Check if we're targeting the DinD host or a WordPress instance container
         let dockerCmd;
 
         if (container === 'dind' || container === 'host') {
             // Execute in the DinD host container
-            dockerCmd = `docker-compose exec`;
+            dockerCmd = compose('exec');
             if (options.user) dockerCmd += ` -u ${options.user}`;
             if (!options.interactive) dockerCmd += ` -T`;
             dockerCmd += ` wordpress-dind ${command.join(' ')}`;
         } else {
             // Execute in a WordPress instance container (inside DinD)
             // Format: <instance-name>-<service> or just <container-name>
-            dockerCmd = `docker-compose exec`;
+            dockerCmd = compose('exec');
             if (!options.interactive) dockerCmd += ` -T`;
             dockerCmd += ` wordpress-dind docker exec`;
             if (options.interactive) dockerCmd += ` -it`;
@@ -1049,22 +3587,210 @@ program
         execCommand(dockerCmd, { cwd: targetDir });
     });
 
-program
-    .command('instance <action> [args...]')
-    .description('Manage WordPress instances (create, start, stop, remove, list, info, logs)')
-    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
-    .action((action, args, options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
+// Instance management (multi-instance mode), backed by /app/instance-manager.sh inside DinD
+const instanceCommand = program
+    .command('instance')
+    .description('Manage WordPress instances (create, clone, start, stop, remove, list, info, logs)');
 
-        const validActions = ['create', 'start', 'stop', 'remove', 'list', 'info', 'logs'];
-        if (!validActions.includes(action)) {
-            console.error(chalk.red(`Invalid action: ${action}`));
-            console.log(chalk.yellow(`Valid actions: ${validActions.join(', ')}`));
+instanceCommand
+    .command('create [name]')
+    .description('Create a new WordPress instance')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--php <version>', 'PHP version (e.g. 8.3)')
+    .option('--mysql <version>', 'MySQL version (e.g. 8.0)')
+    .option('--webserver <webserver>', `Web server (${WEBSERVERS.join(', ')})`)
+    .option('--multisite', 'Set the instance up for a multisite network (sub-sites in subdirectories)')
+    .option('--subdomains', 'With --multisite: sub-sites on subdomains of the instance hostname (needs the proxy)')
+    .option('-y, --yes', 'Use defaults for options that are not given instead of prompting')
+    .action(async (name, options) => {
+        const targetDir = resolveTargetDir(options);
+        const { workspaceConfig, containerName } = requireInstanceWorkspace(targetDir);
+        const choices = getStackChoices(workspaceConfig);
+
+        if (options.subdomains && !options.multisite) {
+            console.error(chalk.red('--subdomains only applies to --multisite.'));
+            process.exit(1);
+        }
+        if (options.subdomains && !getEnabledServices(workspaceConfig).proxy) {
+            console.error(chalk.red('A subdomain network needs hostname routing, which is disabled in this workspace (stack.services.proxy).'));
             process.exit(1);
         }
 
-        const cmd = `docker-compose exec -T wordpress-dind /app/instance-manager.sh ${action} ${args.join(' ')}`;
-        execCommand(cmd, { cwd: targetDir });
+        const provided = {
+            name,
+            phpVersion: normalizeVersion(options.php),
+            mysqlVersion: normalizeVersion(options.mysql),
+            webserver: options.webserver
+        };
+
+        if (provided.name !== undefined) {
+            exitOnInvalid(validateInstanceName(provided.name));
+        }
+        exitOnInvalid(validateChoice('PHP version', provided.phpVersion, choices.phpVersions));
+        exitOnInvalid(validateChoice('MySQL version', provided.mysqlVersion, choices.mysqlVersions));
+        exitOnInvalid(validateChoice('web server', provided.webserver, choices.webservers));
+
+        const defaults = {
+            phpVersion: pickDefault(choices.phpVersions, PHP_VERSIONS[0]),
+            mysqlVersion: pickDefault(choices.mysqlVersions, MYSQL_VERSIONS[0]),
+            webserver: pickDefault(choices.webservers, WEBSERVERS[0])
+        };
+        if (options.yes) {
+            if (provided.name === undefined) {
+                console.error(chalk.red('An instance name is required with --yes'));
+                process.exit(1);
+            }
+            Object.keys(defaults).forEach(key => {
+                provided[key] = provided[key] ?? defaults[key];
+            });
+        }
+
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'name',
+                message: 'Instance name:',
+                validate: validateInstanceName
+            },
+            {
+                type: 'list',
+                name: 'phpVersion',
+                message: 'PHP version:',
+                choices: choices.phpVersions,
+                default: defaults.phpVersion
+            },
+            {
+                type: 'list',
+                name: 'mysqlVersion',
+                message: 'MySQL version:',
+                choices: choices.mysqlVersions,
+                default: defaults.mysqlVersion
+            },
+            {
+                type: 'list',
+                name: 'webserver',
+                message: 'Web server:',
+                choices: choices.webservers,
+                default: defaults.webserver
+            }
+        ].filter(question => provided[question.name] === undefined));
+        const instance = { ...provided, ...answers };
+
+        // instance-manager.sh takes version codes without the dot (8.3 => 83); the multisite mode
+        // goes into the web server config and .instance-info, for /app/install-wordpress.sh
+        runInstanceManager(containerName, [
+            'create',
+            instance.name,
+            instance.mysqlVersion.replace('.', ''),
+            instance.phpVersion.replace('.', ''),
+            instance.webserver,
+            ...(options.multisite ? [options.subdomains ? 'subdomain' : 'subdirectory'] : [])
+        ]);
+    });
+
+instanceCommand
+    .command('clone [source] [target]')
+    .description('Clone an existing instance')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--strategy <strategy>', `Clone strategy (${CLONE_STRATEGIES.join(', ')})`)
+    .action(async (source, target, options) => {
+        const targetDir = resolveTargetDir(options);
+        const { containerName } = requireInstanceWorkspace(targetDir);
+
+        const provided = { target, strategy: options.strategy };
+        exitOnInvalid(validateChoice('clone strategy', provided.strategy, CLONE_STRATEGIES));
+        if (provided.target !== undefined) {
+            exitOnInvalid(validateInstanceName(provided.target));
+        }
+
+        const sourceName = await promptInstanceName(containerName, source, 'Instance to clone:');
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'target',
+                message: 'Name of the clone:',
+                default: `${sourceName}-clone`,
+                validate: validateInstanceName
+            },
+            {
+                type: 'list',
+                name: 'strategy',
+                message: 'Clone strategy:',
+                choices: [
+                    { name: 'symlink - share files, separate database', value: 'symlink' },
+                    { name: 'copy-all - copy files and database', value: 'copy-all' },
+                    { name: 'copy-files - copy files, empty database', value: 'copy-files' }
+                ],
+                default: CLONE_STRATEGIES[0]
+            }
+        ].filter(question => provided[question.name] === undefined));
+        const clone = { ...provided, ...answers };
+
+        runInstanceManager(containerName, ['clone', sourceName, clone.target, clone.strategy]);
+    });
+
+['start', 'stop', 'info'].forEach(action => {
+    instanceCommand
+        .command(`${action} [name]`)
+        .description({ start: 'Start an instance', stop: 'Stop an instance', info: 'Show instance details, credentials and URLs' }[action])
+        .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+        .action(async (name, options) => {
+            const targetDir = resolveTargetDir(options);
+            const { containerName } = requireInstanceWorkspace(targetDir);
+            const instanceName = await promptInstanceName(containerName, name, `Instance to ${action === 'info' ? 'show' : action}:`);
+            runInstanceManager(containerName, [action, instanceName]);
+        });
+});
+
+instanceCommand
+    .command('remove [name]')
+    .description('Remove an instance and all of its data')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-f, --force', 'Do not ask for confirmation')
+    .action(async (name, options) => {
+        const targetDir = resolveTargetDir(options);
+        const { containerName } = requireInstanceWorkspace(targetDir);
+        const instanceName = await promptInstanceName(containerName, name, 'Instance to remove:');
+
+        if (!options.force) {
+            const answers = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirm',
+                message: chalk.red(`This will remove all data for instance '${instanceName}'. Are you sure?`),
+                default: false
+            }]);
+            if (!answers.confirm) {
+                console.log(chalk.yellow('Cancelled.'));
+                return;
+            }
+        }
+
+        runInstanceManager(containerName, ['remove', instanceName, '--force']);
+    });
+
+instanceCommand
+    .command('list')
+    .description('List all instances')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+        const targetDir = resolveTargetDir(options);
+        const { containerName } = requireInstanceWorkspace(targetDir);
+        runInstanceManager(containerName, options.json ? ['list', '--json'] : ['list']);
+    });
+
+instanceCommand
+    .command('logs [name]')
+    .description('Follow the logs of an instance')
+    .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('-s, --service <service>', `Only show one service (${INSTANCE_SERVICES.join(', ')})`)
+    .action(async (name, options) => {
+        const targetDir = resolveTargetDir(options);
+        const { containerName } = requireInstanceWorkspace(targetDir);
+
+        exitOnInvalid(validateChoice('service', options.service, INSTANCE_SERVICES));
+        const instanceName = await promptInstanceName(containerName, name, 'Instance:');
+        runInstanceManager(containerName, options.service ? ['logs', instanceName, options.service] : ['logs', instanceName]);
     });
 
 program
@@ -1072,19 +3798,30 @@ program
     .description('List all containers (DinD host and WordPress instances)')
     .option('-d, --dir <directory>', 'Target directory (default: current directory)')
     .option('-a, --all', 'Show all containers (including stopped)')
+    .option('--json', 'Output machine-readable JSON')
     .action((options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
+        const targetDir = resolveTargetDir(options);
+
+        if (options.json) {
+            const containerName = getContainerName(targetDir, loadWorkspaceConfig(targetDir));
+            const dind = getContainerState(containerName);
+            printJson({
+                dind,
+                containers: dind && dind.state === 'running' ? (listInnerContainers(containerName, options.all) || []) : []
+            });
+            return;
+        }
 
         console.log(chalk.blue.bold('WordPress DinD Containers:\n'));
 
         // Show DinD host container
         console.log(chalk.yellow('DinD Host Container:'));
-        execCommand('docker-compose ps', { cwd: targetDir });
+        execCommand(compose('ps'), { cwd: targetDir });
 
         // Show WordPress instance containers (inside DinD)
         console.log(chalk.yellow('\nWordPress Instance Containers (inside DinD):'));
         const psCmd = options.all ? 'docker ps -a' : 'docker ps';
-        execCommand(`docker-compose exec -T wordpress-dind ${psCmd}`, {
+        execCommand(compose(`exec -T wordpress-dind ${psCmd}`), {
             cwd: targetDir,
             ignoreError: true
         });
@@ -1100,8 +3837,10 @@ program
     .option('--admin-password <password>', 'WordPress admin password')
     .option('--admin-email <email>', 'WordPress admin email')
     .option('--skip-install', 'Only download WordPress, skip installation')
+    .option('--multisite', 'Install a multisite network (sub-sites in subdirectories)')
+    .option('--subdomains', 'With --multisite: sub-sites on subdomains of the hostname (needs the proxy)')
     .action(async (options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
+        const targetDir = resolveTargetDir(options);
 
         // Check if workspace is initialized
         const workspaceConfig = loadWorkspaceConfig(targetDir);
@@ -1118,6 +3857,17 @@ program
             process.exit(1);
         }
 
+        if (options.subdomains && !options.multisite) {
+            console.error(chalk.red('--subdomains only applies to --multisite.'));
+            process.exit(1);
+        }
+        // Sub-sites of a subdomain network live on <site>.<hostname>, only the proxy routes those
+        if (options.subdomains && !getEnabledServices(workspaceConfig).proxy) {
+            console.error(chalk.red('A subdomain network needs hostname routing, which is disabled in this workspace (stack.services.proxy).'));
+            console.log(chalk.yellow('Use a subdirectory network (--multisite without --subdomains), it works on the IP:port URL.'));
+            process.exit(1);
+        }
+
         // Check if WordPress is already installed
         const wpPath = path.join(targetDir, 'data/wordpress');
         const wpConfigPath = path.join(wpPath, 'wp-config.php');
@@ -1198,6 +3948,12 @@ program
                 // Use fallback IP
             }
 
+            // The hostname stays valid when the DinD IP changes, so it is the default once the proxy
+            // port is forwarded to 127.0.0.1 (and for subdomain networks, which need a hostname)
+            const ports = loadPorts(targetDir);
+            const hostnameUrl = getSiteUrl(workspaceConfig, workspaceConfig.workspaceName, ports);
+            const proxyOnLoopback = isProxyOnLoopback(workspaceConfig, ports);
+
             // Interactive configuration if not provided
             let installConfig = {
                 url: options.url,
@@ -1214,7 +3970,7 @@ program
                     type: 'input',
                     name: 'url',
                     message: 'WordPress site URL:',
-                    default: `http://${dindIP}:8000`,
+                    default: hostnameUrl && (proxyOnLoopback || options.subdomains) ? hostnameUrl : `http://${dindIP}:${ports.wordpress}`,
                     validate: (input) => input.trim() !== '' || 'URL is required'
                 });
             }
@@ -1266,6 +4022,10 @@ program
                 installConfig = { ...installConfig, ...answers };
             }
 
+            if (options.subdomains && !isHostnameUrl(installConfig.url)) {
+                throw new Error(`A subdomain network needs a hostname URL (e.g. ${hostnameUrl}), not ${installConfig.url}`);
+            }
+
             // Create wp-config.php using WP-CLI from workspace-php container
             spinner.start('Creating wp-config.php...');
             const configCmd = `docker exec ${containerName} docker exec workspace-php php -d memory_limit=512M /usr/local/bin/wp config create --path=/var/www/html --dbname=wordpress --dbuser=wordpress --dbpass=wordpress --dbhost=workspace-mysql --allow-root --force`;
@@ -1273,11 +4033,27 @@ program
             spinner.succeed('wp-config.php created');
 
             // Install WordPress using WP-CLI from workspace-php container
-            spinner.start('Installing WordPress...');
-            const installCmd = `docker exec ${containerName} docker exec workspace-php php -d memory_limit=512M /usr/local/bin/wp core install --path=/var/www/html --url='${installConfig.url}' --title='${installConfig.title}' --admin_user='${installConfig.adminUser}' --admin_password='${installConfig.adminPassword}' --admin_email='${installConfig.adminEmail}' --allow-root`;
+            const multisite = options.multisite ? (options.subdomains ? 'subdomain' : 'subdirectory') : null;
+            const installAction = multisite ? `core multisite-install${options.subdomains ? ' --subdomains' : ''}` : 'core install';
+            spinner.start(multisite ? `Installing WordPress (${multisite} multisite network)...` : 'Installing WordPress...');
+            const installCmd = `docker exec ${containerName} docker exec workspace-php php -d memory_limit=512M /usr/local/bin/wp ${installAction} --path=/var/www/html --url='${installConfig.url}' --title='${installConfig.title}' --admin_user='${installConfig.adminUser}' --admin_password='${installConfig.adminPassword}' --admin_email='${installConfig.adminEmail}' --allow-root`;
             execCommand(installCmd, { cwd: targetDir, silent: true });
             spinner.succeed('WordPress installed successfully');
 
+            // The web server needs the network's rewrite rules (or loses them on a single-site reinstall);
+            // workspace-manager.sh reads the mode from the workspace config
+            if (multisite || workspaceConfig.multisite) {
+                if (multisite) {
+                    workspaceConfig.multisite = multisite;
+                } else {
+                    delete workspaceConfig.multisite;
+                }
+                saveWorkspaceConfig(targetDir, workspaceConfig);
+                if (runDindScript(containerName, '/app/workspace-manager.sh', ['apply-multisite']) !== 0) {
+                    console.log(chalk.yellow('  Could not update the rewrite rules; "wp-dind restart" regenerates them'));
+                }
+            }
+
             // Fix file permissions automatically
             spinner.start('Fixing file permissions...');
             try {
@@ -1301,6 +4077,12 @@ program
             console.log(chalk.gray(`  URL: ${installConfig.url}`));
             console.log(chalk.gray(`  Admin User: ${installConfig.adminUser}`));
             console.log(chalk.gray(`  Admin Email: ${installConfig.adminEmail}\n`));
+            if (multisite) {
+                console.log(chalk.gray(`Add sub-sites with: wp-dind site add <slug>\n`));
+            }
+            if (hostnameUrl && installConfig.url === hostnameUrl && !proxyOnLoopback) {
+                console.log(chalk.yellow('Point the hostname at the DinD IP first: wp-dind hosts --apply\n'));
+            }
             console.log(chalk.yellow('Next steps:'));
             console.log(chalk.gray('  1. Visit your WordPress site'));
             console.log(chalk.gray('  2. Log in with your admin credentials'));
@@ -1310,79 +4092,260 @@ program
             spinner.fail('Installation failed');
             console.error(chalk.red('\nError during installation:'));
             console.error(error.message);
+            console.log(chalk.yellow('\nRun "wp-dind doctor" to check Docker, the DinD container and the workspace config.'));
             process.exit(1);
         }
     });
 
 program
     .command('destroy')
-    .description('Destroy the WordPress DinD environment (removes all data)')
+    .description('Destroy the WordPress DinD environment (removes containers, volumes and the files wp-dind created)')
     .option('-d, --dir <directory>', 'Target directory (default: current directory)')
+    .option('--keep-data', 'Keep WordPress files, instances, snapshots, backups and the database volume')
+    .option('--dry-run', 'Only show what would be removed')
+    .option('--backup', 'Back up files and databases to wp-dind-final-backup-<time>/ first, without asking')
+    .option('--no-backup', 'Do not offer a final backup')
+    .option('-y, --yes', 'Do not ask for confirmation')
     .action(async (options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
+        const targetDir = resolveTargetDir(options);
+
+        // Only ever act on a directory wp-dind initialized
+        const workspaceConfig = loadWorkspaceConfig(targetDir);
+        if (!workspaceConfig) {
+            console.error(chalk.red(`${targetDir} is not a wp-dind workspace (no wp-dind-workspace.json), refusing to destroy it.`));
+            process.exit(1);
+        }
+        const containerName = getContainerName(targetDir, workspaceConfig);
+
+        const removePaths = WORKSPACE_PATHS
+            .filter(item => !(options.keepData && WORKSPACE_DATA_PATHS.includes(item)))
+            .filter(item => fs.existsSync(path.join(targetDir, item)))
+            .filter(item => item !== 'README.md' || isGeneratedReadme(targetDir));
+        const hasCompose = fs.existsSync(path.join(targetDir, 'docker-compose.yml'));
+
+        console.log(chalk.blue(`\nDestroying workspace ${workspaceConfig.workspaceName} (${targetDir}):`));
+        if (hasCompose) {
+            console.log(chalk.gray(`  Containers and network of ${containerName}${options.keepData ? '' : ', Docker volumes (including the workspace database)'}`));
+        }
+        removePaths.forEach(item => console.log(chalk.gray(`  ${item}`)));
+        if (options.keepData) {
+            console.log(chalk.gray(`  Kept: ${WORKSPACE_DATA_PATHS.join(', ')} and the dind-docker-data volume`));
+        }
+        console.log('');
+
+        if (options.dryRun) {
+            console.log(chalk.yellow('Dry run, nothing was removed.'));
+            return;
+        }
 
-        const answers = await inquirer.prompt([{
-            type: 'confirm',
-            name: 'confirm',
-            message: chalk.red('This will remove all containers, volumes, data directory, and workspace files. Are you sure?'),
-            default: false
-        }]);
+        if (!options.yes) {
+            const answers = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirm',
+                message: chalk.red('Remove all of the above?'),
+                default: false
+            }]);
+            if (!answers.confirm) {
+                console.log(chalk.yellow('Cancelled.'));
+                return;
+            }
+        }
 
-        if (!answers.confirm) {
-            console.log(chalk.yellow('Cancelled.'));
-            process.exit(0);
+        // Final backup of every site while the containers still run
+        let backup = options.backup;
+        if (backup === undefined && !options.yes && !options.keepData) {
+            const answers = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'backup',
+                message: 'Back up WordPress files and databases first?',
+                default: true
+            }]);
+            backup = answers.backup;
+        }
+        if (backup) {
+            const dind = getContainerState(containerName);
+            if (!dind || dind.state !== 'running') {
+                console.error(chalk.red('The final backup needs the DinD container running. Run "wp-dind start", or destroy with --no-backup.'));
+                process.exit(1);
+            }
+            const sites = workspaceConfig.workspaceType === 'workspace'
+                ? [buildSite(workspaceConfig, containerName, null)]
+                : (listInstances(containerName) || [])
+                    .filter(instance => instance.status === 'running')
+                    .map(instance => buildSite(workspaceConfig, containerName, instance.name));
+            const backupDir = path.join(targetDir, `wp-dind-final-backup-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+            for (const site of sites) {
+                const spinner = ora(`Backing up ${site.name}...`).start();
+                try {
+                    await archiveSite(site, path.join(backupDir, site.name));
+                    spinner.succeed(`Backed up ${site.name}`);
+                } catch (error) {
+                    spinner.fail(`Backup of ${site.name} failed: ${error.message}`);
+                    console.log(chalk.yellow('Nothing was removed.'));
+                    process.exit(1);
+                }
+            }
+            if (sites.length > 0) {
+                console.log(chalk.gray(`  Backup: ${backupDir} (files.tar.gz and database.sql.gz per site)\n`));
+            } else {
+                console.log(chalk.yellow('No running site to back up (stopped instances are skipped).\n'));
+            }
         }
 
         console.log(chalk.blue('Destroying WordPress DinD environment...\n'));
 
-        // Stop and remove containers and volumes (if docker-compose.yml exists)
-        const composeFile = path.join(targetDir, 'docker-compose.yml');
-        if (fs.existsSync(composeFile)) {
+        // Stop and remove containers (and, unless --keep-data, volumes)
+        if (hasCompose && checkDockerCompose()) {
             console.log(chalk.blue('Stopping and removing containers...'));
             try {
-                execCommand('docker-compose down -v', { cwd: targetDir });
+                execSync(compose(options.keepData ? 'down' : 'down -v'), { cwd: targetDir, stdio: 'inherit' });
             } catch (error) {
-                console.log(chalk.yellow('⚠️  Could not stop containers (they may not be running)'));
+                console.log(chalk.yellow('⚠️  Could not remove the containers'));
             }
-        } else {
-            console.log(chalk.yellow('⚠️  No docker-compose.yml found, skipping container removal'));
         }
 
-        // Remove all files and directories in the workspace folder (use sudo to handle permission issues)
-        console.log(chalk.blue('Removing all workspace files and directories...'));
-        try {
-            // Remove everything in the directory except . and ..
-            execCommand(`sudo rm -rf "${targetDir}"/{*,.*} 2>/dev/null || true`, { cwd: targetDir });
-
-            // Alternative: remove specific known files/directories
-            const itemsToRemove = [
-                'data',
-                'logs',
-                'shared-images',
-                'wordpress-instances',
-                'wp-dind-workspace.json',
-                'docker-compose.yml',
-                '.env',
-                'README.md'
-            ];
-
-            for (const item of itemsToRemove) {
-                const itemPath = path.join(targetDir, item);
-                if (fs.existsSync(itemPath)) {
-                    try {
-                        execCommand(`sudo rm -rf "${itemPath}"`, { cwd: targetDir });
-                    } catch (e) {
-                        // Continue even if one item fails
-                    }
-                }
+        // Files written by containers can be owned by root or other users, so directories are
+        // removed from inside a container with the workspace mounted (not with sudo on the host)
+        console.log(chalk.blue('Removing workspace files...'));
+        const directories = removePaths.filter(item => fs.statSync(path.join(targetDir, item)).isDirectory());
+        if (directories.length > 0) {
+            const image = (workspaceConfig.stack && workspaceConfig.stack.dindImage) || 'airoman/wp-dind:dind-27.0.3';
+            spawnSync('docker', [
+                'run', '--rm', '--entrypoint', 'rm', '-v', `${targetDir}:/workspace`, image,
+                '-rf', '--', ...directories.map(item => `/workspace/${item}`)
+            ], { stdio: 'ignore' });
+        }
+        const failed = [];
+        for (const item of removePaths) {
+            try {
+                fs.rmSync(path.join(targetDir, item), { recursive: true, force: true });
+            } catch (error) {
+                failed.push(item);
             }
+        }
 
-            console.log(chalk.green('\n✅ Environment destroyed successfully!'));
-            console.log(chalk.gray('All containers, volumes, data, and configuration files have been removed.'));
-        } catch (error) {
-            console.log(chalk.yellow('\n⚠️  Some files could not be removed automatically.'));
-            console.log(chalk.yellow(`Please run manually: sudo rm -rf "${targetDir}"/*`));
+        // Forget the workspace in the global registry
+        const config = loadConfig();
+        delete config.instances[targetDir];
+        if (config.currentWorkspace === targetDir) {
+            delete config.currentWorkspace;
+        }
+        saveConfig(config);
+
+        if (failed.length > 0) {
+            console.log(chalk.yellow('\n⚠️  Some files could not be removed:'));
+            failed.forEach(item => console.log(chalk.gray(`  ${path.join(targetDir, item)}`)));
+            console.log(chalk.yellow('Remove them manually (they may be owned by root).'));
+            process.exit(1);
+        }
+
+        console.log(chalk.green('\n✅ Environment destroyed successfully!'));
+        if (options.keepData) {
+            console.log(chalk.gray(`Kept ${WORKSPACE_DATA_PATHS.join(', ')}; run "wp-dind init" here with the same name to use them again.`));
+        }
+    });
+
+// Workspace registry (~/.wp-dind-config.json)
+const workspacesCommand = program
+    .command('workspaces')
+    .description('List and select workspaces registered by "wp-dind init"');
+
+workspacesCommand
+    .command('list')
+    .description('List registered workspaces with their type, state and DinD IP')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+        const config = loadConfig();
+        const workspaces = listRegisteredWorkspaces(config).map(workspace => {
+            const exists = fs.existsSync(workspace.directory);
+            const workspaceConfig = exists ? loadWorkspaceConfig(workspace.directory) : null;
+            const dind = exists ? getContainerState(getContainerName(workspace.directory, workspaceConfig)) : null;
+            const running = !!dind && dind.state === 'running';
+
+            let state = 'not created';
+            if (!exists) state = 'missing';
+            else if (dind) state = running ? 'running' : dind.state;
+
+            return {
+                name: workspace.name,
+                directory: workspace.directory,
+                type: workspaceConfig ? workspaceConfig.workspaceType : null,
+                state,
+                dindIP: running ? getContainerIP(dind.name) : null,
+                current: config.currentWorkspace === workspace.directory
+            };
+        });
+
+        if (options.json) {
+            printJson(workspaces);
+            return;
+        }
+
+        if (workspaces.length === 0) {
+            console.log(chalk.yellow('No workspaces registered. Run "wp-dind init" to create one.'));
+            return;
+        }
+
+        console.log(chalk.blue.bold('\n📂 WordPress DinD Workspaces\n'));
+        workspaces.forEach(workspace => {
+            const marker = workspace.current ? chalk.green('*') : ' ';
+            const state = workspace.state.padEnd(12);
+            console.log(`${marker} ${chalk.bold(workspace.name.padEnd(20))} ${(workspace.type || '-').padEnd(15)} ${workspace.state === 'running' ? chalk.green(state) : chalk.gray(state)} ${chalk.gray((workspace.dindIP || '-').padEnd(15))} ${chalk.gray(workspace.directory)}`);
+        });
+        console.log(chalk.gray('\n  * current workspace (used when not inside a workspace directory)\n'));
+    });
+
+workspacesCommand
+    .command('switch [name]')
+    .description('Set the current workspace used by commands run outside a workspace directory')
+    .option('--clear', 'Unset the current workspace')
+    .action((name, options) => {
+        const config = loadConfig();
+
+        if (options.clear) {
+            delete config.currentWorkspace;
+            saveConfig(config);
+            console.log(chalk.green('✅ Current workspace cleared'));
+            return;
+        }
+        if (!name) {
+            console.error(chalk.red('Specify a workspace name, or --clear.'));
+            process.exit(1);
+        }
+
+        const directory = findWorkspaceDir(name);
+        if (!fs.existsSync(directory)) {
+            console.error(chalk.red(`Workspace directory no longer exists: ${directory}`));
+            console.log(chalk.yellow('Run "wp-dind workspaces prune" to remove it from the registry.'));
+            process.exit(1);
+        }
+
+        config.currentWorkspace = directory;
+        saveConfig(config);
+        console.log(chalk.green(`✅ Current workspace: ${name} (${directory})`));
+    });
+
+workspacesCommand
+    .command('prune')
+    .description('Remove registry entries whose workspace directory no longer exists')
+    .action(() => {
+        const config = loadConfig();
+        const gone = listRegisteredWorkspaces(config).filter(workspace => !fs.existsSync(workspace.directory));
+
+        if (gone.length === 0) {
+            console.log(chalk.green('Nothing to prune.'));
+            return;
         }
+
+        gone.forEach(workspace => {
+            delete config.instances[workspace.directory];
+            if (config.currentWorkspace === workspace.directory) {
+                delete config.currentWorkspace;
+            }
+            console.log(chalk.gray(`  Removed ${workspace.name} (${workspace.directory})`));
+        });
+        saveConfig(config);
+        console.log(chalk.green(`\n✅ Pruned ${gone.length} workspace(s)`));
     });
 
 // Fix permissions command
@@ -1391,7 +4354,7 @@ program
     .description('Fix file permissions for WordPress files (makes them editable from host and writable by web server)')
     .option('-d, --dir <directory>', 'Target directory (default: current directory)')
     .action((options) => {
-        const targetDir = options.dir ? path.resolve(options.dir) : process.cwd();
+        const targetDir = resolveTargetDir(options);
 
         // Load workspace config
         const workspaceConfig = loadWorkspaceConfig(targetDir);
@@ -1489,7 +4452,8 @@ program
             console.log(chalk.gray('    stop              Stop the environment'));
             console.log(chalk.gray('    status            Check status'));
             console.log(chalk.gray('    ports             List all services and ports'));
-            console.log(chalk.gray('    destroy           Remove everything\n'));
+            console.log(chalk.gray('    destroy           Remove the environment (--keep-data, --dry-run)'));
+            console.log(chalk.gray('    workspaces        List, switch and prune registered workspaces\n'));
 
             console.log(chalk.gray('  WordPress (Workspace Mode):'));
             console.log(chalk.gray('    install-wordpress Install WordPress in data/wordpress'));
@@ -1506,6 +4470,19 @@ program
 
             console.log(chalk.gray('  Utilities:'));
             console.log(chalk.gray('    exec              Execute command in container'));
+            console.log(chalk.gray('    wp                Run WP-CLI (wp-dind wp [--instance <name>] -- <args>)'));
+            console.log(chalk.gray('    db export/import  Dump or restore the database (.sql, .sql.gz)'));
+            console.log(chalk.gray('    snapshot          Create, list, restore and delete snapshots'));
+            console.log(chalk.gray('    xdebug            Turn Xdebug on/off for the workspace or an instance'));
+            console.log(chalk.gray('    stack set         Change PHP/MySQL/web server versions in place'));
+            console.log(chalk.gray('    doctor            Diagnose Docker, DinD and workspace problems'));
+            console.log(chalk.gray('    hosts             Hosts file entries for *.<workspace>.localhost'));
+            console.log(chalk.gray('    https             Local HTTPS with a per-workspace CA (enable, disable, status, ca)'));
+            console.log(chalk.gray('    forward           Publish a service or instance port on 127.0.0.1'));
+            console.log(chalk.gray('    mail              List, show, clear and wait for emails caught by MailHog'));
+            console.log(chalk.gray('    cache             Redis object cache for WordPress (enable, disable, flush, stats)'));
+            console.log(chalk.gray('    site add          Add a sub-site to a multisite network'));
+            console.log(chalk.gray('    matrix run        Test a plugin or command across PHP/MySQL/web server combinations'));
             console.log(chalk.gray('    logs              View logs'));
             console.log(chalk.gray('    ps                List containers\n'));
 
@@ -1518,8 +4495,8 @@ program
             console.log(chalk.gray('  wp-dind init && wp-dind start && wp-dind install-wordpress\n'));
             console.log(chalk.gray('  # Multi-instance mode (multiple sites)'));
             console.log(chalk.gray('  wp-dind init && wp-dind start'));
-            console.log(chalk.gray('  wp-dind instance create mysite 80 83 nginx'));
-            console.log(chalk.gray('  wp-dind instance create legacy 57 74 apache\n'));
+            console.log(chalk.gray('  wp-dind instance create mysite --php 8.3 --mysql 8.0 --webserver nginx'));
+            console.log(chalk.gray('  wp-dind instance create legacy --php 7.4 --mysql 5.7 --webserver apache\n'));
 
             console.log(chalk.yellow('Documentation:\n'));
             console.log(chalk.gray('  See README.md in your workspace directory for full documentation.\n'));
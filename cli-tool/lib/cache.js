@@ -0,0 +1,115 @@
+const { spawnSync } = require('child_process');
+
+// The sites reach the DinD's Redis through the gateway of wp-shared (172.21.0.0/16, created by
+// instance-manager.sh and workspace-manager.sh), which every site container is attached to
+const REDIS_HOST = '172.21.0.1';
+
+// Redis' default "databases 16": one database per site, so flushing one site leaves the others alone
+const REDIS_DATABASES = 16;
+
+// Plugin that provides the object-cache.php drop-in and the "wp redis" commands
+const OBJECT_CACHE_PLUGIN = 'redis-cache';
+
+// wp-config.php constants the plugin reads
+const CACHE_CONSTANTS = ['WP_REDIS_HOST', 'WP_REDIS_PORT', 'WP_REDIS_DATABASE', 'WP_REDIS_PREFIX'];
+
+// Run redis-cli inside the DinD container; returns { ok, stdout }
+function redisCli(containerName, port, args) {
+    const result = spawnSync('docker', ['exec', containerName, 'redis-cli', '-p', String(port), ...args], { encoding: 'utf8', timeout: 15000 });
+    const stdout = (result.stdout || '').trim();
+    // redis-cli exits 0 on most command errors and prints "(error) ..." or "ERR ..." instead
+    return { ok: !result.error && result.status === 0 && !/^(\(error\)|ERR )/.test(stdout), stdout };
+}
+
+// Lowest database index no site uses yet; null when all are taken.
+// `redisConfig`: the "redis" entry of wp-dind-workspace.json ({ <site>: { database, prefix } })
+function pickDatabase(redisConfig) {
+    const used = Object.values(redisConfig || {}).map(entry => entry.database);
+    for (let database = 0; database < REDIS_DATABASES; database++) {
+        if (!used.includes(database)) {
+            return database;
+        }
+    }
+    return null;
+}
+
+// wp config set arguments for a site's object cache: [name, value, raw]
+function cacheConstants(entry, port) {
+    return [
+        ['WP_REDIS_HOST', REDIS_HOST, false],
+        ['WP_REDIS_PORT', String(port), true],
+        ['WP_REDIS_DATABASE', String(entry.database), true],
+        ['WP_REDIS_PREFIX', entry.prefix, false]
+    ];
+}
+
+// "INFO" output as { field: value }
+function parseRedisInfo(text) {
+    const info = {};
+    text.split('\n').forEach(line => {
+        const match = line.trim().match(/^([^#:]+):(.*)$/);
+        if (match) {
+            info[match[1]] = match[2];
+        }
+    });
+    return info;
+}
+
+// Server-wide numbers (null if Redis does not answer)
+function getServerStats(containerName, port) {
+    const result = redisCli(containerName, port, ['INFO']);
+    if (!result.ok) {
+        return null;
+    }
+    const info = parseRedisInfo(result.stdout);
+    const hits = Number(info.keyspace_hits || 0);
+    const misses = Number(info.keyspace_misses || 0);
+    return {
+        version: info.redis_version || null,
+        usedMemory: info.used_memory_human || null,
+        maxMemory: info.maxmemory_human || null,
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 10 : null
+    };
+}
+
+// Number of keys in a database (null if Redis does not answer)
+function countKeys(containerName, port, database) {
+    const result = redisCli(containerName, port, ['-n', String(database), 'DBSIZE']);
+    return result.ok ? Number(result.stdout) : null;
+}
+
+function flushDatabase(containerName, port, database) {
+    return redisCli(containerName, port, ['-n', String(database), 'FLUSHDB']).ok;
+}
+
+// Redis only binds REDIS_HOST if wp-shared existed when it started (an optional address in
+// redis.conf), so restart it once. Anything but PONG (e.g. "DENIED" from protected mode) means
+// the sites cannot use it: returns { ok, answer } with Redis' answer for the error message.
+function ensureGatewayBinding(containerName, port) {
+    const ping = () => {
+        const result = redisCli(containerName, port, ['-h', REDIS_HOST, 'PING']);
+        return { ok: result.ok && result.stdout === 'PONG', answer: result.stdout || 'no answer' };
+    };
+    const first = ping();
+    if (first.ok) {
+        return first;
+    }
+    spawnSync('docker', ['exec', containerName, 'supervisorctl', '-c', '/etc/supervisord.conf', 'restart', 'redis'], { encoding: 'utf8', timeout: 30000 });
+    return ping();
+}
+
+module.exports = {
+    REDIS_HOST,
+    REDIS_DATABASES,
+    OBJECT_CACHE_PLUGIN,
+    CACHE_CONSTANTS,
+    redisCli,
+    pickDatabase,
+    cacheConstants,
+    getServerStats,
+    countKeys,
+    flushDatabase,
+    ensureGatewayBinding
+};
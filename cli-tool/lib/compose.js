@@ -0,0 +1,49 @@
+const { spawnSync } = require('child_process');
+
+// Tried in order: the v2 plugin (the default on current Docker installs), then the legacy v1 binary
+const COMPOSE_CANDIDATES = [['docker', 'compose'], ['docker-compose']];
+const COMPOSE_ALIASES = { v2: ['docker', 'compose'], v1: ['docker-compose'] };
+
+// "v1", "v2" or a command line such as "docker compose" / "docker-compose"
+function parseComposeCommand(value) {
+    const trimmed = String(value).trim();
+    return COMPOSE_ALIASES[trimmed] || trimmed.split(/\s+/).filter(Boolean);
+}
+
+// Version reported by a compose command (null if it cannot be run)
+function getComposeVersion(command) {
+    const result = spawnSync(command[0], [...command.slice(1), 'version', '--short'], { encoding: 'utf8', timeout: 20000 });
+    if (result.error || result.status !== 0) {
+        return null;
+    }
+    return result.stdout.trim().replace(/^v/, '');
+}
+
+// The compose command to use as { command: ['docker', 'compose'], version }.
+// An override (from config or env) is used as is and throws if it does not run;
+// otherwise the first available candidate wins (null if there is none).
+function detectCompose(override) {
+    if (override) {
+        const command = parseComposeCommand(override);
+        const version = command.length > 0 ? getComposeVersion(command) : null;
+        if (!version) {
+            throw new Error(`Compose command "${override}" is not available`);
+        }
+        return { command, version };
+    }
+
+    for (const command of COMPOSE_CANDIDATES) {
+        const version = getComposeVersion(command);
+        if (version) {
+            return { command, version };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    COMPOSE_CANDIDATES,
+    parseComposeCommand,
+    getComposeVersion,
+    detectCompose
+};
@@ -0,0 +1,74 @@
+const { spawnSync } = require('child_process');
+const zlib = require('zlib');
+const { dockerStream } = require('./docker');
+
+// Run inside the MySQL container; credentials come from the container's own environment
+// (MYSQL_ROOT_PASSWORD/MYSQL_DATABASE), so workspace and instances work the same way
+const DUMP_COMMAND = 'MYSQL_PWD="$MYSQL_ROOT_PASSWORD" exec mysqldump -uroot --single-transaction --no-tablespaces --routines --triggers "$MYSQL_DATABASE"';
+const RESTORE_COMMAND = 'MYSQL_PWD="$MYSQL_ROOT_PASSWORD" exec mysql -uroot "$MYSQL_DATABASE"';
+// Over TCP: the temporary server MySQL runs while initializing a new data dir only listens on its socket
+const PING_COMMAND = 'MYSQL_PWD="$MYSQL_ROOT_PASSWORD" exec mysql -uroot -h127.0.0.1 -e "SELECT 1" "$MYSQL_DATABASE"';
+const RESET_COMMAND = 'MYSQL_PWD="$MYSQL_ROOT_PASSWORD" exec mysql -uroot -e "DROP DATABASE IF EXISTS \\`$MYSQL_DATABASE\\`; CREATE DATABASE \\`$MYSQL_DATABASE\\`"';
+
+// Dump files we can read and write: plain SQL or gzipped SQL
+function isSupportedDumpFile(file) {
+    return file.endsWith('.sql') || file.endsWith('.sql.gz');
+}
+
+function isGzipFile(file) {
+    return file.endsWith('.gz');
+}
+
+// docker arguments for a shell command in the site's MySQL container, through the DinD container
+function mysqlExecArgs(site, command) {
+    return ['exec', '-i', site.containerName, 'docker', 'exec', '-i', site.mysqlContainer, 'sh', '-c', command];
+}
+
+// Stream a dump of the site database into a writable stream, gzipped if requested.
+// Nothing is written to disk inside the containers.
+async function dumpDatabase(site, output, { gzip = false } = {}) {
+    await dockerStream(mysqlExecArgs(site, DUMP_COMMAND), {
+        output: gzip ? [zlib.createGzip(), output] : [output],
+        name: 'mysqldump'
+    });
+}
+
+// Stream SQL from a readable stream into the site database, gunzipping if requested
+async function restoreDatabase(site, input, { gunzip = false } = {}) {
+    await dockerStream(mysqlExecArgs(site, RESTORE_COMMAND), {
+        input: gunzip ? [input, zlib.createGunzip()] : [input],
+        name: 'mysql'
+    });
+}
+
+// Drop and recreate the site database (grants are kept), e.g. before restoring a snapshot
+function resetDatabase(site) {
+    const result = spawnSync('docker', mysqlExecArgs(site, RESET_COMMAND), { encoding: 'utf8' });
+    if (result.error || result.status !== 0) {
+        throw new Error((result.stderr || '').trim() || 'Could not reset the database');
+    }
+}
+
+// Resolve once the site database accepts connections; throws after `timeout` seconds
+async function waitForDatabase(site, timeout = 120) {
+    const deadline = Date.now() + (timeout * 1000);
+    for (;;) {
+        const result = spawnSync('docker', mysqlExecArgs(site, PING_COMMAND), { encoding: 'utf8' });
+        if (result.status === 0) {
+            return;
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(`MySQL in ${site.mysqlContainer} was not ready after ${timeout}s`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+}
+
+module.exports = {
+    isSupportedDumpFile,
+    isGzipFile,
+    dumpDatabase,
+    restoreDatabase,
+    resetDatabase,
+    waitForDatabase
+};
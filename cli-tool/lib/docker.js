@@ -0,0 +1,108 @@
+const { execSync, spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+
+// Run a docker command and return trimmed stdout, or null if it fails
+function dockerOutput(args) {
+    try {
+        return execSync(`docker ${args}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+// IP address of a container on its networks (null if not running)
+function getContainerIP(containerName) {
+    const ip = dockerOutput(`inspect -f '{{range .NetworkSettings.Networks}}{{.IPAddress}}{{end}}' ${containerName}`);
+    return ip || null;
+}
+
+// State and healthcheck status of a container (null if it does not exist)
+function getContainerState(containerName) {
+    const output = dockerOutput(`inspect -f '{{.State.Status}}|{{if .State.Health}}{{.State.Health.Status}}{{end}}' ${containerName}`);
+    if (!output) {
+        return null;
+    }
+
+    const [state, health] = output.split('|');
+    return {
+        name: containerName,
+        state,
+        health: health || null
+    };
+}
+
+// Containers running inside the DinD container
+function listInnerContainers(containerName, all = false) {
+    const output = dockerOutput(`exec ${containerName} docker ps ${all ? '-a ' : ''}--format '{{json .}}'`);
+    if (output === null) {
+        return null;
+    }
+
+    return output.split('\n').filter(Boolean).map(line => {
+        const entry = JSON.parse(line);
+        const healthMatch = (entry.Status || '').match(/\((healthy|unhealthy|health: starting)\)/);
+        return {
+            name: entry.Names,
+            image: entry.Image,
+            state: entry.State,
+            status: entry.Status,
+            health: healthMatch ? healthMatch[1].replace('health: ', '') : null,
+            ports: entry.Ports
+        };
+    });
+}
+
+// Multi-instance instances as reported by "instance-manager.sh list --json"
+function listInstances(containerName) {
+    const output = dockerOutput(`exec ${containerName} /app/instance-manager.sh list --json`);
+    if (output === null) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(output);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Resolve with the exit code and collected stderr once the process has exited
+function waitForExit(child) {
+    return new Promise((resolve, reject) => {
+        let stderr = '';
+        child.stderr.on('data', chunk => {
+            stderr += chunk;
+        });
+        child.on('error', reject);
+        child.on('close', code => resolve({ code, stderr: stderr.trim() }));
+    });
+}
+
+// Run a docker command with its stdin fed from `input` or its stdout written into `output`
+// (arrays of streams, so transforms such as gzip can sit in between). Rejects with the
+// command's stderr if it fails; `name` is used when it fails without any output.
+async function dockerStream(args, { input, output, name = 'docker' } = {}) {
+    const child = spawn('docker', args, { stdio: [input ? 'pipe' : 'ignore', output ? 'pipe' : 'ignore', 'pipe'] });
+    const streams = input ? [...input, child.stdin] : [child.stdout, ...output];
+
+    // Prefer the command's own error over the stream error it causes (e.g. EPIPE)
+    const [exit, piped] = await Promise.allSettled([waitForExit(child), pipeline(streams)]);
+    if (exit.status === 'rejected') {
+        throw exit.reason;
+    }
+    if (exit.value.code !== 0) {
+        throw new Error(exit.value.stderr || `${name} exited with code ${exit.value.code}`);
+    }
+    if (piped.status === 'rejected') {
+        throw piped.reason;
+    }
+}
+
+module.exports = {
+    dockerOutput,
+    dockerStream,
+    getContainerIP,
+    getContainerState,
+    listInnerContainers,
+    listInstances
+};
@@ -0,0 +1,304 @@
+const { spawnSync } = require('child_process');
+const { parseEnvFile, resolvePorts, resolveInstancePortRange } = require('./ports');
+const { collectUsedSubnets, excludeOwnNetwork, findSubnetConflict } = require('./network');
+const { COMPOSE_CANDIDATES, getComposeVersion, detectCompose } = require('./compose');
+const { findForwardConflict } = require('./forwards');
+
+// supervisord programs in the DinD image, and the stack.services toggle each one follows
+// (php-fpm only serves phpMyAdmin, nginx also runs the hostname proxy); programs without a toggle always run
+const SUPERVISOR_PROGRAMS = [
+    { name: 'dockerd' },
+    { name: 'php-fpm', service: 'phpmyadmin' },
+    { name: 'nginx', service: ['phpmyadmin', 'proxy'] },
+    { name: 'mailhog', service: 'mailhog' },
+    { name: 'redis', service: 'redis' },
+    { name: 'redis-commander', service: 'redisCommander' }
+];
+
+// Run docker with a time limit (an unreachable daemon can hang); returns { ok, stdout, stderr }
+function docker(args, timeout = 20000) {
+    const result = spawnSync('docker', args, { encoding: 'utf8', timeout });
+    return {
+        ok: !result.error && result.status === 0,
+        stdout: (result.stdout || '').trim(),
+        stderr: (result.stderr || '').trim() || (result.error ? result.error.message : '')
+    };
+}
+
+function result(name, status, message, hint = null) {
+    return { name, status, message, hint };
+}
+
+function checkDaemon() {
+    const info = docker(['info', '--format', '{{.ServerVersion}}']);
+    if (info.ok) {
+        return result('Docker daemon', 'pass', `Docker ${info.stdout} is reachable`);
+    }
+    if (/ENOENT/.test(info.stderr)) {
+        return result('Docker daemon', 'fail', 'The docker command is not installed',
+            'Install Docker from https://www.docker.com/');
+    }
+    if (/permission denied/i.test(info.stderr)) {
+        return result('Docker daemon', 'fail', 'Permission denied on the Docker socket',
+            'Add your user to the "docker" group (sudo usermod -aG docker $USER) and log in again');
+    }
+    return result('Docker daemon', 'fail', info.stderr.split('\n')[0] || 'Docker is not reachable',
+        'Install Docker from https://www.docker.com/ and make sure the daemon (Docker Desktop) is running');
+}
+
+// v2 plugin and v1 binary, and the one wp-dind uses (`override` from WP_DIND_COMPOSE / composeCommand)
+function checkCompose(override) {
+    const found = COMPOSE_CANDIDATES
+        .map(command => ({ command: command.join(' '), version: getComposeVersion(command) }))
+        .filter(candidate => candidate.version)
+        .map(candidate => `${candidate.command} ${candidate.version}`);
+
+    let selected;
+    try {
+        selected = detectCompose(override);
+    } catch (error) {
+        return result('Docker Compose', 'fail', `${error.message} (found: ${found.join(', ') || 'none'})`,
+            'Fix WP_DIND_COMPOSE or composeCommand in ~/.wp-dind-config.json (v2, v1, or a command such as "docker compose")');
+    }
+    if (!selected) {
+        return result('Docker Compose', 'fail', 'Neither "docker compose" nor "docker-compose" is available',
+            'Install the Docker Compose plugin: https://docs.docker.com/compose/install/');
+    }
+
+    const using = `Using ${selected.command.join(' ')} ${selected.version}${override ? ' (override)' : ''}`;
+    if (selected.command.join(' ') === 'docker-compose' && /^1\./.test(selected.version)) {
+        return result('Docker Compose', 'warn', `${using}; Compose v1 is no longer maintained`,
+            'Install the Docker Compose plugin (docker compose): https://docs.docker.com/compose/install/');
+    }
+    return result('Docker Compose', 'pass', `${using} (found: ${found.join(', ')})`);
+}
+
+// The DinD container must run privileged; rootless Docker and user namespaces cannot do that
+function checkPrivileged(context) {
+    const existing = docker(['inspect', '--format', '{{.HostConfig.Privileged}}', context.containerName]);
+    if (existing.ok) {
+        return existing.stdout === 'true'
+            ? result('Privileged mode', 'pass', `${context.containerName} runs privileged`)
+            : result('Privileged mode', 'fail', `${context.containerName} is not privileged, so dockerd cannot start inside it`,
+                'Keep "privileged: true" in docker-compose.yml and recreate the container with "wp-dind start"');
+    }
+
+    const security = docker(['info', '--format', '{{json .SecurityOptions}}']);
+    const options = security.ok ? security.stdout : '';
+    if (/rootless/.test(options)) {
+        return result('Privileged mode', 'fail', 'Docker runs rootless, which cannot start privileged containers',
+            'Use a rootful Docker daemon for wp-dind');
+    }
+    if (/userns/.test(options)) {
+        return result('Privileged mode', 'warn', 'The daemon uses user namespace remapping; privileged containers need "userns_mode: host"',
+            'Add "userns_mode: host" to the wp-dind service in docker-compose.yml');
+    }
+    return result('Privileged mode', 'pass', 'The daemon allows privileged containers');
+}
+
+function checkWorkspaceConfig(context) {
+    if (context.configError) {
+        return result('Workspace config', 'fail', `wp-dind-workspace.json cannot be read: ${context.configError}`,
+            'Fix the JSON syntax or re-run "wp-dind init"');
+    }
+    if (!context.workspaceConfig) {
+        return result('Workspace config', 'warn', `${context.targetDir} is not a wp-dind workspace, workspace checks are skipped`,
+            'Run "wp-dind init" or select a workspace with -d/--workspace');
+    }
+    if (context.configProblems.length > 0) {
+        return result('Workspace config', 'fail', context.configProblems.join('; '),
+            'Fix wp-dind-workspace.json or re-run "wp-dind init"');
+    }
+    return result('Workspace config', 'pass', `wp-dind-workspace.json is valid (${context.workspaceConfig.workspaceType})`);
+}
+
+// Duplicate ports in .env and an instance port range overlapping them
+function checkPorts(context) {
+    try {
+        resolvePorts(context.targetDir);
+        const range = resolveInstancePortRange(context.targetDir, context.workspaceConfig);
+        return result('Ports', 'pass', `Service ports are unique, instance range ${range.start}-${range.end} is free`);
+    } catch (error) {
+        return result('Ports', 'fail', error.message, 'Change the ports in .env (or instancePortRange) and run "wp-dind start"');
+    }
+}
+
+function checkSubnet(context) {
+    const network = context.workspaceConfig.network;
+    if (!network || !network.subnet) {
+        return result('Network subnet', 'warn', 'No network in wp-dind-workspace.json, the shared legacy network wp-dind (172.19.0.0/16) is used',
+            'Re-run "wp-dind init" to give this workspace its own subnet');
+    }
+
+    const used = excludeOwnNetwork(collectUsedSubnets(context.otherSubnets), network.name);
+    const conflict = findSubnetConflict(network.subnet, used);
+    if (conflict) {
+        return result('Network subnet', 'fail', `${network.subnet} overlaps ${conflict.subnet} (${conflict.source})`,
+            'Re-run "wp-dind init --subnet <cidr>" with a free private subnet');
+    }
+    return result('Network subnet', 'pass', `${network.subnet} (${network.name}) does not overlap other networks or routes`);
+}
+
+// Local ports published with "wp-dind forward" must be unique across registered workspaces
+function checkForwards(context) {
+    const forwards = context.workspaceConfig.forwards || [];
+    if (forwards.length === 0) {
+        return result('Forwards', 'pass', 'No ports are forwarded to localhost');
+    }
+    const conflicts = forwards
+        .map(forward => ({ local: forward.local, source: findForwardConflict(forward.local, context.otherForwards || []) }))
+        .filter(entry => entry.source);
+    if (conflicts.length > 0) {
+        return result('Forwards', 'fail', conflicts.map(entry => `127.0.0.1:${entry.local} is also forwarded by ${entry.source}`).join('; '),
+            'Move one of them: wp-dind forward --remove <local>, then forward again with another local port');
+    }
+    return result('Forwards', 'pass', `${forwards.map(forward => forward.local).join(', ')} on 127.0.0.1, not used by other workspaces`);
+}
+
+// Files written inside the containers get PUID/PGID, which should be the host user
+function checkUserIds(context) {
+    if (typeof process.getuid !== 'function') {
+        return result('PUID/PGID', 'pass', 'Not applicable on this platform');
+    }
+    const envVars = parseEnvFile(context.targetDir);
+    const uid = process.getuid();
+    const gid = process.getgid();
+    const puid = Number(envVars.PUID || 1000);
+    const pgid = Number(envVars.PGID || 1000);
+    if (puid !== uid || pgid !== gid) {
+        return result('PUID/PGID', 'warn', `.env has PUID=${puid} PGID=${pgid}, but you are ${uid}:${gid}; WordPress files will not be editable`,
+            `Set PUID=${uid} and PGID=${gid} in .env, run "wp-dind start", then "wp-dind fix-permissions"`);
+    }
+    return result('PUID/PGID', 'pass', `PUID=${puid} PGID=${pgid} match your user`);
+}
+
+// Images the configured imageVersions point at: the DinD image on the host, the stack images inside DinD
+function checkImages(context, dindRunning) {
+    const versions = context.workspaceConfig.imageVersions || {};
+    const stack = context.workspaceConfig.stack || {};
+    const dindImage = stack.dindImage || (versions.dind ? `airoman/wp-dind:dind-${versions.dind}` : null);
+    const checks = [];
+
+    if (dindImage) {
+        if (docker(['image', 'inspect', dindImage]).ok) {
+            checks.push(result('DinD image', 'pass', `${dindImage} is available`));
+        } else if (docker(['manifest', 'inspect', dindImage], 30000).ok) {
+            checks.push(result('DinD image', 'warn', `${dindImage} is not pulled yet`, `It is pulled by "wp-dind start", or run "docker pull ${dindImage}"`));
+        } else {
+            checks.push(result('DinD image', 'fail', `${dindImage} is neither pulled nor found in the registry`,
+                'Check imageVersions.dind / stack.dindImage in wp-dind-workspace.json, your network, and "docker login"'));
+        }
+    }
+
+    if (!dindRunning) {
+        return checks;
+    }
+
+    // Workspace mode only needs its own stack; instances may use any configured version
+    let images;
+    if (context.workspaceConfig.workspaceType === 'workspace') {
+        const own = context.workspaceConfig.workspaceStack || {};
+        const code = version => String(version || '').replace('.', '');
+        images = [
+            `php-${versions[`php${code(own.phpVersion || '8.3')}`]}`,
+            `mysql-${versions[`mysql${code(own.mysqlVersion || '8.0')}`]}`,
+            `${own.webserver || 'nginx'}-${versions[own.webserver || 'nginx']}`
+        ];
+    } else {
+        images = Object.entries(versions)
+            .filter(([key]) => /^(php\d+|mysql\d+|nginx|apache)$/.test(key))
+            .map(([key, version]) => `${key.replace(/\d+$/, '')}-${version}`);
+    }
+    images = images.filter(image => !image.endsWith('-undefined')).map(image => `airoman/wp-dind:${image}`);
+
+    const missing = images.filter(image => !docker(['exec', context.containerName, 'docker', 'image', 'inspect', image]).ok);
+    if (missing.length === 0) {
+        checks.push(result('Stack images', 'pass', `${images.length} image(s) available inside DinD`));
+    } else {
+        checks.push(result('Stack images', 'warn', `Not pulled inside DinD yet: ${missing.join(', ')}`,
+            'They are pulled on first use; a failing pull points at a wrong imageVersions entry or no network access'));
+    }
+    return checks;
+}
+
+function checkInnerDockerd(context) {
+    const info = docker(['exec', context.containerName, 'docker', 'info', '--format', '{{.ServerVersion}}']);
+    if (info.ok) {
+        return result('Inner dockerd', 'pass', `Docker ${info.stdout} is running inside ${context.containerName}`);
+    }
+    return result('Inner dockerd', 'fail', info.stderr.split('\n')[0] || 'dockerd inside DinD is not reachable',
+        'Check "wp-dind logs -s dockerd"; dockerd needs a privileged container');
+}
+
+function checkSupervisor(context, services) {
+    const status = docker(['exec', context.containerName, 'supervisorctl', '-c', '/etc/supervisord.conf', 'status']);
+    const states = {};
+    status.stdout.split('\n').forEach(line => {
+        const [name, state] = line.trim().split(/\s+/);
+        if (name && state) {
+            states[name] = state;
+        }
+    });
+    if (Object.keys(states).length === 0) {
+        return result('Supervisord', 'warn', 'Could not read program states (images before supervisorctl support)',
+            'Pull the latest DinD image and run "wp-dind start"');
+    }
+
+    // A program with several services runs while any of them is enabled
+    const expected = SUPERVISOR_PROGRAMS.filter(program => !program.service || [].concat(program.service).some(service => services[service] !== false));
+    const notRunning = expected.filter(program => states[program.name] !== 'RUNNING');
+    if (notRunning.length > 0) {
+        return result('Supervisord', 'fail', `Not running: ${notRunning.map(program => `${program.name} (${states[program.name] || 'missing'})`).join(', ')}`,
+            'Check "wp-dind logs" for the program\'s errors (/var/log/supervisor/<program>.log in DinD)');
+    }
+    return result('Supervisord', 'pass', `Running: ${expected.map(program => program.name).join(', ')}`);
+}
+
+// Run every check in order. Checks that need something an earlier check found missing
+// (the daemon, a workspace, a running DinD container) are reported as skipped warnings.
+// `context`: { targetDir, workspaceConfig, configError, configProblems, containerName, otherSubnets, otherForwards, composeOverride, services }
+function runDoctor(context) {
+    const checks = [];
+    const daemon = checkDaemon();
+    checks.push(daemon);
+    checks.push(checkCompose(context.composeOverride));
+
+    const dockerOk = daemon.status === 'pass';
+    const skipped = (name, reason, hint) => checks.push(result(name, 'warn', `Skipped: ${reason}`, hint));
+
+    if (dockerOk) {
+        checks.push(checkPrivileged(context));
+    } else {
+        skipped('Privileged mode', 'Docker is not reachable');
+    }
+
+    const configCheck = checkWorkspaceConfig(context);
+    checks.push(configCheck);
+    if (configCheck.status !== 'pass') {
+        return checks;
+    }
+
+    checks.push(checkPorts(context));
+    checks.push(checkSubnet(context));
+    checks.push(checkForwards(context));
+    checks.push(checkUserIds(context));
+    if (!dockerOk) {
+        ['DinD image', 'Inner dockerd', 'Supervisord'].forEach(name => skipped(name, 'Docker is not reachable'));
+        return checks;
+    }
+
+    const dind = docker(['inspect', '--format', '{{.State.Status}}', context.containerName]);
+    const dindRunning = dind.ok && dind.stdout === 'running';
+    checks.push(...checkImages(context, dindRunning));
+    if (!dindRunning) {
+        ['Inner dockerd', 'Supervisord'].forEach(name => skipped(name, `${context.containerName} is not running`, 'Run "wp-dind start"'));
+        return checks;
+    }
+    checks.push(checkInnerDockerd(context));
+    checks.push(checkSupervisor(context, context.services));
+    return checks;
+}
+
+module.exports = {
+    runDoctor
+};
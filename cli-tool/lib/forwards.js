@@ -0,0 +1,87 @@
+const net = require('net');
+const { PORT_DEFINITIONS, composePortVariable } = require('./ports');
+
+// Forwards publish a port inside the DinD container on the host's 127.0.0.1. They are kept in
+// "forwards" of wp-dind-workspace.json as { local, remote } (a port inside DinD), { local, service }
+// (a key from lib/ports.js, so .env changes follow) or { local, remote, instance }.
+
+function parsePort(value) {
+    const port = Number(value);
+    return /^\d+$/.test(String(value)) && port >= 1 && port <= 65535 ? port : null;
+}
+
+// "8080:80", "3307:mysql" or "8080" (same port on both sides); null if invalid
+function parsePortMapping(value) {
+    const [localPart, remotePart = localPart, ...rest] = String(value).split(':');
+    const local = parsePort(localPart);
+    if (local === null || rest.length > 0) {
+        return null;
+    }
+
+    const remote = parsePort(remotePart);
+    if (remote !== null) {
+        return { local, remote };
+    }
+    const definition = PORT_DEFINITIONS.find(entry => entry.key === remotePart);
+    return definition ? { local, service: definition.key } : null;
+}
+
+// Port inside DinD a forward points at, with the workspace's resolved service ports
+function forwardRemotePort(forward, ports) {
+    return forward.service ? ports[forward.service] : forward.remote;
+}
+
+// What a forward points at, for display
+function describeForward(forward) {
+    if (forward.instance) {
+        return `instance ${forward.instance}`;
+    }
+    if (forward.service) {
+        return PORT_DEFINITIONS.find(entry => entry.key === forward.service).label;
+    }
+    return `DinD port ${forward.remote}`;
+}
+
+// Address of a forward on the host (a URL for web ports)
+function forwardAddress(forward) {
+    const definition = forward.service && PORT_DEFINITIONS.find(entry => entry.key === forward.service);
+    const http = Boolean(forward.instance || (definition && definition.http));
+    return http ? `http://127.0.0.1:${forward.local}` : `127.0.0.1:${forward.local}`;
+}
+
+// First forward of another workspace on the same local port (null if free).
+// `others`: [{ source, forwards }]
+function findForwardConflict(local, others) {
+    const owner = others.find(other => (other.forwards || []).some(forward => forward.local === local));
+    return owner ? owner.source : null;
+}
+
+// Resolve true when nothing listens on 127.0.0.1:<port>. A privileged port we may not bind
+// (80 for the proxy) counts as free: the Docker daemon publishes it, not this process.
+function isLocalPortFree(port) {
+    return new Promise(resolve => {
+        const server = net.createServer();
+        server.once('error', error => resolve(error.code === 'EACCES'));
+        server.once('listening', () => server.close(() => resolve(true)));
+        server.listen(port, '127.0.0.1');
+    });
+}
+
+// Compose "ports:" entries, bound to 127.0.0.1 so nothing is published on the LAN
+function composeForwardLines(forwards) {
+    return forwards.map(forward => {
+        const definition = forward.service && PORT_DEFINITIONS.find(entry => entry.key === forward.service);
+        const remote = definition ? composePortVariable(definition) : forward.remote;
+        return `      - "127.0.0.1:${forward.local}:${remote}"\n`;
+    }).join('');
+}
+
+module.exports = {
+    parsePortMapping,
+    forwardRemotePort,
+    describeForward,
+    forwardAddress,
+    findForwardConflict,
+    isLocalPortFree,
+    composeForwardLines
+};
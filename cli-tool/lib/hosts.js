@@ -0,0 +1,96 @@
+const fs = require('fs');
+
+const HOSTS_FILE = process.platform === 'win32'
+    ? 'C:\\Windows\\System32\\drivers\\etc\\hosts'
+    : '/etc/hosts';
+
+// A name as a hostname label: lowercase, underscores become hyphens
+function hostnameLabel(name) {
+    return String(name).toLowerCase().replace(/_/g, '-');
+}
+
+// <instance>.<workspace>.localhost, or <workspace>.localhost for the workspace-mode site.
+// Must match site_hostname() in images/docker-dind-wp/proxy-manager.sh.
+function siteHostname(workspaceName, instanceName) {
+    const workspace = hostnameLabel(workspaceName);
+    return instanceName ? `${hostnameLabel(instanceName)}.${workspace}.localhost` : `${workspace}.localhost`;
+}
+
+// URL of a site through the proxy (the port is left out when it is the scheme's default)
+function siteUrl(hostname, proxyPort, https = false) {
+    const scheme = https ? 'https' : 'http';
+    return proxyPort === (https ? 443 : 80) ? `${scheme}://${hostname}` : `${scheme}://${hostname}:${proxyPort}`;
+}
+
+// Whether a URL uses a hostname rather than an IP address (subdomain multisite networks need one)
+function isHostnameUrl(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch (error) {
+        return false;
+    }
+    return hostname.includes('.') && !/^[\d.]+$/.test(hostname) && !hostname.startsWith('[');
+}
+
+function blockMarkers(workspaceName) {
+    return {
+        start: `# >>> wp-dind ${workspaceName} >>>`,
+        end: `# <<< wp-dind ${workspaceName} <<<`
+    };
+}
+
+// The hosts file lines for a workspace, between markers so they can be replaced later
+function buildHostsBlock(workspaceName, ip, hostnames) {
+    const markers = blockMarkers(workspaceName);
+    return [markers.start, ...hostnames.map(hostname => `${ip}\t${hostname}`), markers.end].join('\n');
+}
+
+// Hosts file content with the workspace's block replaced by `block` (appended if there was
+// none, removed if `block` is null)
+function replaceHostsBlock(content, workspaceName, block) {
+    const markers = blockMarkers(workspaceName);
+    const lines = content.split('\n');
+    const start = lines.indexOf(markers.start);
+    const end = start === -1 ? -1 : lines.indexOf(markers.end, start);
+
+    let kept = lines;
+    let insertAt = lines.length;
+    if (start !== -1 && end !== -1) {
+        kept = [...lines.slice(0, start), ...lines.slice(end + 1)];
+        insertAt = start;
+    }
+    if (block) {
+        if (insertAt === kept.length) {
+            // Appending: keep a single trailing newline
+            while (kept.length > 0 && kept[kept.length - 1] === '') {
+                kept.pop();
+            }
+            return [...kept, block, ''].join('\n');
+        }
+        kept = [...kept.slice(0, insertAt), block, ...kept.slice(insertAt)];
+    }
+    return kept.join('\n');
+}
+
+// Write the workspace's block into the hosts file (null removes it).
+// Returns false when nothing changed; throws EACCES/EPERM when not run as root/administrator.
+function updateHostsFile(hostsFile, workspaceName, block) {
+    const content = fs.existsSync(hostsFile) ? fs.readFileSync(hostsFile, 'utf8') : '';
+    const updated = replaceHostsBlock(content, workspaceName, block);
+    if (updated === content) {
+        return false;
+    }
+    fs.writeFileSync(hostsFile, updated);
+    return true;
+}
+
+module.exports = {
+    HOSTS_FILE,
+    siteHostname,
+    siteUrl,
+    isHostnameUrl,
+    buildHostsBlock,
+    replaceHostsBlock,
+    updateHostsFile
+};
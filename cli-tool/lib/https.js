@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+// The workspace CA is created by images/docker-dind-wp/https-manager.sh in
+// /wordpress-instances/.certs, which is wordpress-instances/.certs on the host
+const CA_CERT_PATH = path.join('wordpress-instances', '.certs', 'ca.crt');
+// Where "wp-dind https enable" and "wp-dind https ca" copy the CA certificate
+const CA_EXPORT_FILE = 'wp-dind-ca.crt';
+
+function caCertPath(targetDir) {
+    return path.join(targetDir, CA_CERT_PATH);
+}
+
+// Copy the CA certificate (never its key) out of wordpress-instances/. Returns the written path,
+// or null when the CA does not exist yet.
+function exportCaCert(targetDir, outFile) {
+    const source = caCertPath(targetDir);
+    if (!fs.existsSync(source)) {
+        return null;
+    }
+    const destination = outFile ? path.resolve(outFile) : path.join(targetDir, CA_EXPORT_FILE);
+    fs.copyFileSync(source, destination);
+    return destination;
+}
+
+// Commands that add the CA to the host's trust store, for the current platform
+function trustCommands(caFile, workspaceName) {
+    const name = `wp-dind-${workspaceName}.crt`;
+    if (process.platform === 'darwin') {
+        return [`sudo security add-trusted-cert -d -r trustRoot -k /Library/Keychains/System.keychain "${caFile}"`];
+    }
+    if (process.platform === 'win32') {
+        return [`certutil -addstore -f Root "${caFile}"   (from an administrator terminal)`];
+    }
+    return [
+        `sudo cp "${caFile}" /usr/local/share/ca-certificates/${name} && sudo update-ca-certificates   (Debian/Ubuntu)`,
+        `sudo cp "${caFile}" /etc/pki/ca-trust/source/anchors/${name} && sudo update-ca-trust   (Fedora/RHEL)`
+    ];
+}
+
+module.exports = {
+    CA_EXPORT_FILE,
+    caCertPath,
+    exportCaCert,
+    trustCommands
+};
@@ -0,0 +1,180 @@
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+// Services "wp-dind logs --service" accepts. php/mysql/web are the site containers (plus the
+// Xdebug and MySQL slow logs inside them, and the DinD's own php-fpm/nginx for phpMyAdmin and
+// the proxy); the others are supervisord programs of the DinD container.
+const LOG_SERVICES = ['php', 'mysql', 'web', 'mailhog', 'redis', 'dockerd'];
+
+// Per-program log files written by supervisord (images/docker-dind-wp/supervisord.conf)
+const SUPERVISOR_LOGS = [
+    { program: 'dockerd', service: 'dockerd' },
+    { program: 'php-fpm', service: 'php' },
+    { program: 'nginx', service: 'web' },
+    { program: 'mailhog', service: 'mailhog' },
+    { program: 'redis', service: 'redis' },
+    { program: 'redis-commander', service: 'redis' }
+];
+
+// Log files inside the site containers (see images/php/*/config/xdebug.ini and images/mysql/*/config/my.cnf)
+const XDEBUG_LOG = '/var/log/php/xdebug.log';
+const MYSQL_SLOW_LOG = '/var/log/mysql/slow-query.log';
+
+const SOURCE_COLORS = ['cyan', 'magenta', 'yellow', 'green', 'blue', 'redBright', 'cyanBright', 'magentaBright', 'yellowBright', 'greenBright', 'blueBright'];
+
+// "--since" as a timestamp: 30s, 10m, 2h, 1d or anything Date can parse. Throws if invalid.
+function parseSince(value, now = Date.now()) {
+    const match = String(value).match(/^(\d+)([smhd])$/);
+    if (match) {
+        const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return now - (Number(match[1]) * units[match[2]]);
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid --since: ${value} (expected e.g. 30s, 10m, 2h, 1d or a date)`);
+    }
+    return time;
+}
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+// Time of a log line from the formats the services write (UTC is assumed without a zone):
+// ISO 8601 (dockerd, MySQL, PHP), 2024/01/31 12:00:00 (nginx, MailHog), 31 Jan 2024 12:00:00 (Redis),
+// [31-Jan-2024 12:00:00] (php-fpm). Null when the line has none.
+function parseLineTime(line) {
+    let match = line.match(/(\d{4})-(\d\d)-(\d\d)[T ](\d\d):(\d\d):(\d\d)(\.\d+)?(Z|[+-]\d\d:?\d\d)?/);
+    if (match) {
+        const time = Date.parse(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${match[7] || ''}${match[8] || 'Z'}`);
+        return Number.isNaN(time) ? null : time;
+    }
+    match = line.match(/(\d{4})\/(\d\d)\/(\d\d) (\d\d):(\d\d):(\d\d)/);
+    if (match) {
+        return Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]);
+    }
+    match = line.match(/(\d{1,2})[ -](Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[ -](\d{4}) (\d\d):(\d\d):(\d\d)/);
+    if (match) {
+        return Date.UTC(match[3], MONTHS[match[2]], match[1], match[4], match[5], match[6]);
+    }
+    return null;
+}
+
+// Log sources for the selected sites and services. `sites`: [{ label, phpContainer,
+// mysqlContainer, webContainer }]; `services`: subset of LOG_SERVICES (all when empty).
+// Without a service filter the DinD container's own output (entrypoint, supervisord) is included.
+function buildLogSources(containerName, sites, services) {
+    const wanted = service => services.length === 0 || services.includes(service);
+    const sources = [];
+
+    if (services.length === 0) {
+        sources.push({ name: 'dind', kind: 'outer' });
+    }
+    SUPERVISOR_LOGS.filter(entry => wanted(entry.service)).forEach(entry => {
+        sources.push({ name: `dind/${entry.program}`, kind: 'file', file: `/var/log/supervisor/${entry.program}.log` });
+    });
+
+    sites.forEach(site => {
+        if (wanted('php')) {
+            sources.push({ name: `${site.label}/php`, kind: 'container', container: site.phpContainer });
+            sources.push({ name: `${site.label}/xdebug`, kind: 'file', container: site.phpContainer, file: XDEBUG_LOG });
+        }
+        if (wanted('mysql')) {
+            sources.push({ name: `${site.label}/mysql`, kind: 'container', container: site.mysqlContainer });
+            sources.push({ name: `${site.label}/mysql-slow`, kind: 'file', container: site.mysqlContainer, file: MYSQL_SLOW_LOG });
+        }
+        if (wanted('web')) {
+            sources.push({ name: `${site.label}/web`, kind: 'container', container: site.webContainer });
+        }
+    });
+
+    return sources.map((source, index) => ({ ...source, containerName, color: SOURCE_COLORS[index % SOURCE_COLORS.length] }));
+}
+
+// docker arguments that print a source: the last `tail` lines (0 with follow = only new ones).
+// Container logs come with docker's --timestamps prefix; files are read with tail inside DinD.
+function sourceArgs(source, { tail, follow, since = null }) {
+    const sinceArgs = since === null ? [] : ['--since', String(Math.floor(since / 1000))];
+    const logArgs = ['logs', '--timestamps', '--tail', String(tail), ...sinceArgs, ...(follow ? ['-f'] : [])];
+    const tailArgs = ['tail', '-n', String(tail), ...(follow ? ['-F'] : [])];
+    switch (source.kind) {
+        case 'outer':
+            return [...logArgs, source.containerName];
+        case 'container':
+            return ['exec', source.containerName, 'docker', ...logArgs, source.container];
+        default:
+            return source.container
+                ? ['exec', source.containerName, 'docker', 'exec', source.container, ...tailArgs, source.file]
+                : ['exec', source.containerName, ...tailArgs, source.file];
+    }
+}
+
+// Turn a raw line into { time, text }: docker's --timestamps prefix is stripped, other lines
+// are timed from their content, falling back to the previous line of the same source
+function toEntry(source, raw, state) {
+    let text = raw;
+    let time = null;
+    const prefixed = source.kind !== 'file' && raw.match(/^(\d{4}-\d\d-\d\dT\S+Z) (.*)$/);
+    if (prefixed) {
+        time = Date.parse(prefixed[1]);
+        text = prefixed[2];
+    } else {
+        time = parseLineTime(raw);
+    }
+    if (time === null || Number.isNaN(time)) {
+        time = state.lastTime;
+    }
+    state.lastTime = time;
+    return { time, source, text };
+}
+
+// Start a source and call onLine(entry) for every line. Resolves when the process exits.
+// Files that do not exist (no Xdebug log yet, a stopped service) simply print nothing.
+function readSource(source, options, onLine) {
+    return new Promise(resolve => {
+        // Container logs keep the container's stderr on stderr; tail's own errors are dropped
+        const file = source.kind === 'file';
+        const child = spawn('docker', sourceArgs(source, options), { stdio: ['ignore', 'pipe', file ? 'ignore' : 'pipe'] });
+        const state = { lastTime: null };
+        const streams = file ? [child.stdout] : [child.stdout, child.stderr];
+        streams.forEach(stream => {
+            readline.createInterface({ input: stream }).on('line', line => onLine(toEntry(source, line, state)));
+        });
+        child.on('error', () => resolve());
+        child.on('close', () => resolve());
+    });
+}
+
+// Keep an entry if it matches the --since and --grep filters (lines without a time pass --since)
+function entryFilter({ since, grep }) {
+    return entry => (since === null || entry.time === null || entry.time >= since) && (!grep || grep.test(entry.text));
+}
+
+// The last `tail` lines of every source, merged in time order (lines without a time keep their
+// place at the start of their source)
+async function collectLogs(sources, { tail, since = null, grep = null }) {
+    const keep = entryFilter({ since, grep });
+    const entries = [];
+    await Promise.all(sources.map(source => readSource(source, { tail, since, follow: false }, entry => entries.push(entry))));
+    return entries
+        .filter(keep)
+        .map((entry, index) => ({ ...entry, index }))
+        .sort((a, b) => ((a.time === null ? -Infinity : a.time) - (b.time === null ? -Infinity : b.time)) || a.index - b.index);
+}
+
+// Follow new lines of every source; resolves once they have all exited
+function followLogs(sources, { grep = null }, onEntry) {
+    const keep = entryFilter({ since: null, grep });
+    return Promise.all(sources.map(source => readSource(source, { tail: 0, follow: true }, entry => {
+        if (keep(entry)) {
+            onEntry(entry);
+        }
+    })));
+}
+
+module.exports = {
+    LOG_SERVICES,
+    parseSince,
+    parseLineTime,
+    buildLogSources,
+    collectLogs,
+    followLogs
+};
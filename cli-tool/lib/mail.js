@@ -0,0 +1,190 @@
+const { spawnSync } = require('child_process');
+
+// MailHog's API port inside the DinD container (-api-bind-addr in images/docker-dind-wp/supervisord.conf)
+const MAILHOG_API_PORT = 8025;
+
+// Call the MailHog API through the DinD container (curl runs inside it, so the DinD IP
+// does not have to be reachable). Returns the response body; throws when MailHog does not answer.
+function mailhogRequest(containerName, method, apiPath) {
+    const result = spawnSync('docker', [
+        'exec', containerName, 'curl', '-sS', '-f', '-m', '10', '-X', method, `http://127.0.0.1:${MAILHOG_API_PORT}${apiPath}`
+    ], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+    if (result.error || result.status !== 0) {
+        const detail = ((result.stderr || '').trim() || (result.error && result.error.message) || '').split('\n')[0];
+        throw new Error(`MailHog API is not reachable in ${containerName}${detail ? ` (${detail})` : ''}`);
+    }
+    return result.stdout;
+}
+
+function header(headers, name) {
+    const key = Object.keys(headers || {}).find(entry => entry.toLowerCase() === name.toLowerCase());
+    return key ? headers[key][0] : '';
+}
+
+function decodeBytes(bytes, charset) {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(bytes);
+    } catch (error) {
+        return Buffer.from(bytes).toString('latin1');
+    }
+}
+
+function decodeQuotedPrintable(text) {
+    const softBreaksRemoved = text.replace(/=\r?\n/g, '');
+    const bytes = [];
+    for (let i = 0; i < softBreaksRemoved.length; i++) {
+        const hex = softBreaksRemoved.slice(i + 1, i + 3);
+        if (softBreaksRemoved[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            i += 2;
+        } else {
+            bytes.push(...Buffer.from(softBreaksRemoved[i], 'latin1'));
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+// RFC 2047 encoded words in headers, e.g. =?UTF-8?B?...?= (WordPress uses them for non-ASCII subjects)
+function decodeHeader(value) {
+    return String(value || '')
+        .replace(/\?=\s+=\?/g, '?==?')
+        .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : decodeQuotedPrintable(text.replace(/_/g, ' '));
+            return decodeBytes(bytes, charset);
+        });
+}
+
+// Body of a MIME part, with its transfer encoding and charset undone
+function decodePart(headers, body) {
+    const encoding = header(headers, 'Content-Transfer-Encoding').toLowerCase();
+    const charset = (header(headers, 'Content-Type').match(/charset="?([^";\s]+)"?/i) || [])[1];
+    if (encoding === 'base64') {
+        return decodeBytes(Buffer.from(body.replace(/\s+/g, ''), 'base64'), charset);
+    }
+    if (encoding === 'quoted-printable') {
+        return decodeBytes(decodeQuotedPrintable(body), charset);
+    }
+    return body;
+}
+
+// All leaf parts of a message as [{ type, body }] (a message without MIME parts is one part)
+function collectParts(content, mime) {
+    if (mime && mime.Parts && mime.Parts.length > 0) {
+        return mime.Parts.flatMap(part => collectParts(part, part.MIME));
+    }
+    const type = (header(content.Headers, 'Content-Type') || 'text/plain').split(';')[0].trim().toLowerCase();
+    return [{ type, body: decodePart(content.Headers, content.Body || '') }];
+}
+
+function formatAddress(address) {
+    return address ? `${address.Mailbox}@${address.Domain}` : '';
+}
+
+// A MailHog API message as { id, from, to, subject, date, headers, text, html, raw }
+function normalizeMessage(message) {
+    const headers = message.Content.Headers || {};
+    const parts = collectParts(message.Content, message.MIME);
+    const textPart = parts.find(part => part.type === 'text/plain');
+    const htmlPart = parts.find(part => part.type === 'text/html');
+    return {
+        id: message.ID,
+        from: decodeHeader(header(headers, 'From')) || formatAddress(message.From),
+        to: (message.To || []).map(formatAddress),
+        subject: decodeHeader(header(headers, 'Subject')),
+        date: message.Created,
+        headers,
+        text: textPart ? textPart.body : null,
+        html: htmlPart ? htmlPart.body : null,
+        raw: message.Raw ? message.Raw.Data : ''
+    };
+}
+
+// Messages in MailHog, newest first
+function listMessages(containerName, limit = 250) {
+    const response = JSON.parse(mailhogRequest(containerName, 'GET', `/api/v2/messages?start=0&limit=${limit}`));
+    return (response.items || []).map(normalizeMessage);
+}
+
+// A message by its MailHog ID, an unambiguous ID prefix or its number in "mail list" (1 = newest).
+// Returns null when nothing matches; throws when a prefix matches several messages.
+function findMessage(containerName, reference) {
+    const messages = listMessages(containerName);
+    if (/^\d+$/.test(reference) && Number(reference) >= 1 && Number(reference) <= messages.length) {
+        return messages[Number(reference) - 1];
+    }
+    const matches = messages.filter(message => message.id === reference || message.id.startsWith(reference));
+    if (matches.length > 1 && !matches.some(message => message.id === reference)) {
+        throw new Error(`"${reference}" matches ${matches.length} messages; use more of the ID`);
+    }
+    return matches.find(message => message.id === reference) || matches[0] || null;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&amp;/g, '&')
+        .replace(/&#0*38;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0*39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>');
+}
+
+// URLs in a message: href targets of the HTML part, then any other http(s) URL in the text or HTML,
+// without duplicates
+function extractLinks(message) {
+    const links = [];
+    const add = url => {
+        const cleaned = decodeEntities(url).replace(/[.,;:!?)\]]+$/, '');
+        if (!links.includes(cleaned)) {
+            links.push(cleaned);
+        }
+    };
+    if (message.html) {
+        for (const match of message.html.matchAll(/href\s*=\s*["']([^"']+)["']/gi)) {
+            if (/^https?:/i.test(match[1])) {
+                add(match[1]);
+            }
+        }
+    }
+    for (const body of [message.text, message.html]) {
+        for (const match of (body || '').matchAll(/https?:\/\/[^\s<>"']+/gi)) {
+            add(match[0]);
+        }
+    }
+    return links;
+}
+
+// Rough plain text of an HTML body, for messages that only have HTML
+function htmlToText(html) {
+    return decodeEntities(html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|tr|h\d|li)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' '))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function deleteAllMessages(containerName) {
+    mailhogRequest(containerName, 'DELETE', '/api/v1/messages');
+}
+
+// Whether a message matches "mail wait" filters: case-insensitive substrings of a recipient and the subject
+function messageMatches(message, { to, subject }) {
+    const contains = (value, needle) => String(value).toLowerCase().includes(String(needle).toLowerCase());
+    return (!to || message.to.some(address => contains(address, to)) || contains(header(message.headers, 'To'), to))
+        && (!subject || contains(message.subject, subject));
+}
+
+module.exports = {
+    MAILHOG_API_PORT,
+    listMessages,
+    findMessage,
+    extractLinks,
+    htmlToText,
+    deleteAllMessages,
+    messageMatches
+};
@@ -0,0 +1,111 @@
+// Instances "matrix run" creates are named after their stack, with this prefix
+const MATRIX_PREFIX = 'matrix';
+
+// "7.4,8.1, 8.3" => ['7.4', '8.1', '8.3'] (duplicates dropped)
+function parseList(value) {
+    return [...new Set(String(value).split(',').map(entry => entry.trim()).filter(Boolean))];
+}
+
+// Every PHP x MySQL x web server combination, in the order given
+function buildCombinations(phpVersions, mysqlVersions, webservers) {
+    return phpVersions.flatMap(php => mysqlVersions.flatMap(mysql => webservers.map(webserver => ({ php, mysql, webserver }))));
+}
+
+// e.g. matrix-php81-mysql57-nginx
+function instanceNameFor(combination) {
+    const code = version => version.replace('.', '');
+    return `${MATRIX_PREFIX}-php${code(combination.php)}-mysql${code(combination.mysql)}-${combination.webserver}`;
+}
+
+function combinationLabel(combination) {
+    return `PHP ${combination.php} / MySQL ${combination.mysql} / ${combination.webserver}`;
+}
+
+// Last lines of a step's output, for the summary of failed combinations
+function outputTail(output, lines = 20) {
+    return stripAnsi(output).trimEnd().split('\n').slice(-lines).join('\n');
+}
+
+function stripAnsi(text) {
+    return String(text || '').replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+}
+
+// Text as XML character data: escaped, without the control characters XML 1.0 does not allow
+function xmlEscape(text) {
+    return stripAnsi(text)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// JUnit XML for CI test reporters. `results`: [{ combination, instance, status, message, output, duration }]
+// with status 'passed', 'failed' (the command or HTTP check failed) or 'error' (the instance could not be set up).
+function buildJUnitXml(results, timestamp = new Date()) {
+    const count = status => results.filter(result => result.status === status).length;
+    const seconds = duration => (duration / 1000).toFixed(3);
+    const totalTime = seconds(results.reduce((sum, result) => sum + result.duration, 0));
+    const attributes = `tests="${results.length}" failures="${count('failed')}" errors="${count('error')}" time="${totalTime}"`;
+
+    const cases = results.map(result => {
+        const open = `    <testcase classname="wp-dind.matrix.${xmlEscape(result.combination.webserver)}" name="${xmlEscape(combinationLabel(result.combination))}" time="${seconds(result.duration)}">`;
+        const body = [];
+        if (result.status !== 'passed') {
+            const tag = result.status === 'error' ? 'error' : 'failure';
+            body.push(`      <${tag} message="${xmlEscape(result.message)}">${xmlEscape(outputTail(result.output, 50))}</${tag}>`);
+        }
+        if (result.output) {
+            body.push(`      <system-out>${xmlEscape(result.output)}</system-out>`);
+        }
+        return [open, ...body, '    </testcase>'].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="wp-dind matrix" ${attributes}>`,
+        `  <testsuite name="wp-dind matrix" ${attributes} timestamp="${timestamp.toISOString().replace(/\.\d+Z$/, '')}">`,
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+// Pass/fail grid: one row per PHP version, one column per MySQL version + web server.
+// `cell(result)` formats a result (colouring is left to the caller); returns the lines to print.
+function buildGrid(results, cell) {
+    const unique = values => [...new Set(values)];
+    const rows = unique(results.map(result => result.combination.php));
+    const columns = unique(results.map(result => `${result.combination.mysql}|${result.combination.webserver}`));
+    const columnLabel = column => {
+        const [mysql, webserver] = column.split('|');
+        return `MySQL ${mysql} ${webserver}`;
+    };
+    const width = Math.max(...columns.map(column => columnLabel(column).length), 6) + 2;
+
+    const lines = [`${'PHP'.padEnd(8)}${columns.map(column => columnLabel(column).padEnd(width)).join('')}`];
+    rows.forEach(php => {
+        const cells = columns.map(column => {
+            const [mysql, webserver] = column.split('|');
+            const result = results.find(entry => entry.combination.php === php
+                && entry.combination.mysql === mysql && entry.combination.webserver === webserver);
+            // Pad the plain text, colours would count towards the width
+            const text = result ? cell(result) : { plain: '-', display: '-' };
+            return text.display + ' '.repeat(Math.max(width - text.plain.length, 1));
+        });
+        lines.push(`${php.padEnd(8)}${cells.join('')}`);
+    });
+    return lines;
+}
+
+module.exports = {
+    MATRIX_PREFIX,
+    parseList,
+    buildCombinations,
+    instanceNameFor,
+    combinationLabel,
+    outputTail,
+    buildJUnitXml,
+    buildGrid
+};
@@ -0,0 +1,134 @@
+const { execSync } = require('child_process');
+
+// Used inside every DinD container (wp-network-* and wp-shared), so the outer
+// network must never overlap them or traffic into DinD is routed wrongly
+const RESERVED_SUBNETS = ['172.20.0.0/16', '172.21.0.0/16'];
+
+// Candidate /24 subnets, tried in order: 172.19.x.0 first (the historical default), then 172.22-31
+const CANDIDATE_SECOND_OCTETS = [19, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31];
+
+function ipToInt(ip) {
+    return ip.split('.').reduce((value, octet) => (value * 256) + Number(octet), 0);
+}
+
+// Parse "a.b.c.d/n" (null if not a valid IPv4 CIDR)
+function parseCidr(cidr) {
+    const match = String(cidr).trim().match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/);
+    if (!match) {
+        return null;
+    }
+
+    const octets = match.slice(1, 5).map(Number);
+    const prefix = Number(match[5]);
+    if (octets.some(octet => octet > 255) || prefix > 32) {
+        return null;
+    }
+
+    return { address: ipToInt(octets.join('.')), prefix };
+}
+
+function networkAddress(address, prefix) {
+    if (prefix === 0) {
+        return 0;
+    }
+    const size = 2 ** (32 - prefix);
+    return Math.floor(address / size) * size;
+}
+
+function subnetsOverlap(a, b) {
+    const first = parseCidr(a);
+    const second = parseCidr(b);
+    if (!first || !second) {
+        return false;
+    }
+
+    const prefix = Math.min(first.prefix, second.prefix);
+    return networkAddress(first.address, prefix) === networkAddress(second.address, prefix);
+}
+
+function isPrivateSubnet(cidr) {
+    return ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16'].some(range => {
+        const parsed = parseCidr(cidr);
+        return parsed && parsed.prefix >= parseCidr(range).prefix && subnetsOverlap(cidr, range);
+    });
+}
+
+// Subnets of existing Docker networks on the host (name => subnets)
+function listDockerSubnets() {
+    try {
+        const ids = execSync('docker network ls -q', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim().split('\n').filter(Boolean);
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const output = execSync(`docker network inspect --format '{{.Name}}|{{range .IPAM.Config}}{{.Subnet}} {{end}}' ${ids.join(' ')}`, {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        return output.trim().split('\n').filter(Boolean).flatMap(line => {
+            const [name, subnets] = line.split('|');
+            return (subnets || '').trim().split(/\s+/).filter(Boolean).map(subnet => ({ source: `docker network ${name}`, network: name, subnet }));
+        });
+    } catch (error) {
+        return [];
+    }
+}
+
+// Routed IPv4 subnets on the host (VPNs, LAN), Linux only
+function listRouteSubnets() {
+    try {
+        const output = execSync('ip -4 route show', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+        return output.split('\n')
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(destination => destination && destination.includes('/'))
+            .map(subnet => ({ source: 'host route', subnet }));
+    } catch (error) {
+        return [];
+    }
+}
+
+// Everything a new workspace subnet must not overlap
+function collectUsedSubnets(extra = []) {
+    return [
+        ...RESERVED_SUBNETS.map(subnet => ({ source: 'reserved for networks inside DinD', subnet })),
+        ...listDockerSubnets(),
+        ...listRouteSubnets(),
+        ...extra
+    ];
+}
+
+// Used subnets without a workspace's own Docker network (from a previous start) and the host
+// route Docker adds for that network's bridge: neither conflicts with the workspace itself
+function excludeOwnNetwork(usedSubnets, networkName) {
+    const ownSubnets = usedSubnets.filter(used => used.network === networkName).map(used => used.subnet);
+    return usedSubnets.filter(used => used.network !== networkName
+        && !(used.source === 'host route' && ownSubnets.includes(used.subnet)));
+}
+
+// First used subnet that overlaps the given one (null if free)
+function findSubnetConflict(subnet, usedSubnets) {
+    return usedSubnets.find(used => subnetsOverlap(subnet, used.subnet)) || null;
+}
+
+// Pick the first free /24 from the candidate pool (null if none is free)
+function pickFreeSubnet(usedSubnets) {
+    for (const second of CANDIDATE_SECOND_OCTETS) {
+        for (let third = 0; third < 256; third++) {
+            const candidate = `172.${second}.${third}.0/24`;
+            if (!findSubnetConflict(candidate, usedSubnets)) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseCidr,
+    subnetsOverlap,
+    isPrivateSubnet,
+    collectUsedSubnets,
+    excludeOwnNetwork,
+    findSubnetConflict,
+    pickFreeSubnet
+};
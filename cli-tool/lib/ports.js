@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Service ports inside the DinD container, keyed by the .env variable that overrides them.
+// `service` links a port to its toggle in stack.services (ports without one are always on);
+// `site` ports serve the WordPress site itself and are not listed as core services.
+const PORT_DEFINITIONS = [
+    { key: 'dockerDaemon', env: 'DOCKER_DAEMON_PORT', label: 'Docker Daemon', defaultPort: 2375 },
+    { key: 'mysql', env: 'MYSQL_PORT', label: 'MySQL', defaultPort: 3306 },
+    { key: 'wordpress', env: 'WORDPRESS_PORT', label: 'WordPress', defaultPort: 8000, http: true, site: true },
+    { key: 'wordpressHttps', env: 'WORDPRESS_HTTPS_PORT', label: 'WordPress HTTPS', defaultPort: 8443, site: true },
+    { key: 'proxy', env: 'PROXY_PORT', label: 'Hostname Proxy', defaultPort: 80, http: true, service: 'proxy' },
+    { key: 'proxyHttps', env: 'PROXY_HTTPS_PORT', label: 'Hostname Proxy HTTPS', defaultPort: 443, service: 'proxy', site: true },
+    { key: 'phpmyadmin', env: 'PHPMYADMIN_PORT', label: 'phpMyAdmin', defaultPort: 8080, http: true, service: 'phpmyadmin' },
+    { key: 'mailhogWeb', env: 'MAILCATCHER_WEB_PORT', label: 'MailCatcher Web', defaultPort: 1080, http: true, service: 'mailhog' },
+    { key: 'mailhogSmtp', env: 'MAILCATCHER_SMTP_PORT', label: 'MailCatcher SMTP', defaultPort: 1025, service: 'mailhog' },
+    { key: 'redis', env: 'REDIS_PORT', label: 'Redis', defaultPort: 6379, service: 'redis' },
+    { key: 'redisCommander', env: 'REDIS_COMMANDER_PORT', label: 'Redis Commander', defaultPort: 8081, http: true, service: 'redisCommander' }
+];
+
+// Ports handed out to multi-instance instances unless configured otherwise
+const DEFAULT_INSTANCE_PORT_RANGE = { start: 8001, end: 8020 };
+
+// Parse KEY=value lines from the workspace .env file (missing file => empty object)
+function parseEnvFile(targetDir) {
+    const envPath = path.join(targetDir, '.env');
+    const envVars = {};
+    if (!fs.existsSync(envPath)) {
+        return envVars;
+    }
+
+    fs.readFileSync(envPath, 'utf8').split('\n').forEach(line => {
+        const match = line.match(/^([A-Z_][A-Z0-9_]*)=(.*)$/);
+        if (match) {
+            envVars[match[1]] = match[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+        }
+    });
+    return envVars;
+}
+
+// Resolve every service port from .env, falling back to the defaults.
+// Throws if a value is not a valid port or two services share a port.
+function resolvePorts(targetDir) {
+    const envVars = parseEnvFile(targetDir);
+    const ports = {};
+    const owners = {};
+
+    for (const definition of PORT_DEFINITIONS) {
+        const raw = envVars[definition.env];
+        const port = raw === undefined || raw === '' ? definition.defaultPort : Number(raw);
+
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error(`Invalid port in .env: ${definition.env}=${raw}`);
+        }
+        if (owners[port]) {
+            throw new Error(`Port ${port} is used by both ${owners[port]} and ${definition.env} in .env`);
+        }
+
+        owners[port] = definition.env;
+        ports[definition.key] = port;
+    }
+
+    return ports;
+}
+
+// Resolve the instance port range: .env (WP_INSTANCE_PORT_RANGE_START/END) overrides
+// instancePortRange in wp-dind-workspace.json, which overrides the default.
+// Throws if the range is invalid or overlaps a service port.
+function resolveInstancePortRange(targetDir, workspaceConfig) {
+    const envVars = parseEnvFile(targetDir);
+    const configured = (workspaceConfig && workspaceConfig.instancePortRange) || {};
+    const pick = (envValue, configValue, fallback) => {
+        if (envValue !== undefined && envValue !== '') return Number(envValue);
+        if (configValue !== undefined && configValue !== null) return Number(configValue);
+        return fallback;
+    };
+
+    const range = {
+        start: pick(envVars.WP_INSTANCE_PORT_RANGE_START, configured.start, DEFAULT_INSTANCE_PORT_RANGE.start),
+        end: pick(envVars.WP_INSTANCE_PORT_RANGE_END, configured.end, DEFAULT_INSTANCE_PORT_RANGE.end)
+    };
+
+    if (!Number.isInteger(range.start) || !Number.isInteger(range.end) || range.start < 1 || range.end > 65535 || range.start > range.end) {
+        throw new Error(`Invalid instance port range: ${range.start}-${range.end}`);
+    }
+
+    const ports = resolvePorts(targetDir);
+    const clash = PORT_DEFINITIONS.find(definition => ports[definition.key] >= range.start && ports[definition.key] <= range.end);
+    if (clash) {
+        throw new Error(`Instance port range ${range.start}-${range.end} overlaps ${clash.env}=${ports[clash.key]}`);
+    }
+
+    return range;
+}
+
+// Endpoints for the core services that are enabled, in display order
+function getServiceEndpoints(ports, host, services = {}) {
+    return PORT_DEFINITIONS
+        .filter(definition => !definition.site)
+        .filter(definition => !definition.service || services[definition.service] !== false)
+        .map(definition => ({
+            key: definition.key,
+            label: definition.label,
+            port: ports[definition.key],
+            url: definition.http ? `http://${host}:${ports[definition.key]}` : `${host}:${ports[definition.key]}`
+        }));
+}
+
+// Compose interpolation for a port variable, e.g. "${REDIS_PORT:-6379}"
+function composePortVariable(definition) {
+    return `\${${definition.env}:-${definition.defaultPort}}`;
+}
+
+// .env lines for the port section written by "wp-dind init"
+function defaultEnvLines() {
+    return PORT_DEFINITIONS.map(definition => `${definition.env}=${definition.defaultPort}`).join('\n');
+}
+
+module.exports = {
+    PORT_DEFINITIONS,
+    DEFAULT_INSTANCE_PORT_RANGE,
+    parseEnvFile,
+    resolvePorts,
+    resolveInstancePortRange,
+    getServiceEndpoints,
+    composePortVariable,
+    defaultEnvLines
+};
@@ -0,0 +1,87 @@
+const { spawnSync } = require('child_process');
+
+// Checks "wp-dind start" waits for. poll() returns { ready, detail, fatal }; fatal means
+// waiting longer cannot help (e.g. the DinD container exited).
+
+// Run docker with a time limit; returns { ok, stdout }
+function docker(args, timeout = 15000) {
+    const result = spawnSync('docker', args, { encoding: 'utf8', timeout });
+    return { ok: !result.error && result.status === 0, stdout: (result.stdout || '').trim() };
+}
+
+// The DinD container is ready once healthy, or once its healthcheck command (docker info)
+// succeeds, which is usually well before the next scheduled healthcheck
+function dindCheck(containerName) {
+    return {
+        name: 'DinD container',
+        poll() {
+            const inspect = docker(['inspect', '--format', '{{.State.Status}} {{if .State.Health}}{{.State.Health.Status}}{{end}}', containerName]);
+            if (!inspect.ok) {
+                return { ready: false, detail: 'container not found', fatal: true };
+            }
+            const [status, health] = inspect.stdout.split(' ');
+            if (status !== 'running') {
+                return { ready: false, detail: status, fatal: status === 'exited' || status === 'dead' };
+            }
+            if (health === 'healthy' || docker(['exec', containerName, 'docker', 'info']).ok) {
+                return { ready: true, detail: 'dockerd is up' };
+            }
+            return { ready: false, detail: health ? `dockerd starting, ${health}` : 'dockerd starting' };
+        }
+    };
+}
+
+// A container inside DinD with a healthcheck (workspace-mysql) is ready once healthy
+function innerHealthCheck(containerName, innerContainer, name) {
+    return {
+        name,
+        poll() {
+            const inspect = docker(['exec', containerName, 'docker', 'inspect', '--format',
+                '{{.State.Status}} {{if .State.Health}}{{.State.Health.Status}}{{end}}', innerContainer]);
+            if (!inspect.ok) {
+                return { ready: false, detail: 'not created yet' };
+            }
+            const [status, health] = inspect.stdout.split(' ');
+            if (status === 'running' && (health === 'healthy' || !health)) {
+                return { ready: true, detail: health || status };
+            }
+            return { ready: false, detail: health || status };
+        }
+    };
+}
+
+// A web endpoint is ready once it answers with any HTTP status. curl runs inside DinD,
+// so this also works where the host cannot reach the DinD IP (Docker Desktop).
+function httpCheck(containerName, name, port) {
+    return {
+        name,
+        poll() {
+            const curl = docker(['exec', containerName, 'curl', '-s', '-o', '/dev/null', '-m', '5', '-w', '%{http_code}', `http://127.0.0.1:${port}/`]);
+            const code = curl.stdout;
+            if (code && code !== '000') {
+                return { ready: true, detail: `HTTP ${code}` };
+            }
+            return { ready: false, detail: `no response on port ${port}` };
+        }
+    };
+}
+
+// Poll a check every 2s until it is ready, fails fatally or `deadline` (a timestamp) passes.
+// `onWaiting` receives the detail of each not-ready poll.
+async function waitForCheck(check, deadline, onWaiting = () => {}) {
+    for (;;) {
+        const state = check.poll();
+        if (state.ready || state.fatal || Date.now() >= deadline) {
+            return state;
+        }
+        onWaiting(state.detail);
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+}
+
+module.exports = {
+    dindCheck,
+    innerHealthCheck,
+    httpCheck,
+    waitForCheck
+};
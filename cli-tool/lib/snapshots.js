@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { dockerStream, listInnerContainers } = require('./docker');
+const { dumpDatabase, restoreDatabase, resetDatabase } = require('./database');
+
+// Snapshot metadata lives next to wp-dind-workspace.json, the archives under snapshots/<site>/<label>/
+const METADATA_FILE = 'wp-dind-snapshots.json';
+const SNAPSHOTS_DIR = 'snapshots';
+const FILES_ARCHIVE = 'files.tar.gz';
+const DATABASE_DUMP = 'database.sql.gz';
+
+function validateSnapshotLabel(label) {
+    if (!label || !/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(label)) {
+        return 'Snapshot label can only contain letters, numbers, dots, hyphens, and underscores';
+    }
+    return true;
+}
+
+function loadSnapshots(targetDir) {
+    const metadataFile = path.join(targetDir, METADATA_FILE);
+    if (!fs.existsSync(metadataFile)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(metadataFile, 'utf8')).snapshots || [];
+}
+
+function saveSnapshots(targetDir, snapshots) {
+    fs.writeFileSync(path.join(targetDir, METADATA_FILE), JSON.stringify({ snapshots }, null, 2));
+}
+
+function snapshotDir(targetDir, snapshot) {
+    return path.join(targetDir, snapshot.path);
+}
+
+// Run a docker command inside DinD, throwing with its stderr on failure
+function dindExec(site, args) {
+    const result = spawnSync('docker', ['exec', site.containerName, ...args], { encoding: 'utf8' });
+    if (result.error || result.status !== 0) {
+        throw new Error((result.stderr || '').trim() || `Command failed: ${args.join(' ')}`);
+    }
+}
+
+// Write the site's WordPress files (files.tar.gz) and database (database.sql.gz) into `dir`;
+// `dir` is removed again if that fails
+async function archiveSite(site, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+        // tar runs inside DinD, where the files are readable whatever their owner on the host
+        await dockerStream(['exec', site.containerName, 'tar', '-czf', '-', '-C', site.wordpressPath, '.'], {
+            output: [fs.createWriteStream(path.join(dir, FILES_ARCHIVE))],
+            name: 'tar'
+        });
+        await dumpDatabase(site, fs.createWriteStream(path.join(dir, DATABASE_DUMP)), { gzip: true });
+    } catch (error) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+// Capture the site's WordPress files and database into snapshots/<site>/<label>/
+async function createSnapshot(targetDir, site, label) {
+    const relativePath = path.join(SNAPSHOTS_DIR, site.name, label);
+    const dir = path.join(targetDir, relativePath);
+    await archiveSite(site, dir);
+
+    const snapshot = {
+        label,
+        site: site.name,
+        instance: site.instance,
+        createdAt: new Date().toISOString(),
+        path: relativePath,
+        size: fs.statSync(path.join(dir, FILES_ARCHIVE)).size + fs.statSync(path.join(dir, DATABASE_DUMP)).size
+    };
+    saveSnapshots(targetDir, [...loadSnapshots(targetDir).filter(entry => !(entry.site === site.name && entry.label === label)), snapshot]);
+    return snapshot;
+}
+
+// Roll a site back: stop its PHP/web server containers, swap files and database, start them again.
+// `onStep` receives a short description of each step for progress output.
+async function restoreSnapshot(targetDir, site, snapshot, onStep = () => {}) {
+    const dir = snapshotDir(targetDir, snapshot);
+    // Checked before anything is stopped or deleted, so a partial snapshot leaves the site alone
+    const missing = [FILES_ARCHIVE, DATABASE_DUMP].filter(file => !fs.existsSync(path.join(dir, file)));
+    if (missing.length > 0) {
+        throw new Error(`Snapshot "${snapshot.label}" is incomplete: ${missing.join(', ')} missing in ${snapshot.path}`);
+    }
+
+    // Only the site's own containers: "<instance>-" also prefixes other instances (e.g. <instance>-clone)
+    const stopped = (listInnerContainers(site.containerName) || [])
+        .map(container => container.name)
+        .filter(name => site.appContainers.includes(name));
+
+    let failure = null;
+    try {
+        onStep('Stopping PHP and web server containers...');
+        if (stopped.length > 0) {
+            dindExec(site, ['docker', 'stop', ...stopped]);
+        }
+        dindExec(site, ['docker', 'start', site.mysqlContainer]);
+
+        // Trailing slash: also follows instances whose files are symlinked to another instance
+        onStep('Restoring WordPress files...');
+        dindExec(site, ['find', `${site.wordpressPath}/`, '-mindepth', '1', '-delete']);
+        await dockerStream(['exec', '-i', site.containerName, 'tar', '-xzf', '-', '-C', site.wordpressPath], {
+            input: [fs.createReadStream(path.join(dir, FILES_ARCHIVE))],
+            name: 'tar'
+        });
+
+        onStep('Restoring database...');
+        resetDatabase(site);
+        await restoreDatabase(site, fs.createReadStream(path.join(dir, DATABASE_DUMP)), { gunzip: true });
+    } catch (error) {
+        failure = error;
+    }
+
+    // Bring the site back up even if the restore failed half-way
+    if (stopped.length > 0) {
+        onStep('Starting containers...');
+        try {
+            dindExec(site, ['docker', 'start', ...stopped]);
+        } catch (error) {
+            failure = failure || error;
+        }
+    }
+    if (failure) {
+        throw failure;
+    }
+}
+
+function deleteSnapshot(targetDir, snapshot) {
+    fs.rmSync(snapshotDir(targetDir, snapshot), { recursive: true, force: true });
+    saveSnapshots(targetDir, loadSnapshots(targetDir).filter(entry => !(entry.site === snapshot.site && entry.label === snapshot.label)));
+}
+
+module.exports = {
+    validateSnapshotLabel,
+    loadSnapshots,
+    snapshotDir,
+    archiveSite,
+    createSnapshot,
+    restoreSnapshot,
+    deleteSnapshot
+};
@@ -0,0 +1,85 @@
+const { spawnSync } = require('child_process');
+
+// Loaded after the image's xdebug.ini and the instances' zzz-custom.ini
+const OVERRIDE_FILE = '/usr/local/etc/php/conf.d/zzzz-wp-dind-xdebug.ini';
+const XDEBUG_MODES = ['debug', 'profile', 'trace', 'coverage', 'develop', 'gcstats'];
+const DEFAULT_CLIENT_PORT = 9003;
+
+// Run a command in the site's PHP container (through DinD), returning trimmed stdout or throwing
+function phpExec(site, args, input) {
+    const result = spawnSync('docker', ['exec', '-i', site.containerName, 'docker', 'exec', '-i', site.phpContainer, ...args], {
+        encoding: 'utf8',
+        input
+    });
+    if (result.error || result.status !== 0) {
+        throw new Error((result.stderr || '').trim() || `Command failed in ${site.phpContainer}: ${args.join(' ')}`);
+    }
+    return result.stdout.trim();
+}
+
+// "debug,profile" => ['debug', 'profile']; throws on unknown modes
+function parseModes(value) {
+    const modes = String(value).split(',').map(mode => mode.trim()).filter(Boolean);
+    const unknown = modes.filter(mode => !XDEBUG_MODES.includes(mode));
+    if (modes.length === 0 || unknown.length > 0) {
+        throw new Error(`Invalid Xdebug mode: ${value} (available: ${XDEBUG_MODES.join(', ')})`);
+    }
+    return modes;
+}
+
+// The host as seen from containers inside DinD: traffic leaves DinD through its default
+// gateway, which is the host side of the workspace network (host.docker.internal is not set there)
+function getClientHost(site) {
+    const result = spawnSync('docker', ['exec', site.containerName, 'sh', '-c', "ip route | awk '/^default/ { print $3; exit }'"], { encoding: 'utf8' });
+    const gateway = (result.stdout || '').trim();
+    if (result.status !== 0 || !gateway) {
+        throw new Error('Could not determine the DinD network gateway, pass --client-host');
+    }
+    return gateway;
+}
+
+function buildOverrideIni({ modes, clientHost, clientPort }) {
+    return [
+        '; Written by "wp-dind xdebug on", removed by "wp-dind xdebug off"',
+        `xdebug.mode=${modes.join(',')}`,
+        'xdebug.start_with_request=yes',
+        `xdebug.client_host=${clientHost}`,
+        `xdebug.client_port=${clientPort}`,
+        'xdebug.discover_client_host=0',
+        ''
+    ].join('\n');
+}
+
+// php-fpm runs as PID 1 in the PHP images; USR2 makes it re-read its ini files
+function reloadPhpFpm(site) {
+    phpExec(site, ['kill', '-USR2', '1']);
+}
+
+function enableXdebug(site, settings) {
+    phpExec(site, ['sh', '-c', `cat > ${OVERRIDE_FILE}`], buildOverrideIni(settings));
+    reloadPhpFpm(site);
+}
+
+function disableXdebug(site) {
+    phpExec(site, ['rm', '-f', OVERRIDE_FILE]);
+    reloadPhpFpm(site);
+}
+
+// Effective Xdebug settings, as PHP reads them from conf.d
+function getXdebugStatus(site) {
+    const output = phpExec(site, ['php', '-r', 'echo json_encode(["loaded" => extension_loaded("xdebug"), "mode" => ini_get("xdebug.mode"), "clientHost" => ini_get("xdebug.client_host"), "clientPort" => ini_get("xdebug.client_port")]);']);
+    const status = JSON.parse(output);
+    status.override = phpExec(site, ['sh', '-c', `[ -f ${OVERRIDE_FILE} ] && echo yes || echo no`]) === 'yes';
+    status.enabled = status.loaded && status.mode !== '' && status.mode !== 'off';
+    return status;
+}
+
+module.exports = {
+    XDEBUG_MODES,
+    DEFAULT_CLIENT_PORT,
+    parseModes,
+    getClientHost,
+    enableXdebug,
+    disableXdebug,
+    getXdebugStatus
+};
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePortMapping, forwardRemotePort, forwardAddress, findForwardConflict, composeForwardLines } = require('../lib/forwards');
+
+test('parsePortMapping reads local:port, local:service and a single port', () => {
+    assert.deepEqual(parsePortMapping('3307:3306'), { local: 3307, remote: 3306 });
+    assert.deepEqual(parsePortMapping('8080:phpmyadmin'), { local: 8080, service: 'phpmyadmin' });
+    assert.deepEqual(parsePortMapping('8001'), { local: 8001, remote: 8001 });
+    assert.deepEqual(parsePortMapping(80), { local: 80, remote: 80 });
+});
+
+test('parsePortMapping rejects invalid ports, unknown services and extra parts', () => {
+    ['0:80', '65536:80', '8080:0', '8080:nosuchservice', 'abc', '80.5:80', '1:2:3', ':80', ''].forEach(value => {
+        assert.equal(parsePortMapping(value), null, value);
+    });
+});
+
+test('forwardRemotePort follows the service port from .env', () => {
+    const ports = { phpmyadmin: 9080 };
+    assert.equal(forwardRemotePort({ local: 8080, service: 'phpmyadmin' }, ports), 9080);
+    assert.equal(forwardRemotePort({ local: 3307, remote: 3306 }, ports), 3306);
+});
+
+test('forwardAddress is a URL for web services and instances only', () => {
+    assert.equal(forwardAddress({ local: 8080, service: 'phpmyadmin' }), 'http://127.0.0.1:8080');
+    assert.equal(forwardAddress({ local: 8001, remote: 8001, instance: 'mysite' }), 'http://127.0.0.1:8001');
+    assert.equal(forwardAddress({ local: 3307, service: 'mysql' }), '127.0.0.1:3307');
+});
+
+test('findForwardConflict names the workspace that already forwards a port', () => {
+    const others = [{ source: 'shop', forwards: [{ local: 8080, service: 'phpmyadmin' }] }, { source: 'blog' }];
+    assert.equal(findForwardConflict(8080, others), 'shop');
+    assert.equal(findForwardConflict(8081, others), null);
+});
+
+test('composeForwardLines publishes on 127.0.0.1 with the .env variable for services', () => {
+    assert.equal(composeForwardLines([{ local: 8080, service: 'phpmyadmin' }, { local: 3307, remote: 3306 }]),
+        '      - "127.0.0.1:8080:${PHPMYADMIN_PORT:-8080}"\n      - "127.0.0.1:3307:3306"\n');
+});
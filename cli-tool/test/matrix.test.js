@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseList, buildCombinations, instanceNameFor, outputTail, buildJUnitXml, buildGrid } = require('../lib/matrix');
+
+const combination = (php, mysql, webserver) => ({ php, mysql, webserver });
+
+test('parseList trims entries and drops empty and duplicate ones', () => {
+    assert.deepEqual(parseList('7.4,8.1, 8.3,,8.1'), ['7.4', '8.1', '8.3']);
+});
+
+test('buildCombinations crosses PHP, MySQL and web servers in the given order', () => {
+    assert.deepEqual(buildCombinations(['7.4', '8.3'], ['8.0'], ['nginx', 'apache']), [
+        combination('7.4', '8.0', 'nginx'),
+        combination('7.4', '8.0', 'apache'),
+        combination('8.3', '8.0', 'nginx'),
+        combination('8.3', '8.0', 'apache')
+    ]);
+});
+
+test('instanceNameFor names instances after their stack', () => {
+    assert.equal(instanceNameFor(combination('8.1', '5.7', 'nginx')), 'matrix-php81-mysql57-nginx');
+});
+
+test('outputTail keeps the last lines without colour codes', () => {
+    assert.equal(outputTail('one\n\x1b[31mtwo\x1b[0m\nthree\n', 2), 'two\nthree');
+});
+
+test('buildJUnitXml counts failures and errors and escapes the output', () => {
+    const results = [
+        { combination: combination('8.3', '8.0', 'nginx'), status: 'passed', message: '', output: 'OK <3 & "done"', duration: 1500 },
+        { combination: combination('7.4', '8.0', 'nginx'), status: 'failed', message: 'Exit code 1', output: '\x1b[31mFAIL\x1b[0m\x07 a < b', duration: 250 },
+        { combination: combination('7.4', '5.7', 'apache'), status: 'error', message: 'create failed: "no space"', output: '', duration: 0 }
+    ];
+    const xml = buildJUnitXml(results, new Date('2024-01-02T03:04:05.678Z'));
+
+    assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="wp-dind matrix" tests="3" failures="1" errors="1" time="1\.750">/);
+    assert.match(xml, /timestamp="2024-01-02T03:04:05"/);
+    assert.match(xml, /<system-out>OK &lt;3 &amp; &quot;done&quot;<\/system-out>/);
+    assert.match(xml, /<failure message="Exit code 1">FAIL a &lt; b<\/failure>/);
+    assert.match(xml, /<error message="create failed: &quot;no space&quot;"><\/error>/);
+    assert.ok(!xml.includes('\x1b') && !xml.includes('\x07'), 'no escape or control characters');
+});
+
+test('buildGrid puts PHP versions in rows and MySQL + web server in columns', () => {
+    const results = [
+        { combination: combination('7.4', '8.0', 'nginx'), status: 'passed' },
+        { combination: combination('8.3', '8.0', 'nginx'), status: 'failed' }
+    ];
+    const lines = buildGrid(results, result => ({ plain: result.status, display: result.status.toUpperCase() }));
+
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^PHP\s+MySQL 8\.0 nginx/);
+    assert.match(lines[1], /^7\.4\s+PASSED/);
+    assert.match(lines[2], /^8\.3\s+FAILED/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCidr, subnetsOverlap, isPrivateSubnet, collectUsedSubnets, excludeOwnNetwork, findSubnetConflict, pickFreeSubnet } = require('../lib/network');
+
+// Every /24 of 172.<second>.0.0/16, as collectUsedSubnets would report them
+function wholeSecondOctet(second) {
+    return Array.from({ length: 256 }, (value, third) => ({ source: 'test', subnet: `172.${second}.${third}.0/24` }));
+}
+
+test('parseCidr accepts IPv4 CIDRs only', () => {
+    assert.deepEqual(parseCidr('172.19.0.0/24'), { address: (172 * 2 ** 24) + (19 * 2 ** 16), prefix: 24 });
+    assert.equal(parseCidr('172.19.0.0'), null);
+    assert.equal(parseCidr('256.0.0.0/8'), null);
+    assert.equal(parseCidr('10.0.0.0/33'), null);
+    assert.equal(parseCidr('fd00::/64'), null);
+});
+
+test('subnetsOverlap compares on the shorter prefix', () => {
+    assert.ok(subnetsOverlap('172.20.5.0/24', '172.20.0.0/16'));
+    assert.ok(!subnetsOverlap('172.19.0.0/24', '172.19.1.0/24'));
+    assert.ok(!subnetsOverlap('not a subnet', '172.19.0.0/24'));
+});
+
+test('isPrivateSubnet only accepts subnets inside the private ranges', () => {
+    assert.ok(isPrivateSubnet('192.168.50.0/24'));
+    assert.ok(isPrivateSubnet('172.31.0.0/16'));
+    assert.ok(!isPrivateSubnet('172.0.0.0/8'));
+    assert.ok(!isPrivateSubnet('8.8.8.0/24'));
+});
+
+test('collectUsedSubnets always reserves the networks used inside DinD', () => {
+    const reserved = collectUsedSubnets().filter(used => used.source === 'reserved for networks inside DinD').map(used => used.subnet);
+    assert.deepEqual(reserved, ['172.20.0.0/16', '172.21.0.0/16']);
+});
+
+test('pickFreeSubnet starts at 172.19.0.0/24 and skips used subnets', () => {
+    assert.equal(pickFreeSubnet([]), '172.19.0.0/24');
+    assert.equal(pickFreeSubnet([{ source: 'test', subnet: '172.19.0.0/23' }]), '172.19.2.0/24');
+});
+
+test('pickFreeSubnet never hands out the reserved 172.20 and 172.21 ranges', () => {
+    const used = [
+        { source: 'reserved for networks inside DinD', subnet: '172.20.0.0/16' },
+        { source: 'reserved for networks inside DinD', subnet: '172.21.0.0/16' },
+        ...wholeSecondOctet(19)
+    ];
+    assert.equal(pickFreeSubnet(used), '172.22.0.0/24');
+});
+
+test('pickFreeSubnet returns null when the candidate pool is exhausted', () => {
+    assert.equal(pickFreeSubnet([{ source: 'test', subnet: '172.16.0.0/12' }]), null);
+});
+
+test('excludeOwnNetwork drops the workspace network and the host route of its bridge', () => {
+    const used = [
+        { source: 'reserved for networks inside DinD', subnet: '172.20.0.0/16' },
+        { source: 'docker network wp-dind-site', network: 'wp-dind-site', subnet: '172.19.0.0/24' },
+        { source: 'docker network wp-dind-other', network: 'wp-dind-other', subnet: '172.19.1.0/24' },
+        { source: 'host route', subnet: '172.19.0.0/24' },
+        { source: 'host route', subnet: '172.19.1.0/24' },
+        { source: 'host route', subnet: '192.168.1.0/24' }
+    ];
+
+    const remaining = excludeOwnNetwork(used, 'wp-dind-site');
+    assert.deepEqual(remaining.map(entry => `${entry.source} ${entry.subnet}`), [
+        'reserved for networks inside DinD 172.20.0.0/16',
+        'docker network wp-dind-other 172.19.1.0/24',
+        'host route 172.19.1.0/24',
+        'host route 192.168.1.0/24'
+    ]);
+    assert.equal(findSubnetConflict('172.19.0.0/24', remaining), null);
+    assert.equal(findSubnetConflict('172.19.1.0/24', remaining).source, 'docker network wp-dind-other');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PORT_DEFINITIONS, resolvePorts, resolveInstancePortRange, getServiceEndpoints, composePortVariable } = require('../lib/ports');
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A workspace directory with the given .env (null: no .env at all)
+function workspaceWithEnv(envContent) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-dind-ports-'));
+    tempDirs.push(dir);
+    if (envContent !== null) {
+        fs.writeFileSync(path.join(dir, '.env'), envContent);
+    }
+    return dir;
+}
+
+test('resolvePorts falls back to the defaults without .env', () => {
+    const ports = resolvePorts(workspaceWithEnv(null));
+    PORT_DEFINITIONS.forEach(definition => {
+        assert.equal(ports[definition.key], definition.defaultPort);
+    });
+});
+
+test('resolvePorts reads overrides from .env, quoted or not', () => {
+    const ports = resolvePorts(workspaceWithEnv('PHPMYADMIN_PORT=9080\nREDIS_PORT="6380"\n'));
+    assert.equal(ports.phpmyadmin, 9080);
+    assert.equal(ports.redis, 6380);
+    assert.equal(ports.mysql, 3306);
+});
+
+test('resolvePorts rejects invalid and shared ports', () => {
+    assert.throws(() => resolvePorts(workspaceWithEnv('REDIS_PORT=70000\n')), /Invalid port in \.env: REDIS_PORT=70000/);
+    assert.throws(() => resolvePorts(workspaceWithEnv('REDIS_PORT=8080\n')), /Port 8080 is used by both PHPMYADMIN_PORT and REDIS_PORT/);
+});
+
+test('resolveInstancePortRange prefers .env over the workspace config', () => {
+    const dir = workspaceWithEnv('WP_INSTANCE_PORT_RANGE_START=8100\n');
+    assert.deepEqual(resolveInstancePortRange(dir, { instancePortRange: { start: 8200, end: 8210 } }), { start: 8100, end: 8210 });
+    assert.deepEqual(resolveInstancePortRange(workspaceWithEnv(null), null), { start: 8001, end: 8020 });
+});
+
+test('resolveInstancePortRange rejects a range over a service port', () => {
+    const dir = workspaceWithEnv('WP_INSTANCE_PORT_RANGE_START=8070\nWP_INSTANCE_PORT_RANGE_END=8090\n');
+    assert.throws(() => resolveInstancePortRange(dir, null), /overlaps PHPMYADMIN_PORT=8080/);
+});
+
+test('getServiceEndpoints leaves out site ports and disabled services', () => {
+    const ports = resolvePorts(workspaceWithEnv(null));
+    const endpoints = getServiceEndpoints(ports, '172.19.0.2', { redis: false, redisCommander: false });
+    const keys = endpoints.map(endpoint => endpoint.key);
+
+    assert.ok(!keys.includes('wordpress'));
+    assert.ok(!keys.includes('redis'));
+    assert.deepEqual(endpoints.find(endpoint => endpoint.key === 'phpmyadmin'), {
+        key: 'phpmyadmin',
+        label: 'phpMyAdmin',
+        port: 8080,
+        url: 'http://172.19.0.2:8080'
+    });
+    assert.equal(endpoints.find(endpoint => endpoint.key === 'mysql').url, '172.19.0.2:3306');
+});
+
+test('composePortVariable interpolates the .env variable with its default', () => {
+    const redis = PORT_DEFINITIONS.find(definition => definition.key === 'redis');
+    assert.equal(composePortVariable(redis), '${REDIS_PORT:-6379}');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateSnapshotLabel, restoreSnapshot } = require('../lib/snapshots');
+
+test('validateSnapshotLabel accepts letters, numbers, dots, hyphens and underscores', () => {
+    ['before-update', 'v1.2', 'nightly_2024', '3'].forEach(label => {
+        assert.equal(validateSnapshotLabel(label), true);
+    });
+});
+
+test('validateSnapshotLabel rejects empty labels, paths and a leading separator', () => {
+    ['', undefined, '../other', 'a/b', '.hidden', '-flag', 'with space'].forEach(label => {
+        assert.match(String(validateSnapshotLabel(label)), /Snapshot label can only contain/);
+    });
+});
+
+test('restoreSnapshot refuses a partial snapshot before touching the site', async () => {
+    const targetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-dind-snapshots-'));
+    try {
+        const snapshot = { label: 'partial', site: 'mysite', path: path.join('snapshots', 'mysite', 'partial') };
+        fs.mkdirSync(path.join(targetDir, snapshot.path), { recursive: true });
+        fs.writeFileSync(path.join(targetDir, snapshot.path, 'files.tar.gz'), '');
+
+        // A site whose containers would fail loudly if restore got as far as Docker
+        const site = { name: 'mysite', containerName: 'wp-dind-missing', appContainers: [], mysqlContainer: 'mysite-mysql' };
+        const steps = [];
+        await assert.rejects(restoreSnapshot(targetDir, site, snapshot, step => steps.push(step)), /incomplete: database\.sql\.gz missing/);
+        assert.deepEqual(steps, []);
+    } finally {
+        fs.rmSync(targetDir, { recursive: true, force: true });
+    }
+});
@@ -30,6 +30,76 @@ fi
 export PUID
 export PGID
 
+# Service ports (set from the workspace .env by the generated docker-compose.yml).
+# MAIL_CATCHER_* are the names used by the repository's docker-compose-dind.yml.
+export DOCKER_DAEMON_PORT=${DOCKER_DAEMON_PORT:-2375}
+export MYSQL_PORT=${MYSQL_PORT:-3306}
+export WORDPRESS_PORT=${WORDPRESS_PORT:-8000}
+export WORDPRESS_HTTPS_PORT=${WORDPRESS_HTTPS_PORT:-8443}
+export PHPMYADMIN_PORT=${PHPMYADMIN_PORT:-8080}
+export MAILCATCHER_WEB_PORT=${MAILCATCHER_WEB_PORT:-${MAIL_CATCHER_HTTP_PORT:-1080}}
+export MAILCATCHER_SMTP_PORT=${MAILCATCHER_SMTP_PORT:-${MAIL_CATCHER_SMTP_PORT:-1025}}
+export REDIS_PORT=${REDIS_PORT:-6379}
+export REDIS_COMMANDER_PORT=${REDIS_COMMANDER_PORT:-8081}
+export PROXY_PORT=${PROXY_PORT:-80}
+export PROXY_HTTPS_PORT=${PROXY_HTTPS_PORT:-443}
+
+# phpMyAdmin is served by the DinD nginx (the config is renamed to .disabled while phpMyAdmin is off)
+sed -i "s/^\([[:space:]]*listen[[:space:]]*\)[0-9][0-9]*;/\1${PHPMYADMIN_PORT};/" /etc/nginx/http.d/phpmyadmin.conf*
+
+# Redis also listens on the DinD IP, where "wp-dind ports" lists it and "wp-dind forward" publishes it
+DIND_IPS=$(hostname -i | tr ' ' '\n' | grep -E '^[0-9.]+$' | grep -v '^127\.' | sed 's/^/-/' | tr '\n' ' ')
+sed -i "s/^bind .*/bind 127.0.0.1 -172.21.0.1 ${DIND_IPS}/" /etc/redis/redis.conf
+
+# Optional services are toggled in stack.services of the mounted workspace config
+WORKSPACE_CONFIG="/wordpress-instances/.workspace-config.json"
+
+# Function to check whether an optional service is enabled (default when it is not set: true,
+# or the second argument for opt-in services)
+service_enabled() {
+    local key=$1
+    local default=${2:-true}
+
+    if [ ! -f "$WORKSPACE_CONFIG" ]; then
+        echo "$default"
+        return
+    fi
+
+    local enabled=$(jq -r --arg key "$key" --arg default "$default" \
+        '.stack.services[$key] | if . == null then $default elif . == false then "false" else "true" end' "$WORKSPACE_CONFIG" 2>/dev/null)
+    echo "${enabled:-$default}"
+}
+
+# Exported for supervisord.conf (autostart=%(ENV_SERVICE_*)s)
+export SERVICE_PHPMYADMIN=$(service_enabled phpmyadmin)
+export SERVICE_MAILHOG=$(service_enabled mailhog)
+export SERVICE_REDIS=$(service_enabled redis)
+export SERVICE_REDIS_COMMANDER=$(service_enabled redisCommander)
+export SERVICE_PROXY=$(service_enabled proxy false)
+
+# The DinD nginx serves phpMyAdmin and the hostname proxy; each has its own server config
+SERVICE_NGINX=false
+if [ "$SERVICE_PHPMYADMIN" = "true" ] || [ "$SERVICE_PROXY" = "true" ]; then
+    SERVICE_NGINX=true
+fi
+export SERVICE_NGINX
+
+if [ "$SERVICE_PHPMYADMIN" = "true" ] && [ -f /etc/nginx/http.d/phpmyadmin.conf.disabled ]; then
+    mv /etc/nginx/http.d/phpmyadmin.conf.disabled /etc/nginx/http.d/phpmyadmin.conf
+elif [ "$SERVICE_PHPMYADMIN" != "true" ] && [ -f /etc/nginx/http.d/phpmyadmin.conf ]; then
+    mv /etc/nginx/http.d/phpmyadmin.conf /etc/nginx/http.d/phpmyadmin.conf.disabled
+fi
+
+# Hostname proxy routes (<instance>.<workspace>.localhost), written before nginx starts
+/app/proxy-manager.sh generate || echo "Warning: Failed to write the hostname proxy config"
+
+# Redis Commander cannot work without Redis
+if [ "$SERVICE_REDIS_COMMANDER" = "true" ]; then
+    SERVICE_REDIS=true
+fi
+
+echo "Optional services: phpMyAdmin=${SERVICE_PHPMYADMIN}, MailHog=${SERVICE_MAILHOG}, Redis=${SERVICE_REDIS}, Redis Commander=${SERVICE_REDIS_COMMANDER}, Proxy=${SERVICE_PROXY}"
+
 # Start supervisord in the background to manage all services
 /usr/bin/supervisord -c /etc/supervisord.conf &
 SUPERVISOR_PID=$!
@@ -49,80 +119,51 @@ done
 
 echo "Docker daemon is ready!"
 
-# Wait for PHP-FPM to be ready
-echo "Waiting for PHP-FPM to start..."
-timeout=30
-counter=0
-until nc -z 127.0.0.1 9000 >/dev/null 2>&1; do
-    sleep 1
-    counter=$((counter + 1))
-    if [ $counter -ge $timeout ]; then
-        echo "WARNING: PHP-FPM may not have started properly"
-        break
-    fi
-done
-
-echo "PHP-FPM is ready!"
-
-# Wait for Nginx to be ready
-echo "Waiting for Nginx to start..."
-timeout=30
-counter=0
-until nc -z 127.0.0.1 8080 >/dev/null 2>&1; do
-    sleep 1
-    counter=$((counter + 1))
-    if [ $counter -ge $timeout ]; then
-        echo "WARNING: Nginx may not have started properly"
-        break
-    fi
-done
-
-echo "Nginx is ready!"
+# Function to wait for an optional service port
+wait_for_service() {
+    local label=$1
+    local port=$2
+    local timeout=30
+    local counter=0
+
+    echo "Waiting for ${label} to start..."
+    until nc -z 127.0.0.1 "$port" >/dev/null 2>&1; do
+        sleep 1
+        counter=$((counter + 1))
+        if [ $counter -ge $timeout ]; then
+            echo "WARNING: ${label} may not have started properly"
+            return 0
+        fi
+    done
 
-# Wait for MailCatcher to be ready
-echo "Waiting for MailCatcher to start..."
-timeout=30
-counter=0
-until nc -z 127.0.0.1 1080 >/dev/null 2>&1; do
-    sleep 1
-    counter=$((counter + 1))
-    if [ $counter -ge $timeout ]; then
-        echo "WARNING: MailCatcher may not have started properly"
-        break
-    fi
-done
+    echo "${label} is ready!"
+}
 
-echo "MailCatcher is ready!"
+if [ "$SERVICE_PHPMYADMIN" = "true" ]; then
+    wait_for_service "PHP-FPM" 9000
+    wait_for_service "Nginx" "$PHPMYADMIN_PORT"
+fi
 
-# Wait for Redis to be ready
-echo "Waiting for Redis to start..."
-timeout=30
-counter=0
-until nc -z 127.0.0.1 6379 >/dev/null 2>&1; do
-    sleep 1
-    counter=$((counter + 1))
-    if [ $counter -ge $timeout ]; then
-        echo "WARNING: Redis may not have started properly"
-        break
-    fi
-done
+if [ "$SERVICE_PROXY" = "true" ]; then
+    wait_for_service "Hostname proxy" "$PROXY_PORT"
+fi
 
-echo "Redis is ready!"
+if [ "$SERVICE_MAILHOG" = "true" ]; then
+    wait_for_service "MailCatcher" "$MAILCATCHER_WEB_PORT"
+fi
 
-# Wait for Redis Commander to be ready
-echo "Waiting for Redis Commander to start..."
-timeout=30
-counter=0
-until nc -z 127.0.0.1 8081 >/dev/null 2>&1; do
-    sleep 1
-    counter=$((counter + 1))
-    if [ $counter -ge $timeout ]; then
-        echo "WARNING: Redis Commander may not have started properly"
-        break
+if [ "$SERVICE_REDIS" = "true" ]; then
+    wait_for_service "Redis" "$REDIS_PORT"
+    # The wp-shared gateway is optional in redis.conf, and Docker may bring the bridge up after
+    # Redis started: restart it so the sites' object cache can reach it
+    if docker network inspect wp-shared >/dev/null 2>&1 && ! redis-cli -h 172.21.0.1 -p "$REDIS_PORT" PING >/dev/null 2>&1; then
+        supervisorctl -c /etc/supervisord.conf restart redis >/dev/null || echo "WARNING: Could not restart Redis on the wp-shared gateway"
     fi
-done
+fi
 
-echo "Redis Commander is ready!"
+if [ "$SERVICE_REDIS_COMMANDER" = "true" ]; then
+    wait_for_service "Redis Commander" "$REDIS_COMMANDER_PORT"
+fi
 
 # Setup network isolation if enabled
 if [ "${ENABLE_NETWORK_ISOLATION}" = "true" ]; then
@@ -159,12 +200,13 @@ done
 echo "Docker-in-Docker WordPress environment is ready!"
 echo ""
 echo "Services running:"
-echo "  - Docker daemon (port 2375)"
-echo "  - phpMyAdmin (port 8080) - http://localhost:8080"
-echo "  - MailHog Web UI (port 1080) - http://localhost:1080"
-echo "  - MailHog SMTP (port 1025)"
-echo "  - Redis (port 6379)"
-echo "  - Redis Commander (port 8081) - http://localhost:8081 (admin/admin)"
+echo "  - Docker daemon (port ${DOCKER_DAEMON_PORT})"
+[ "$SERVICE_PHPMYADMIN" = "true" ] && echo "  - phpMyAdmin (port ${PHPMYADMIN_PORT}) - http://localhost:${PHPMYADMIN_PORT}"
+[ "$SERVICE_PROXY" = "true" ] && echo "  - Hostname proxy (port ${PROXY_PORT}) - http://<instance>.<workspace>.localhost"
+[ "$SERVICE_MAILHOG" = "true" ] && echo "  - MailHog Web UI (port ${MAILCATCHER_WEB_PORT}) - http://localhost:${MAILCATCHER_WEB_PORT}"
+[ "$SERVICE_MAILHOG" = "true" ] && echo "  - MailHog SMTP (port ${MAILCATCHER_SMTP_PORT})"
+[ "$SERVICE_REDIS" = "true" ] && echo "  - Redis (port ${REDIS_PORT})"
+[ "$SERVICE_REDIS_COMMANDER" = "true" ] && echo "  - Redis Commander (port ${REDIS_COMMANDER_PORT}) - http://localhost:${REDIS_COMMANDER_PORT} (admin/admin)"
 echo ""
 
 # Start workspace if in workspace mode
@@ -0,0 +1,200 @@
+#!/bin/bash
+set -e
+
+# Local HTTPS: a per-workspace CA and one certificate per site, made offline with openssl.
+# The CA lives in /wordpress-instances/.certs (wordpress-instances/.certs on the host, where
+# "wp-dind https enable" copies ca.crt out for trusting). Site certificates and the TLS
+# snippets for nginx/apache go into the site's config/ssl directory.
+
+INSTANCES_DIR="/wordpress-instances"
+WORKSPACE_CONFIG="/wordpress-instances/.workspace-config.json"
+CERTS_DIR="/wordpress-instances/.certs"
+CA_KEY="${CERTS_DIR}/ca.key"
+CA_CERT="${CERTS_DIR}/ca.crt"
+WORKSPACE_CERT_DIR="${CERTS_DIR}/workspace"
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# Function to check whether HTTPS is enabled ("https": true in the workspace config)
+https_enabled() {
+    [ -f "$WORKSPACE_CONFIG" ] && [ "$(jq -r '.https == true' "$WORKSPACE_CONFIG" 2>/dev/null)" = "true" ]
+}
+
+# Function to create the workspace CA if there is none yet
+ensure_ca() {
+    if [ -f "$CA_CERT" ] && [ -f "$CA_KEY" ]; then
+        return 0
+    fi
+
+    local workspace=$(jq -r '.workspaceName // "wp-dind"' "$WORKSPACE_CONFIG" 2>/dev/null || echo "wp-dind")
+
+    echo -e "${YELLOW}Creating local CA for workspace ${workspace}...${NC}"
+    mkdir -p "$CERTS_DIR"
+    openssl req -x509 -new -nodes -newkey rsa:2048 -sha256 -days 3650 \
+        -keyout "$CA_KEY" -out "$CA_CERT" \
+        -subj "/O=wp-dind/CN=wp-dind ${workspace} local CA" \
+        -addext "basicConstraints=critical,CA:TRUE" \
+        -addext "keyUsage=critical,keyCertSign,cRLSign" 2>/dev/null
+    chmod 600 "$CA_KEY"
+    chmod 644 "$CA_CERT"
+}
+
+# Function to write the TLS snippets the web servers load from the site's ssl directory:
+# nginx-ssl.conf is included inside the nginx server block, apache-ssl.vhost is a *:443 VirtualHost
+write_tls_configs() {
+    local dir=$1
+    local fcgi_host=$2
+
+    cat > "${dir}/nginx-ssl.conf" << 'EOF'
+# Written by https-manager.sh (included by the site's server block)
+listen 443 ssl;
+ssl_certificate /etc/nginx/ssl/server.crt;
+ssl_certificate_key /etc/nginx/ssl/server.key;
+ssl_protocols TLSv1.2 TLSv1.3;
+EOF
+
+    cat > "${dir}/apache-ssl.vhost" << EOF
+# Written by https-manager.sh: HTTPS VirtualHost of the site
+Listen 443
+
+<VirtualHost *:443>
+    DocumentRoot /var/www/html
+
+    SSLEngine on
+    SSLCertificateFile /etc/apache/ssl/server.crt
+    SSLCertificateKeyFile /etc/apache/ssl/server.key
+
+    <Directory /var/www/html>
+        Options -Indexes +FollowSymLinks
+        AllowOverride All
+        Require all granted
+    </Directory>
+
+    <FilesMatch \.php$>
+        SetHandler "proxy:fcgi://${fcgi_host}:9000"
+    </FilesMatch>
+
+    <Files wp-config.php>
+        Require all denied
+    </Files>
+</VirtualHost>
+EOF
+}
+
+# Function to issue a certificate for a site into <dir> (server.crt/server.key), valid for its
+# proxy hostname, localhost, 127.0.0.1 and the current DinD IP
+issue_cert() {
+    local dir=$1
+    local fcgi_host=$2
+    local hostname=$3
+    local dind_ip=$(hostname -i 2>/dev/null | awk '{print $1}')
+    if [ "$dind_ip" = "127.0.0.1" ]; then
+        dind_ip=""
+    fi
+
+    ensure_ca
+    mkdir -p "$dir"
+
+    local extensions=$(mktemp)
+    cat > "$extensions" << EOF
+basicConstraints=CA:FALSE
+keyUsage=critical,digitalSignature,keyEncipherment
+extendedKeyUsage=serverAuth
+subjectAltName=DNS:${hostname},DNS:*.${hostname},DNS:localhost,IP:127.0.0.1${dind_ip:+,IP:${dind_ip}}
+EOF
+
+    openssl req -new -nodes -newkey rsa:2048 \
+        -keyout "${dir}/server.key" -out "${dir}/server.csr" \
+        -subj "/O=wp-dind/CN=${hostname}" 2>/dev/null
+    # 825 days is the longest validity browsers accept for a server certificate
+    openssl x509 -req -sha256 -days 825 \
+        -in "${dir}/server.csr" -CA "$CA_CERT" -CAkey "$CA_KEY" \
+        -CAcreateserial -CAserial "${CERTS_DIR}/ca.srl" \
+        -extfile "$extensions" -out "${dir}/server.crt" 2>/dev/null
+    rm -f "${dir}/server.csr" "$extensions"
+    chmod 600 "${dir}/server.key"
+
+    write_tls_configs "$dir" "$fcgi_host"
+    echo -e "${GREEN}Certificate issued for ${hostname}${NC}"
+}
+
+# Function to issue a certificate only if the site has none yet
+ensure_cert() {
+    if [ ! -f "${1}/server.crt" ] || [ ! -f "${1}/server.key" ]; then
+        issue_cert "$@"
+    fi
+}
+
+# Function to apply the workspace config's "https" flag to every site: (re)issue certificates,
+# rewrite the web server configs and recreate the web server containers, then the proxy routes
+apply_https() {
+    local state=off
+    if https_enabled; then
+        state=on
+        ensure_ca
+    fi
+
+    if [ "$(jq -r '.workspaceType // "multi-instance"' "$WORKSPACE_CONFIG" 2>/dev/null)" = "workspace" ]; then
+        if [ "$state" = "on" ]; then
+            issue_cert "$WORKSPACE_CERT_DIR" workspace-php "$(/app/proxy-manager.sh hostname)"
+        fi
+        local webserver=$(jq -r '.workspaceStack.webserver // "nginx"' "$WORKSPACE_CONFIG")
+        /app/workspace-manager.sh recreate "workspace-${webserver}"
+    else
+        for info_file in "$INSTANCES_DIR"/*/.instance-info; do
+            if [ -f "$info_file" ]; then
+                /app/instance-manager.sh set-https "$(grep '^NAME=' "$info_file" | cut -d= -f2)" "$state"
+            fi
+        done
+    fi
+
+    /app/proxy-manager.sh generate >/dev/null
+    echo -e "${GREEN}HTTPS ${state}${NC}"
+}
+
+usage() {
+    cat << EOF
+WordPress Local HTTPS Manager
+
+Usage: $0 <command> [options]
+
+Commands:
+    apply                            Apply the workspace config's "https" flag to all sites
+    enabled                          Exit 0 if HTTPS is enabled in the workspace config
+    ca                               Create the workspace CA if needed and print its path
+    issue <dir> <php_host> <hostname>
+                                     Issue a site certificate and TLS snippets into <dir>
+    ensure <dir> <php_host> <hostname>
+                                     Same as issue, unless <dir> already has a certificate
+
+EOF
+    exit 1
+}
+
+case "${1:-}" in
+    apply)
+        apply_https
+        ;;
+    enabled)
+        https_enabled
+        ;;
+    ca)
+        ensure_ca
+        echo "$CA_CERT"
+        ;;
+    issue)
+        [ -z "$4" ] && usage
+        issue_cert "$2" "$3" "$4"
+        ;;
+    ensure)
+        [ -z "$4" ] && usage
+        ensure_cert "$2" "$3" "$4"
+        ;;
+    *)
+        usage
+        ;;
+esac
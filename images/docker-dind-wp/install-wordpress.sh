@@ -16,6 +16,10 @@ DEFAULT_ADMIN_EMAIL="${WORDPRESS_ADMIN_EMAIL:-admin@example.com}"
 DEFAULT_ADMIN_PASSWORD="${WORDPRESS_ADMIN_PASSWORD:-}"  # Empty means generate random
 DEFAULT_LOCALE="${WORDPRESS_LOCALE:-en_US}"
 
+# Set from the command line (see the end of this script)
+ASSUME_YES=false
+SITE_URL=""
+
 # Function to print colored messages
 print_info() {
     echo -e "${GREEN}[INFO]${NC} $1"
@@ -40,11 +44,17 @@ install_wordpress() {
     fi
     
     local wordpress_dir="${instance_dir}/data/wordpress"
+
+    # Multisite mode chosen at "instance-manager.sh create" (empty for a single site)
+    local multisite=$(grep '^MULTISITE=' "${instance_dir}/.instance-info" 2>/dev/null | cut -d= -f2)
     
     # Check if WordPress is already installed
     if [ -f "${wordpress_dir}/wp-config.php" ]; then
         print_warning "WordPress appears to be already installed in '${instance_name}'"
-        read -p "Do you want to reinstall? This will DELETE all existing data! (yes/no): " confirm
+        local confirm=yes
+        if [ "$ASSUME_YES" != true ]; then
+            read -p "Do you want to reinstall? This will DELETE all existing data! (yes/no): " confirm
+        fi
         if [ "$confirm" != "yes" ]; then
             print_info "Installation cancelled."
             return 0
@@ -122,21 +132,38 @@ install_wordpress() {
     
     local port=$(docker port "$container_name" 80 2>/dev/null | cut -d: -f2)
     local site_url="http://localhost:${port}"
-    
-    if [ -z "$port" ]; then
+
+    # The hostname proxy URL does not change with the DinD IP or port. It is the default once the
+    # proxy port is forwarded to the host's 127.0.0.1, where browsers send *.localhost names, and
+    # for subdomain networks, which need a hostname
+    local proxy_url
+    proxy_url=$(/app/proxy-manager.sh url "$instance_name" 2>/dev/null) || proxy_url=""
+    if [ -n "$proxy_url" ] && { [ "$multisite" = "subdomain" ] || /app/proxy-manager.sh loopback; }; then
+        site_url="$proxy_url"
+    elif [ -z "$port" ]; then
         print_warning "Could not determine site URL. Using http://localhost"
         site_url="http://localhost"
     fi
+    if [ -n "$SITE_URL" ]; then
+        site_url="$SITE_URL"
+    fi
+
+    # Sub-sites of a subdomain network live on <site>.<hostname>, which needs the proxy
+    if [ "$multisite" = "subdomain" ] && [ -z "$proxy_url" ]; then
+        print_error "Subdomain multisite needs the hostname proxy (/app/proxy-manager.sh), use a subdirectory network instead"
+        return 1
+    fi
     
     # Prompt for site details (with defaults from .env)
-    print_info "WordPress installation details:"
-    read -p "Site Title [${DEFAULT_SITE_TITLE}]: " site_title
+    local site_title="" admin_user="" admin_email=""
+    if [ "$ASSUME_YES" != true ]; then
+        print_info "WordPress installation details:"
+        read -p "Site Title [${DEFAULT_SITE_TITLE}]: " site_title
+        read -p "Admin Username [${DEFAULT_ADMIN_USER}]: " admin_user
+        read -p "Admin Email [${DEFAULT_ADMIN_EMAIL}]: " admin_email
+    fi
     site_title=${site_title:-"${DEFAULT_SITE_TITLE}"}
-
-    read -p "Admin Username [${DEFAULT_ADMIN_USER}]: " admin_user
     admin_user=${admin_user:-"${DEFAULT_ADMIN_USER}"}
-
-    read -p "Admin Email [${DEFAULT_ADMIN_EMAIL}]: " admin_email
     admin_email=${admin_email:-"${DEFAULT_ADMIN_EMAIL}"}
 
     # Use password from .env or generate random one
@@ -148,8 +175,15 @@ install_wordpress() {
         print_info "Generated random admin password"
     fi
     
-    print_info "Installing WordPress..."
-    docker exec "${instance_name}-php" wp core install \
+    local install_args=(core install)
+    if [ "$multisite" = "subdomain" ]; then
+        install_args=(core multisite-install --subdomains)
+    elif [ -n "$multisite" ]; then
+        install_args=(core multisite-install)
+    fi
+
+    print_info "Installing WordPress${multisite:+ (${multisite} multisite network)}..."
+    docker exec "${instance_name}-php" wp "${install_args[@]}" \
         --path="/var/www/html" \
         --url="${site_url}" \
         --title="${site_title}" \
@@ -202,13 +236,37 @@ CREDS
 
 # Main script
 if [ $# -eq 0 ]; then
-    echo "Usage: $0 <instance-name>"
+    echo "Usage: $0 <instance-name> [--yes] [--url <url>]"
     echo ""
     echo "Install latest WordPress version to an instance."
     echo ""
+    echo "Options:"
+    echo "  --yes, -y    Use the defaults instead of prompting, and reinstall without asking"
+    echo "  --url <url>  Site URL (default: http://localhost:<port>, or the hostname proxy URL once its port is forwarded)"
+    echo ""
     echo "Example:"
     echo "  $0 mysite"
     exit 1
 fi
 
-install_wordpress "$1"
+instance_name=$1
+shift
+while [ $# -gt 0 ]; do
+    case "$1" in
+        --yes|-y)
+            ASSUME_YES=true
+            ;;
+        --url)
+            [ -z "${2:-}" ] && { print_error "--url needs a value"; exit 1; }
+            SITE_URL=$2
+            shift
+            ;;
+        *)
+            print_error "Unknown option: $1"
+            exit 1
+            ;;
+    esac
+    shift
+done
+
+install_wordpress "$instance_name"
@@ -7,6 +7,7 @@ HOST_CONFIG_DIR="/host-config"
 HOST_LOGS_DIR="/host-logs"
 WORKSPACE_CONFIG="/wordpress-instances/.workspace-config.json"
 INSTANCE_PORT_START=8001
+INSTANCE_PORT_END=8020
 
 # Default values from environment variables (set in docker-compose-dind.yml from .env)
 DEFAULT_MYSQL_VERSION="${DEFAULT_MYSQL_VERSION:-80}"
@@ -21,21 +22,49 @@ GREEN='\033[0;32m'
 YELLOW='\033[1;33m'
 NC='\033[0m' # No Color
 
-# Function to get next available port
+# Function to load the instance port range into PORT_RANGE_START/PORT_RANGE_END
+# (.env via WP_INSTANCE_PORT_RANGE_*, then instancePortRange in the workspace config, then defaults)
+load_port_range() {
+    PORT_RANGE_START=${WP_INSTANCE_PORT_RANGE_START:-}
+    PORT_RANGE_END=${WP_INSTANCE_PORT_RANGE_END:-}
+
+    if [ -f "$WORKSPACE_CONFIG" ]; then
+        PORT_RANGE_START=${PORT_RANGE_START:-$(jq -r '.instancePortRange.start // empty' "$WORKSPACE_CONFIG" 2>/dev/null)}
+        PORT_RANGE_END=${PORT_RANGE_END:-$(jq -r '.instancePortRange.end // empty' "$WORKSPACE_CONFIG" 2>/dev/null)}
+    fi
+
+    PORT_RANGE_START=${PORT_RANGE_START:-$INSTANCE_PORT_START}
+    PORT_RANGE_END=${PORT_RANGE_END:-$INSTANCE_PORT_END}
+}
+
+# Function to get the lowest free port in the instance port range (fails when exhausted)
 get_next_port() {
-    local max_port=$INSTANCE_PORT_START
+    load_port_range
+
+    # Ports taken by existing instances, HTTP and HTTPS (ports of removed instances become free again)
+    local used_ports=" "
+    for info_file in "$INSTANCES_DIR"/*/.instance-info; do
+        if [ -f "$info_file" ]; then
+            used_ports+="$(grep -E '^(HTTPS_)?PORT=' "$info_file" | cut -d= -f2 | tr '\n' ' ')"
+        fi
+    done
 
-    # Check workspace config for existing instance ports
     if [ -f "$WORKSPACE_CONFIG" ]; then
-        local ports=$(jq -r '.instances | to_entries[] | .value.port // empty' "$WORKSPACE_CONFIG" 2>/dev/null)
-        for port in $ports; do
-            if [ "$port" -ge "$max_port" ]; then
-                max_port=$((port + 1))
-            fi
-        done
+        used_ports+="$(jq -r '.instances // {} | to_entries[] | .value.port // empty' "$WORKSPACE_CONFIG" 2>/dev/null | tr '\n' ' ')"
     fi
 
-    echo "$max_port"
+    # Ports published by any other container inside DinD
+    used_ports+="$(docker ps --format '{{.Ports}}' 2>/dev/null | grep -oE ':[0-9]+->' | tr -d ':>-' | tr '\n' ' ')"
+
+    local port
+    for ((port = PORT_RANGE_START; port <= PORT_RANGE_END; port++)); do
+        if [[ "$used_ports" != *" ${port} "* ]]; then
+            echo "$port"
+            return 0
+        fi
+    done
+
+    return 1
 }
 
 # Function to save instance to workspace config
@@ -81,6 +110,11 @@ remove_instance_from_config() {
     jq --arg name "$name" 'del(.instances[$name])' "$WORKSPACE_CONFIG" > "$temp_file" && mv "$temp_file" "$WORKSPACE_CONFIG"
 }
 
+# Function to rewrite the hostname proxy routes (a failure does not fail the instance command)
+update_proxy() {
+    /app/proxy-manager.sh generate >/dev/null || echo -e "${YELLOW}Warning: Could not update the hostname proxy${NC}"
+}
+
 # Function to display usage
 usage() {
     cat << EOF
@@ -89,19 +123,31 @@ WordPress Instance Manager
 Usage: $0 <command> [options]
 
 Commands:
-    create <name> [mysql_version] [php_version] [webserver]
+    create <name> [mysql_version] [php_version] [webserver] [multisite]
                                      Create a new WordPress instance
                                      mysql_version: 56, 57, 80 (default: ${DEFAULT_MYSQL_VERSION})
                                      php_version: 74, 80, 81, 82, 83 (default: ${DEFAULT_PHP_VERSION})
                                      webserver: nginx, apache (default: ${DEFAULT_WEBSERVER})
+                                     multisite: subdirectory, subdomain (default: single site)
 
     start <name>                     Start a WordPress instance
 
     stop <name>                      Stop a WordPress instance
 
-    remove <name>                    Remove a WordPress instance
+    set-stack <name> <mysql_version> <php_version> <webserver> [--reset-mysql-data]
+                                     Change the stack of an instance, recreating the
+                                     containers that changed if it is running
+                                     --reset-mysql-data: required to change the MySQL
+                                     version; empties the MySQL data directory
+
+    set-https <name> <on|off>        Serve an instance over HTTPS too (certificate from the
+                                     workspace CA, HTTPS port from the instance port range)
 
-    list                             List all WordPress instances
+    remove <name> [--force]          Remove a WordPress instance
+                                     --force: skip the confirmation prompt
+
+    list [--json]                    List all WordPress instances
+                                     --json: machine-readable output
 
     info <name>                      Show information about an instance
 
@@ -129,28 +175,21 @@ EOF
     exit 1
 }
 
-# Function to create a new WordPress instance
-create_instance() {
+# Function to write an instance's config/log directories and docker-compose.yml for its stack
+# (used on create and when the stack changes; existing data is left alone)
+write_instance_files() {
     local name=$1
-    local mysql_version=${2:-$DEFAULT_MYSQL_VERSION}
-    local php_version=${3:-$DEFAULT_PHP_VERSION}
-    local webserver=${4:-$DEFAULT_WEBSERVER}
+    local mysql_version=$2
+    local php_version=$3
+    local webserver=$4
+    local instance_port=$5
+    local network_name=$6
+    local db_password=$7
+    local db_root_password=$8
+    local https_port=${9:-}
+    local multisite=${10:-}
     local instance_dir="${INSTANCES_DIR}/${name}"
 
-    if [ -d "$instance_dir" ]; then
-        echo -e "${RED}Error: Instance '${name}' already exists${NC}"
-        exit 1
-    fi
-
-    # Validate webserver choice
-    if [ "$webserver" != "nginx" ] && [ "$webserver" != "apache" ]; then
-        echo -e "${RED}Error: Invalid webserver '${webserver}'. Must be 'nginx' or 'apache'${NC}"
-        exit 1
-    fi
-
-    echo -e "${GREEN}Creating WordPress instance: ${name}${NC}"
-    echo -e "${YELLOW}  MySQL: ${mysql_version}, PHP: ${php_version}, Web Server: ${webserver}${NC}"
-
     # Map version codes to semantic versions for Docker images
     local mysql_image_version
     case $mysql_version in
@@ -219,37 +258,13 @@ create_instance() {
     ln -sf "${HOST_LOGS_DIR}/${name}/mysql-${mysql_full_version}" "${instance_dir}/logs/mysql-${mysql_full_version}"
     ln -sf "${HOST_LOGS_DIR}/${name}/${webserver}-${webserver_version}" "${instance_dir}/logs/${webserver}-${webserver_version}"
     
-    # Generate random passwords
-    local db_password=$(openssl rand -base64 32 | tr -d "=+/" | cut -c1-25)
-    local db_root_password=$(openssl rand -base64 32 | tr -d "=+/" | cut -c1-25)
+    # Config files are only copied the first time a version is used, so edits survive stack changes
+    if [ ! -e "${instance_dir}/config/php-${php_full_version}/custom.ini" ]; then
+        # Copy default PHP configuration from templates
+        cp /app/config-templates/php/*.ini "${instance_dir}/config/php-${php_full_version}/"
 
-    # Get next available port
-    local instance_port=$(get_next_port)
-    echo -e "${YELLOW}  Assigned port: ${instance_port}${NC}"
-
-    # Get next available instance ID for network
-    local instance_id=$(find "$INSTANCES_DIR" -maxdepth 1 -type d | wc -l)
-    local network_name="${NETWORK_PREFIX}-${instance_id}"
-
-    # Create network if it doesn't exist
-    if ! docker network inspect "$network_name" >/dev/null 2>&1; then
-        local subnet="172.20.${instance_id}.0/24"
-        docker network create \
-            --driver bridge \
-            --subnet "$subnet" \
-            "$network_name"
-    fi
-
-    # Ensure shared network exists for multi-instance mode
-    if ! docker network inspect "wp-shared" >/dev/null 2>&1; then
-        docker network create --driver bridge --subnet 172.21.0.0/16 "wp-shared"
-    fi
-
-    # Copy default PHP configuration from templates
-    cp /app/config-templates/php/*.ini "${instance_dir}/config/php-${php_full_version}/"
-
-    # Create a custom.ini for user overrides
-    cat > "${instance_dir}/config/php-${php_full_version}/custom.ini" << 'EOF'
+        # Create a custom.ini for user overrides
+        cat > "${instance_dir}/config/php-${php_full_version}/custom.ini" << 'EOF'
 ; Custom PHP settings
 ; Add your custom PHP configuration here
 ; This file will override settings from other .ini files
@@ -260,21 +275,43 @@ create_instance() {
 ; Example: Increase memory limit
 ; memory_limit=512M
 EOF
+    fi
 
-    # Copy default MySQL configuration from templates
-    cp /app/config-templates/mysql/my.cnf "${instance_dir}/config/mysql-${mysql_full_version}/"
+    if [ ! -e "${instance_dir}/config/mysql-${mysql_full_version}/my.cnf" ]; then
+        # Copy default MySQL configuration from templates
+        cp /app/config-templates/mysql/my.cnf "${instance_dir}/config/mysql-${mysql_full_version}/"
+    fi
 
-    # Copy default webserver configuration from templates
-    if [ "$webserver" = "nginx" ]; then
-        cp /app/config-templates/nginx/wordpress.conf "${instance_dir}/config/${webserver}-${webserver_version}/"
-    elif [ "$webserver" = "apache" ]; then
-        cp /app/config-templates/apache/wordpress.conf "${instance_dir}/config/${webserver}-${webserver_version}/"
+    if [ ! -e "${instance_dir}/config/${webserver}-${webserver_version}/wordpress.conf" ]; then
+        # Copy default webserver configuration from templates
+        if [ "$webserver" = "nginx" ]; then
+            cp /app/config-templates/nginx/wordpress.conf "${instance_dir}/config/${webserver}-${webserver_version}/"
+        elif [ "$webserver" = "apache" ]; then
+            cp /app/config-templates/apache/wordpress.conf "${instance_dir}/config/${webserver}-${webserver_version}/"
+        fi
+    fi
+
+    # Multisite networks need their rewrite rules (see multisite-manager.sh); a config copied for
+    # a new web server version gets them here too
+    if [ -n "$multisite" ]; then
+        /app/multisite-manager.sh apply "${instance_dir}/config/${webserver}-${webserver_version}/wordpress.conf" "$webserver" "$multisite"
+    fi
+
+    # With HTTPS (see https-manager.sh), the web server also publishes 443 and mounts config/ssl
+    local https_ports=""
+    local https_volumes=""
+    if [ -n "$https_port" ]; then
+        https_ports=$'\n'"      - \"${https_port}:443\""
+        if [ "$webserver" = "nginx" ]; then
+            https_volumes=$'\n'"      - ./config/ssl:/etc/nginx/ssl:ro"
+        else
+            https_volumes=$'\n'"      - ./config/ssl:/etc/apache/ssl:ro"
+            https_volumes+=$'\n'"      - ./config/ssl/apache-ssl.vhost:/usr/local/apache2/conf/sites-enabled/wp-dind-ssl.conf:ro"
+        fi
     fi
 
     # Create docker-compose.yml for the instance
     cat > "${instance_dir}/docker-compose.yml" << EOF
-version: '3.8'
-
 services:
   mysql:
     image: airoman/wp-dind:mysql-${mysql_image_version}
@@ -320,11 +357,11 @@ services:
     depends_on:
       - php
     ports:
-      - "${instance_port}:80"
+      - "${instance_port}:80"${https_ports}
     volumes:
       - ./data/wordpress:/var/www/html:ro
       - ./config/${webserver}-${webserver_version}/wordpress.conf:/etc/${webserver}/conf.d/wordpress.conf:ro
-      - ${HOST_LOGS_DIR}/${name}/${webserver}-${webserver_version}:/var/log/${webserver}
+      - ${HOST_LOGS_DIR}/${name}/${webserver}-${webserver_version}:/var/log/${webserver}${https_volumes}
     networks:
       - ${network_name}
       - wp-shared
@@ -336,8 +373,75 @@ networks:
   wp-shared:
     external: true
 EOF
+}
+
+# Function to create a new WordPress instance
+create_instance() {
+    local name=$1
+    local mysql_version=${2:-$DEFAULT_MYSQL_VERSION}
+    local php_version=${3:-$DEFAULT_PHP_VERSION}
+    local webserver=${4:-$DEFAULT_WEBSERVER}
+    local multisite=${5:-}
+    local instance_dir="${INSTANCES_DIR}/${name}"
+
+    if [ -d "$instance_dir" ]; then
+        echo -e "${RED}Error: Instance '${name}' already exists${NC}"
+        exit 1
+    fi
+
+    # Validate webserver choice
+    if [ "$webserver" != "nginx" ] && [ "$webserver" != "apache" ]; then
+        echo -e "${RED}Error: Invalid webserver '${webserver}'. Must be 'nginx' or 'apache'${NC}"
+        exit 1
+    fi
+
+    if [ -n "$multisite" ] && [ "$multisite" != "subdirectory" ] && [ "$multisite" != "subdomain" ]; then
+        echo -e "${RED}Error: Invalid multisite mode '${multisite}'. Must be 'subdirectory' or 'subdomain'${NC}"
+        exit 1
+    fi
+
+    # Get next available port before creating anything, so a full range leaves nothing behind
+    local instance_port
+    load_port_range
+    if ! instance_port=$(get_next_port); then
+        echo -e "${RED}Error: No free port left in the instance port range ${PORT_RANGE_START}-${PORT_RANGE_END}${NC}"
+        echo -e "${YELLOW}Remove an instance or widen WP_INSTANCE_PORT_RANGE_START/END in .env${NC}"
+        exit 1
+    fi
+
+    echo -e "${GREEN}Creating WordPress instance: ${name}${NC}"
+    echo -e "${YELLOW}  MySQL: ${mysql_version}, PHP: ${php_version}, Web Server: ${webserver}${NC}"
+
+    # Create instance directory structure (only data, configs and logs are on host)
+    mkdir -p "${instance_dir}"/data/wordpress
+    mkdir -p "${instance_dir}"/data/mysql
+
+    # Generate random passwords
+    local db_password=$(openssl rand -base64 32 | tr -d "=+/" | cut -c1-25)
+    local db_root_password=$(openssl rand -base64 32 | tr -d "=+/" | cut -c1-25)
+
+    echo -e "${YELLOW}  Assigned port: ${instance_port}${NC}"
+
+    # Get next available instance ID for network
+    local instance_id=$(find "$INSTANCES_DIR" -maxdepth 1 -type d | wc -l)
+    local network_name="${NETWORK_PREFIX}-${instance_id}"
+
+    # Create network if it doesn't exist
+    if ! docker network inspect "$network_name" >/dev/null 2>&1; then
+        local subnet="172.20.${instance_id}.0/24"
+        docker network create \
+            --driver bridge \
+            --subnet "$subnet" \
+            "$network_name"
+    fi
 
+    # Ensure shared network exists for multi-instance mode
+    if ! docker network inspect "wp-shared" >/dev/null 2>&1; then
+        docker network create --driver bridge --subnet 172.21.0.0/16 "wp-shared"
+    fi
 
+    write_instance_files "$name" "$mysql_version" "$php_version" "$webserver" \
+        "$instance_port" "$network_name" "$db_password" "$db_root_password" "" "$multisite"
 
     # Save instance metadata
     cat > "${instance_dir}/.instance-info" << EOF
@@ -350,10 +454,19 @@ PORT=${instance_port}
 CREATED=$(date -Iseconds)
 DB_PASSWORD=${db_password}
 DB_ROOT_PASSWORD=${db_root_password}
+MULTISITE=${multisite}
 EOF
 
+    # Workspaces with HTTPS on give new instances a certificate and an HTTPS port too
+    if /app/https-manager.sh enabled; then
+        set_instance_https "$name" on
+    fi
+
+    # Route <name>.<workspace>.localhost to the new port
+    update_proxy
+
     # Save instance to workspace config
-    save_instance_to_config "$name" "$instance_port" "$webserver" "$php_full_version" "$mysql_full_version"
+    save_instance_to_config "$name" "$instance_port" "$webserver" "$(dotted_version "$php_version")" "$(dotted_version "$mysql_version")"
 
     echo -e "${GREEN}Instance '${name}' created successfully!${NC}"
     echo -e "${YELLOW}Instance directory: ${instance_dir}${NC}"
@@ -363,6 +476,10 @@ EOF
     echo -e "  - Web Server: ${webserver}"
     echo -e "  - Network: ${network_name}"
     echo -e "  - Port: ${instance_port}"
+    echo -e "  - Hostname: $(/app/proxy-manager.sh hostname "$name")"
+    if [ -n "$multisite" ]; then
+        echo -e "  - Multisite: ${multisite} (installed by /app/install-wordpress.sh ${name})"
+    fi
     echo ""
     echo -e "${YELLOW}Configuration files:${NC}"
     echo -e "  - PHP: ${instance_dir}/config/php/php.ini"
@@ -402,6 +519,10 @@ start_instance() {
     if [ -n "$webserver_port" ]; then
         echo -e "${YELLOW}Access WordPress at: http://localhost:${webserver_port}${NC}"
     fi
+    local proxy_url
+    if proxy_url=$(/app/proxy-manager.sh url "$name" 2>/dev/null); then
+        echo -e "${YELLOW}Or by hostname: ${proxy_url}${NC} (see \"wp-dind hosts\")"
+    fi
 }
 
 # Function to stop an instance
@@ -420,9 +541,152 @@ stop_instance() {
     echo -e "${GREEN}Instance '${name}' stopped${NC}"
 }
 
+# Function to change the stack of an instance: rewrites its compose file and, if it is running,
+# recreates only the containers whose image changed. A MySQL version change starts from an empty
+# data directory (data dirs are not compatible across versions), so it needs --reset-mysql-data;
+# dump the database first.
+set_instance_stack() {
+    local name=$1
+    local mysql_version=$2
+    local php_version=$3
+    local webserver=$4
+    local reset_mysql=$5
+    local instance_dir="${INSTANCES_DIR}/${name}"
+
+    if [ ! -d "$instance_dir" ] || [ ! -f "$instance_dir/.instance-info" ]; then
+        echo -e "${RED}Error: Instance '${name}' does not exist${NC}"
+        exit 1
+    fi
+
+    if [ "$webserver" != "nginx" ] && [ "$webserver" != "apache" ]; then
+        echo -e "${RED}Error: Invalid webserver '${webserver}'. Must be 'nginx' or 'apache'${NC}"
+        exit 1
+    fi
+
+    HTTPS_PORT=""
+    MULTISITE=""
+    source "$instance_dir/.instance-info"
+
+    if [ "$mysql_version" != "$MYSQL_VERSION" ] && [ "$reset_mysql" != "--reset-mysql-data" ]; then
+        echo -e "${RED}Error: Changing MySQL ${MYSQL_VERSION} to ${mysql_version} needs an empty data directory${NC}"
+        echo -e "${YELLOW}Dump the database, then run again with --reset-mysql-data and import the dump${NC}"
+        exit 1
+    fi
+
+    local services=()
+    [ "$mysql_version" != "$MYSQL_VERSION" ] && services+=("mysql")
+    [ "$php_version" != "$PHP_VERSION" ] && services+=("php")
+    [ "$webserver" != "$WEBSERVER" ] && services+=("$webserver")
+
+    if [ ${#services[@]} -eq 0 ]; then
+        echo -e "${YELLOW}Instance '${name}' already uses this stack${NC}"
+        return 0
+    fi
+
+    echo -e "${GREEN}Changing stack of instance: ${name}${NC}"
+    echo -e "${YELLOW}  MySQL: ${MYSQL_VERSION} -> ${mysql_version}, PHP: ${PHP_VERSION} -> ${php_version}, Web Server: ${WEBSERVER} -> ${webserver}${NC}"
+
+    local running=false
+    if docker ps --format '{{.Names}}' | grep -q "^${name}-"; then
+        running=true
+    fi
+
+    cd "$instance_dir"
+
+    # Containers of the old web server are not in the new compose file
+    if [ "$webserver" != "$WEBSERVER" ]; then
+        docker rm -f "${name}-${WEBSERVER}" >/dev/null 2>&1 || true
+    fi
+
+    if [ "$mysql_version" != "$MYSQL_VERSION" ]; then
+        docker rm -f "${name}-mysql" >/dev/null 2>&1 || true
+        find data/mysql -mindepth 1 -delete
+    fi
+
+    write_instance_files "$name" "$mysql_version" "$php_version" "$webserver" \
+        "$PORT" "$NETWORK" "$DB_PASSWORD" "$DB_ROOT_PASSWORD" "$HTTPS_PORT" "$MULTISITE"
+
+    sed -i \
+        -e "s/^MYSQL_VERSION=.*/MYSQL_VERSION=${mysql_version}/" \
+        -e "s/^PHP_VERSION=.*/PHP_VERSION=${php_version}/" \
+        -e "s/^WEBSERVER=.*/WEBSERVER=${webserver}/" \
+        .instance-info
+
+    if [ "$running" = true ]; then
+        echo -e "${YELLOW}Recreating: ${services[*]}${NC}"
+        docker-compose up -d --no-deps --force-recreate "${services[@]}"
+    fi
+
+    echo -e "${GREEN}Stack of instance '${name}' changed${NC}"
+}
+
+# Function to turn HTTPS on or off for an instance. "on" reserves an HTTPS port from the instance
+# port range (HTTPS_PORT in .instance-info), issues a certificate from the workspace CA into
+# config/ssl and recreates the web server if the instance is running; "off" frees the port.
+set_instance_https() {
+    local name=$1
+    local state=$2
+    local instance_dir="${INSTANCES_DIR}/${name}"
+
+    if [ ! -d "$instance_dir" ] || [ ! -f "$instance_dir/.instance-info" ]; then
+        echo -e "${RED}Error: Instance '${name}' does not exist${NC}"
+        exit 1
+    fi
+
+    # Sourced into locals: callers (create_instance during clone_instance) keep their own values
+    local NAME MYSQL_VERSION PHP_VERSION WEBSERVER NETWORK PORT CREATED DB_PASSWORD DB_ROOT_PASSWORD
+    local HTTPS_PORT="" MULTISITE=""
+    source "$instance_dir/.instance-info"
+
+    local https_port=""
+    if [ "$state" = "on" ]; then
+        https_port=$HTTPS_PORT
+        if [ -z "$https_port" ]; then
+            load_port_range
+            if ! https_port=$(get_next_port); then
+                echo -e "${RED}Error: No free port left in the instance port range ${PORT_RANGE_START}-${PORT_RANGE_END} for HTTPS${NC}"
+                exit 1
+            fi
+            echo "HTTPS_PORT=${https_port}" >> "$instance_dir/.instance-info"
+        fi
+
+        /app/https-manager.sh issue "${instance_dir}/config/ssl" php "$(/app/proxy-manager.sh hostname "$name")"
+
+        # nginx configs copied before HTTPS support lack the include of the TLS snippet
+        for conf in "$instance_dir"/config/nginx-*/wordpress.conf; do
+            if [ -f "$conf" ] && ! grep -q '/etc/nginx/ssl/' "$conf"; then
+                awk '!done && /listen 80;/ { print; print "    include /etc/nginx/ssl/*.conf;"; done = 1; next } { print }' "$conf" > "${conf}.tmp"
+                mv "${conf}.tmp" "$conf"
+            fi
+        done
+    elif [ "$state" = "off" ]; then
+        if [ -z "$HTTPS_PORT" ]; then
+            echo -e "${YELLOW}HTTPS is already off for '${name}'${NC}"
+            return 0
+        fi
+        sed -i '/^HTTPS_PORT=/d' "$instance_dir/.instance-info"
+    else
+        usage
+    fi
+
+    write_instance_files "$name" "$MYSQL_VERSION" "$PHP_VERSION" "$WEBSERVER" \
+        "$PORT" "$NETWORK" "$DB_PASSWORD" "$DB_ROOT_PASSWORD" "$https_port" "${MULTISITE:-}"
+
+    if docker ps --format '{{.Names}}' | grep -q "^${name}-${WEBSERVER}$"; then
+        (cd "$instance_dir" && docker-compose up -d --no-deps --force-recreate "$WEBSERVER")
+    fi
+
+    if [ -n "$https_port" ]; then
+        echo -e "${GREEN}HTTPS on for '${name}': port ${https_port}${NC}"
+    else
+        echo -e "${GREEN}HTTPS off for '${name}'${NC}"
+    fi
+}
+
 # Function to remove an instance
 remove_instance() {
     local name=$1
+    local force=$2
     local instance_dir="${INSTANCES_DIR}/${name}"
     
     if [ ! -d "$instance_dir" ]; then
@@ -430,12 +694,14 @@ remove_instance() {
         exit 1
     fi
     
-    echo -e "${YELLOW}Warning: This will remove all data for instance '${name}'${NC}"
-    read -p "Are you sure? (yes/no): " confirm
-    
-    if [ "$confirm" != "yes" ]; then
-        echo "Cancelled"
-        exit 0
+    if [ "$force" != "--force" ]; then
+        echo -e "${YELLOW}Warning: This will remove all data for instance '${name}'${NC}"
+        read -p "Are you sure? (yes/no): " confirm
+
+        if [ "$confirm" != "yes" ]; then
+            echo "Cancelled"
+            exit 0
+        fi
     fi
     
     echo -e "${GREEN}Removing WordPress instance: ${name}${NC}"
@@ -443,6 +709,7 @@ remove_instance() {
     docker-compose down -v
     cd /
     rm -rf "$instance_dir"
+    update_proxy
 
     # Remove from workspace config
     remove_instance_from_config "$name"
@@ -475,6 +742,69 @@ list_instances() {
     done
 }
 
+# Function to convert a version code (83) to a dotted version (8.3)
+dotted_version() {
+    local code=$1
+    echo "${code:0:1}.${code:1}"
+}
+
+# Function to print the state of a container as JSON
+container_json() {
+    local container=$1
+    local state=$(docker inspect --format '{{.State.Status}}' "$container" 2>/dev/null || echo "missing")
+    local health=$(docker inspect --format '{{if .State.Health}}{{.State.Health.Status}}{{end}}' "$container" 2>/dev/null || true)
+
+    jq -n --arg name "$container" --arg state "$state" --arg health "$health" \
+        '{name: $name, state: $state, health: (if $health == "" then null else $health end)}'
+}
+
+# Function to list all instances as a JSON array
+list_instances_json() {
+    for instance_dir in "$INSTANCES_DIR"/*; do
+        if [ ! -d "$instance_dir" ] || [ ! -f "$instance_dir/.instance-info" ]; then
+            continue
+        fi
+
+        # Subshell keeps .instance-info variables from leaking between instances
+        (
+            source "$instance_dir/.instance-info"
+            local containers=$(for container in "${NAME}-mysql" "${NAME}-php" "${NAME}-${WEBSERVER}"; do
+                container_json "$container"
+            done | jq -s '.')
+
+            jq -n \
+                --arg name "$NAME" \
+                --arg port "${PORT:-}" \
+                --arg httpsPort "${HTTPS_PORT:-}" \
+                --arg multisite "${MULTISITE:-}" \
+                --arg network "$NETWORK" \
+                --arg created "$CREATED" \
+                --arg webserver "$WEBSERVER" \
+                --arg php "$(dotted_version "$PHP_VERSION")" \
+                --arg mysql "$(dotted_version "$MYSQL_VERSION")" \
+                --argjson containers "$containers" \
+                '{
+                    name: $name,
+                    port: (if $port == "" then null else ($port | tonumber) end),
+                    httpsPort: (if $httpsPort == "" then null else ($httpsPort | tonumber) end),
+                    multisite: (if $multisite == "" then null else $multisite end),
+                    network: $network,
+                    createdAt: $created,
+                    stack: {
+                        webserver: $webserver,
+                        phpVersion: $php,
+                        mysqlVersion: $mysql
+                    },
+                    status: (
+                        [$containers[] | select(.state == "running")] | length
+                        | if . == ($containers | length) then "running" elif . > 0 then "partial" else "stopped" end
+                    ),
+                    containers: $containers
+                }'
+        )
+    done | jq -s '.'
+}
+
 # Function to clone an instance
 clone_instance() {
     local source_name=$1
@@ -510,10 +840,12 @@ clone_instance() {
     local source_php_version=$PHP_VERSION
     local source_webserver=$WEBSERVER
     local source_port=$PORT
+    local source_root_password=$DB_ROOT_PASSWORD
+    local source_multisite=${MULTISITE:-}
 
-    # Create new instance with same stack
+    # Create new instance with same stack (and the source's multisite rewrite rules)
     echo -e "${YELLOW}Creating target instance...${NC}"
-    create_instance "$target_name" "$source_mysql_version" "$source_php_version" "$source_webserver"
+    create_instance "$target_name" "$source_mysql_version" "$source_php_version" "$source_webserver" "$source_multisite"
 
     # Stop target instance
     echo -e "${YELLOW}Stopping target instance...${NC}"
@@ -544,10 +876,10 @@ clone_instance() {
             cd "$target_dir" && docker-compose start mysql
             sleep 5
 
-            # Export from source
-            docker exec "${source_name}-mysql" mysqldump -u root -p"${DB_ROOT_PASSWORD}" wordpress > /tmp/clone-db.sql
-            # Import to target
-            docker exec -i "${target_name}-mysql" mysql -u root -p"${DB_ROOT_PASSWORD}" wordpress < /tmp/clone-db.sql
+            # Export from source, import to target (each has its own root password)
+            local target_root_password=$(grep '^DB_ROOT_PASSWORD=' "${target_dir}/.instance-info" | cut -d= -f2)
+            docker exec "${source_name}-mysql" mysqldump -u root -p"${source_root_password}" wordpress > /tmp/clone-db.sql
+            docker exec -i "${target_name}-mysql" mysql -u root -p"${target_root_password}" wordpress < /tmp/clone-db.sql
             rm /tmp/clone-db.sql
             echo -e "${GREEN}Database copied${NC}"
             ;;
@@ -626,6 +958,10 @@ show_info() {
             echo ""
             echo -e "${YELLOW}Access URL: http://${dind_ip}:${PORT}${NC}"
             echo -e "${YELLOW}Or via host: http://localhost:${PORT}${NC}"
+            local proxy_url
+            if proxy_url=$(/app/proxy-manager.sh url "$NAME" 2>/dev/null); then
+                echo -e "${YELLOW}Or by hostname: ${proxy_url}${NC}"
+            fi
         fi
     else
         echo -e "${YELLOW}Status: Stopped${NC}"
@@ -636,7 +972,7 @@ show_info() {
 case "${1:-}" in
     create)
         [ -z "$2" ] && usage
-        create_instance "$2" "${3:-80}" "${4:-83}" "${5:-nginx}"
+        create_instance "$2" "${3:-80}" "${4:-83}" "${5:-nginx}" "${6:-}"
         ;;
     start)
         [ -z "$2" ] && usage
@@ -646,12 +982,24 @@ case "${1:-}" in
         [ -z "$2" ] && usage
         stop_instance "$2"
         ;;
+    set-stack)
+        [ -z "$5" ] && usage
+        set_instance_stack "$2" "$3" "$4" "$5" "${6:-}"
+        ;;
+    set-https)
+        [ -z "$3" ] && usage
+        set_instance_https "$2" "$3"
+        ;;
     remove)
         [ -z "$2" ] && usage
-        remove_instance "$2"
+        remove_instance "$2" "${3:-}"
         ;;
     list)
-        list_instances
+        if [ "${2:-}" = "--json" ]; then
+            list_instances_json
+        else
+            list_instances
+        fi
         ;;
     info)
         [ -z "$2" ] && usage
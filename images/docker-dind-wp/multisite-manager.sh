@@ -0,0 +1,204 @@
+#!/bin/bash
+set -e
+
+# WordPress multisite rewrite rules. "wp core multisite-install" only writes wp-config.php; the
+# web server also has to map /<site>/wp-admin, wp-includes, wp-content and PHP files of
+# sub-sites to the main install (subdirectory networks) and add the trailing slash to wp-admin.
+# The rules go into the site's nginx/apache config (apache in the workspace, which has no site
+# config of its own, reads them from .htaccess) between markers, so they can be replaced.
+
+BEGIN_MARKER="# BEGIN wp-dind multisite"
+END_MARKER="# END wp-dind multisite"
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# Function to print the nginx rules of a network (server level)
+nginx_rules() {
+    local mode=$1
+
+    # Redirects stay relative, nginx only knows its container port
+    echo "absolute_redirect off;"
+    if [ "$mode" = "subdirectory" ]; then
+        cat << 'EOF'
+if (!-e $request_filename) {
+    rewrite /wp-admin$ $uri/ permanent;
+    rewrite ^(/[^/]+)?(/wp-.*) $2 last;
+    rewrite ^(/[^/]+)?(/.*\.php) $2 last;
+}
+EOF
+    else
+        echo 'rewrite /wp-admin$ $uri/ permanent;'
+    fi
+}
+
+# Function to print the apache rules of a network (directory context, as in .htaccess)
+apache_rules() {
+    local mode=$1
+
+    echo "<IfModule mod_rewrite.c>"
+    echo "    RewriteEngine On"
+    echo "    RewriteBase /"
+    echo '    RewriteRule ^index\.php$ - [L]'
+    if [ "$mode" = "subdirectory" ]; then
+        cat << 'EOF'
+    RewriteRule ^([_0-9a-zA-Z-]+/)?wp-admin$ $1wp-admin/ [R=301,L]
+    RewriteCond %{REQUEST_FILENAME} -f [OR]
+    RewriteCond %{REQUEST_FILENAME} -d
+    RewriteRule ^ - [L]
+    RewriteRule ^([_0-9a-zA-Z-]+/)?(wp-(content|admin|includes).*) $2 [L]
+    RewriteRule ^([_0-9a-zA-Z-]+/)?(.*\.php)$ $2 [L]
+EOF
+    else
+        cat << 'EOF'
+    RewriteRule ^wp-admin$ wp-admin/ [R=301,L]
+    RewriteCond %{REQUEST_FILENAME} -f [OR]
+    RewriteCond %{REQUEST_FILENAME} -d
+    RewriteRule ^ - [L]
+    RewriteRule ^(wp-(content|admin|includes).*) $1 [L]
+    RewriteRule ^(.*\.php)$ $1 [L]
+EOF
+    fi
+    echo "    RewriteRule . index.php [L]"
+    echo "</IfModule>"
+}
+
+# Function to print the marked rules block for a web server, indented
+rules_block() {
+    local webserver=$1
+    local mode=$2
+    local indent=$3
+
+    {
+        echo "${BEGIN_MARKER} (${mode})"
+        if [ "$webserver" = "nginx" ]; then
+            nginx_rules "$mode"
+        else
+            apache_rules "$mode"
+        fi
+        echo "$END_MARKER"
+    } | sed "s/^/${indent}/"
+}
+
+# Function to print a file without the marked block (and the blank line written after it)
+strip_block() {
+    local file=$1
+
+    awk -v begin="$BEGIN_MARKER" -v end="$END_MARKER" '
+        after && $0 == "" { after = 0; next }
+        { after = 0 }
+        index($0, begin) { skip = 1 }
+        !skip { print }
+        index($0, end) { skip = 0; after = 1 }' "$file"
+}
+
+check_mode() {
+    local mode=$1
+
+    if [ -n "$mode" ] && [ "$mode" != "subdirectory" ] && [ "$mode" != "subdomain" ]; then
+        echo -e "${RED}Error: Invalid multisite mode '${mode}'. Must be 'subdirectory' or 'subdomain'${NC}"
+        exit 1
+    fi
+}
+
+# Function to write the rules into a site's nginx/apache config, ahead of its
+# "# WordPress permalinks" rules. An empty mode removes them (single site).
+apply_config() {
+    local conf=$1
+    local webserver=$2
+    local mode=$3
+
+    check_mode "$mode"
+    if [ ! -f "$conf" ]; then
+        echo -e "${RED}Error: ${conf} not found${NC}"
+        exit 1
+    fi
+
+    local temp_file=$(mktemp)
+    strip_block "$conf" > "$temp_file"
+
+    if [ -n "$mode" ]; then
+        if ! grep -q '# WordPress permalinks' "$temp_file"; then
+            rm -f "$temp_file"
+            echo -e "${YELLOW}Warning: No '# WordPress permalinks' section in ${conf}; add these rules yourself:${NC}"
+            rules_block "$webserver" "$mode" ""
+            return 0
+        fi
+
+        # nginx rules sit in the server block, apache rules in <Directory>
+        local indent="    "
+        [ "$webserver" = "apache" ] && indent="        "
+        local block=$(rules_block "$webserver" "$mode" "$indent")
+        BLOCK="$block" awk '!done && /# WordPress permalinks/ { print ENVIRON["BLOCK"]; print ""; done = 1 } { print }' "$temp_file" > "${temp_file}.new"
+        mv "${temp_file}.new" "$temp_file"
+    fi
+
+    # Written in place, so bind mounts of the file see the change
+    cat "$temp_file" > "$conf"
+    rm -f "$temp_file"
+}
+
+# Function to write the rules into .htaccess of a WordPress directory (apache without a site config)
+apply_htaccess() {
+    local wordpress_dir=$1
+    local mode=$2
+    local htaccess="${wordpress_dir}/.htaccess"
+
+    check_mode "$mode"
+    local temp_file=$(mktemp)
+    if [ -f "$htaccess" ]; then
+        strip_block "$htaccess" > "$temp_file"
+    fi
+    if [ -n "$mode" ]; then
+        # Ahead of WordPress' own "# BEGIN WordPress" single-site rules
+        { rules_block apache "$mode" ""; echo ""; cat "$temp_file"; } > "${temp_file}.new"
+        mv "${temp_file}.new" "$temp_file"
+    fi
+
+    if [ -s "$temp_file" ] || [ -f "$htaccess" ]; then
+        cat "$temp_file" > "$htaccess"
+    fi
+    rm -f "$temp_file"
+}
+
+usage() {
+    cat << EOF
+WordPress Multisite Rewrite Rules Manager
+
+Usage: $0 <command> [options]
+
+Commands:
+    rules <nginx|apache> <subdirectory|subdomain>
+                                     Print the rewrite rules of a network
+    apply <conf> <nginx|apache> [subdirectory|subdomain]
+                                     Write the rules into a site's web server config
+                                     (without a mode: remove them)
+    htaccess <wordpress_dir> [subdirectory|subdomain]
+                                     Write the apache rules into <wordpress_dir>/.htaccess
+                                     (without a mode: remove them)
+
+EOF
+    exit 1
+}
+
+case "${1:-}" in
+    rules)
+        [ -z "${3:-}" ] && usage
+        check_mode "$3"
+        rules_block "$2" "$3" ""
+        ;;
+    apply)
+        [ -z "${3:-}" ] && usage
+        apply_config "$2" "$3" "${4:-}"
+        ;;
+    htaccess)
+        [ -z "${2:-}" ] && usage
+        apply_htaccess "$2" "${3:-}"
+        ;;
+    *)
+        usage
+        ;;
+esac
@@ -0,0 +1,251 @@
+#!/bin/bash
+set -e
+
+# Hostname routing through the DinD nginx: <instance>.<workspace>.localhost (multi-instance)
+# or <workspace>.localhost (workspace mode) is proxied to the port the site's web server
+# publishes inside DinD. Hostnames must match siteHostname() in cli-tool/lib/hosts.js.
+
+INSTANCES_DIR="/wordpress-instances"
+WORKSPACE_CONFIG="/wordpress-instances/.workspace-config.json"
+PROXY_CONFIG_FILE="/etc/nginx/http.d/wp-dind-proxy.conf"
+PROXY_PORT="${PROXY_PORT:-80}"
+PROXY_HTTPS_PORT="${PROXY_HTTPS_PORT:-443}"
+WORKSPACE_CERT_DIR="/wordpress-instances/.certs/workspace"
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# Function to check whether the proxy is enabled (stack.services.proxy, opt-in)
+proxy_enabled() {
+    if [ ! -f "$WORKSPACE_CONFIG" ]; then
+        echo "false"
+        return
+    fi
+
+    local enabled=$(jq -r 'if .stack.services.proxy == true then "true" else "false" end' "$WORKSPACE_CONFIG" 2>/dev/null)
+    echo "${enabled:-false}"
+}
+
+# Function to check whether the proxy port is forwarded to the host's 127.0.0.1 ("wp-dind forward"),
+# where browsers send *.localhost without a hosts entry
+proxy_on_loopback() {
+    if [ "$(proxy_enabled)" != "true" ]; then
+        echo "false"
+        return
+    fi
+
+    local key="proxy" port="${PROXY_PORT:-80}"
+    if /app/https-manager.sh enabled; then
+        key="proxyHttps"
+        port="${PROXY_HTTPS_PORT:-443}"
+    fi
+
+    local forwarded=$(jq -r --arg key "$key" --argjson port "$port" \
+        'if any(.forwards[]?; .service == $key and .local == $port) then "true" else "false" end' "$WORKSPACE_CONFIG" 2>/dev/null)
+    echo "${forwarded:-false}"
+}
+
+# Function to turn a name into a hostname label (lowercase, underscores become hyphens)
+hostname_label() {
+    echo "$1" | tr 'A-Z_' 'a-z-'
+}
+
+# Function to get the workspace name (the DinD container is wp-dind-<workspace>)
+workspace_name() {
+    local name=""
+    if [ -f "$WORKSPACE_CONFIG" ]; then
+        name=$(jq -r '.workspaceName // empty' "$WORKSPACE_CONFIG" 2>/dev/null)
+    fi
+    echo "${name:-wp-dind}"
+}
+
+# Function to print the hostname of an instance, or of the workspace site without one
+site_hostname() {
+    local instance=$1
+    local workspace=$(hostname_label "$(workspace_name)")
+
+    if [ -n "$instance" ]; then
+        echo "$(hostname_label "$instance").${workspace}.localhost"
+    else
+        echo "${workspace}.localhost"
+    fi
+}
+
+# Function to print the URL of a site through the proxy (https with HTTPS on)
+site_url() {
+    local url="http://$(site_hostname "$1")"
+    if /app/https-manager.sh enabled; then
+        url="https://$(site_hostname "$1")"
+        if [ "$PROXY_HTTPS_PORT" != "443" ]; then
+            url+=":${PROXY_HTTPS_PORT}"
+        fi
+    elif [ "$PROXY_PORT" != "80" ]; then
+        url+=":${PROXY_PORT}"
+    fi
+    echo "$url"
+}
+
+# Function to print the nginx server block routing a hostname to a local port. With an HTTPS
+# port and certificate directory (see https-manager.sh), the block serves TLS with the site's
+# certificate and forwards to the site's HTTPS port, so WordPress sees HTTPS itself.
+# Subdomains of the hostname (sub-sites of a subdomain multisite network) go to the same site.
+server_block() {
+    local hostname=$1
+    local port=$2
+    local https_port=${3:-}
+    local cert_dir=${4:-}
+
+    local listen="listen ${PROXY_PORT};"
+    local upstream="http://127.0.0.1:${port}"
+    if [ -n "$https_port" ]; then
+        listen="listen ${PROXY_HTTPS_PORT} ssl;
+    ssl_certificate ${cert_dir}/server.crt;
+    ssl_certificate_key ${cert_dir}/server.key;"
+        upstream="https://127.0.0.1:${https_port}"
+    fi
+
+    cat << EOF
+
+server {
+    ${listen}
+    server_name ${hostname} *.${hostname};
+    client_max_body_size 256M;
+
+    location / {
+        proxy_pass ${upstream};
+        proxy_set_header Host \$http_host;
+        proxy_set_header X-Real-IP \$remote_addr;
+        proxy_set_header X-Forwarded-For \$proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto \$scheme;
+        proxy_read_timeout 300s;
+    }
+}
+EOF
+}
+
+# Function to test the nginx config and reload nginx if it is running
+reload_nginx() {
+    if ! nginx -t -q 2>/dev/null; then
+        echo -e "${RED}Error: Invalid nginx configuration, the proxy was not reloaded${NC}"
+        nginx -t || true
+        return 1
+    fi
+
+    if [ -s /run/nginx/nginx.pid ]; then
+        nginx -s reload
+    fi
+}
+
+# Function to print the HTTPS server block of a site, if HTTPS is on and it has a certificate
+tls_server_block() {
+    local hostname=$1
+    local https_port=$2
+    local cert_dir=$3
+
+    if [ -n "$https_port" ] && [ -f "${cert_dir}/server.crt" ] && /app/https-manager.sh enabled; then
+        server_block "$hostname" "" "$https_port" "$cert_dir"
+    fi
+}
+
+# Function to (re)write the proxy config for the workspace site or all instances
+generate_config() {
+    if [ "$(proxy_enabled)" != "true" ]; then
+        rm -f "$PROXY_CONFIG_FILE"
+        reload_nginx
+        return
+    fi
+
+    local temp_file=$(mktemp)
+    {
+        echo "# Generated by /app/proxy-manager.sh, rewritten on instance create/remove"
+        echo ""
+        echo "server {"
+        echo "    listen ${PROXY_PORT} default_server;"
+        echo "    server_name _;"
+        echo "    return 404 \"No wp-dind site is served at \$host\\n\";"
+        echo "}"
+
+        if [ "${WORKSPACE_TYPE:-multi-instance}" = "workspace" ]; then
+            server_block "$(site_hostname)" "${WORDPRESS_PORT:-8000}"
+            tls_server_block "$(site_hostname)" "${WORDPRESS_HTTPS_PORT:-8443}" "$WORKSPACE_CERT_DIR"
+        else
+            for info_file in "$INSTANCES_DIR"/*/.instance-info; do
+                if [ -f "$info_file" ]; then
+                    local name=$(grep '^NAME=' "$info_file" | cut -d= -f2)
+                    local port=$(grep '^PORT=' "$info_file" | cut -d= -f2)
+                    local https_port=$(grep '^HTTPS_PORT=' "$info_file" | cut -d= -f2)
+                    if [ -n "$name" ] && [ -n "$port" ]; then
+                        server_block "$(site_hostname "$name")" "$port"
+                        tls_server_block "$(site_hostname "$name")" "$https_port" "$(dirname "$info_file")/config/ssl"
+                    fi
+                fi
+            done
+        fi
+    } > "$temp_file"
+
+    mv "$temp_file" "$PROXY_CONFIG_FILE"
+    chmod 644 "$PROXY_CONFIG_FILE"
+    reload_nginx
+}
+
+# Function to list the routed hostnames as "<hostname> <port>"
+list_routes() {
+    if [ "${WORKSPACE_TYPE:-multi-instance}" = "workspace" ]; then
+        echo "$(site_hostname) ${WORDPRESS_PORT:-8000}"
+        return
+    fi
+
+    for info_file in "$INSTANCES_DIR"/*/.instance-info; do
+        if [ -f "$info_file" ]; then
+            local name=$(grep '^NAME=' "$info_file" | cut -d= -f2)
+            local port=$(grep '^PORT=' "$info_file" | cut -d= -f2)
+            echo "$(site_hostname "$name") ${port:-none}"
+        fi
+    done
+}
+
+usage() {
+    cat << EOF
+WordPress Hostname Proxy Manager
+
+Usage: $0 <command> [instance]
+
+Commands:
+    generate         Rewrite the proxy config and reload nginx
+    list             List the routed hostnames and their ports
+    hostname [name]  Print the hostname of an instance (workspace site without a name)
+    url [name]       Print the proxy URL of an instance (workspace site without a name)
+    loopback         Exit 0 when the proxy port is forwarded to the host's 127.0.0.1
+
+EOF
+    exit 1
+}
+
+case "${1:-}" in
+    generate)
+        generate_config
+        echo -e "${GREEN}Proxy config written to ${PROXY_CONFIG_FILE}${NC}"
+        ;;
+    list)
+        list_routes
+        ;;
+    hostname)
+        site_hostname "${2:-}"
+        ;;
+    url)
+        if [ "$(proxy_enabled)" != "true" ]; then
+            echo -e "${YELLOW}The hostname proxy is disabled in this workspace${NC}" >&2
+            exit 1
+        fi
+        site_url "${2:-}"
+        ;;
+    loopback)
+        [ "$(proxy_on_loopback)" = "true" ]
+        ;;
+    *)
+        usage
+        ;;
+esac
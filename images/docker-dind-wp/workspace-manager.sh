@@ -5,6 +5,7 @@ WORKSPACE_CONFIG="/wordpress-instances/.workspace-config.json"
 WORKSPACE_DIR="/var/www/html"
 COMPOSE_FILE="/tmp/workspace-compose.yml"
 NGINX_CONFIG_FILE="/tmp/workspace-nginx.conf"
+CERT_DIR="/wordpress-instances/.certs/workspace"
 NETWORK_NAME="wp-shared"
 
 # Colors for output
@@ -34,6 +35,9 @@ get_workspace_stack() {
     PHP_VERSION=$(jq -r '.workspaceStack.phpVersion // "8.3"' "$WORKSPACE_CONFIG")
     MYSQL_VERSION=$(jq -r '.workspaceStack.mysqlVersion // "8.0"' "$WORKSPACE_CONFIG")
     
+    # Multisite network mode saved by "wp-dind install-wordpress --multisite" (empty for a single site)
+    MULTISITE=$(jq -r '.multisite // empty' "$WORKSPACE_CONFIG")
+
     # Convert version to short format
     PHP_SHORT=$(echo "$PHP_VERSION" | tr -d '.')
     MYSQL_SHORT=$(echo "$MYSQL_VERSION" | tr -d '.')
@@ -79,6 +83,9 @@ server {
     listen 80;
     server_name _;
 
+    # HTTPS: listen 443 + certificate, present when HTTPS is on (see https-manager.sh)
+    include /etc/nginx/ssl/*.conf;
+
     root /var/www/html;
     index index.php index.html index.htm;
 
@@ -140,6 +147,32 @@ server {
     }
 }
 NGINX_EOF
+
+    if [ -n "${MULTISITE:-}" ]; then
+        /app/multisite-manager.sh apply "$NGINX_CONFIG_FILE" nginx "$MULTISITE"
+    fi
+}
+
+# Function to write the multisite rewrite rules of the workspace site (after install-wordpress)
+apply_multisite() {
+    if ! is_workspace_mode; then
+        echo -e "${RED}Error: Not in workspace mode${NC}"
+        return 1
+    fi
+
+    get_workspace_stack
+
+    if [ "$WEBSERVER" = "nginx" ]; then
+        create_nginx_config
+        if docker ps --format '{{.Names}}' | grep -q "^workspace-nginx$"; then
+            docker exec workspace-nginx nginx -s reload >/dev/null
+        fi
+    else
+        # The workspace apache has no site config of its own, the rules go into .htaccess
+        /app/multisite-manager.sh htaccess "$WORKSPACE_DIR" "$MULTISITE"
+    fi
+
+    echo -e "${GREEN}Multisite rewrite rules: ${MULTISITE:-none (single site)}${NC}"
 }
 
 # Function to generate docker-compose for workspace
@@ -157,6 +190,20 @@ generate_workspace_compose() {
         create_nginx_config
     fi
     
+    # With HTTPS, the web server also publishes 443 and mounts the site certificate
+    local https_ports=""
+    local https_volumes=""
+    if /app/https-manager.sh enabled; then
+        /app/https-manager.sh ensure "$CERT_DIR" workspace-php "$(/app/proxy-manager.sh hostname)"
+        https_ports=$'\n'"      - \"${WORDPRESS_HTTPS_PORT:-8443}:443\""
+        if [ "$WEBSERVER" = "nginx" ]; then
+            https_volumes=$'\n'"      - ${CERT_DIR}:/etc/nginx/ssl:ro"
+        else
+            https_volumes=$'\n'"      - ${CERT_DIR}:/etc/apache/ssl:ro"
+            https_volumes+=$'\n'"      - ${CERT_DIR}/apache-ssl.vhost:/usr/local/apache2/conf/sites-enabled/wp-dind-ssl.conf:ro"
+        fi
+    fi
+
     # Generate webserver config based on type
     local webserver_config=""
     if [ "$WEBSERVER" = "nginx" ]; then
@@ -164,10 +211,10 @@ generate_workspace_compose() {
     image: airoman/wp-dind:nginx-${webserver_image_version}
     container_name: workspace-nginx
     ports:
-      - \"8000:80\"
+      - \"${WORDPRESS_PORT:-8000}:80\"${https_ports}
     volumes:
       - ${WORKSPACE_DIR}:/var/www/html
-      - ${NGINX_CONFIG_FILE}:/etc/nginx/conf.d/default.conf:ro
+      - ${NGINX_CONFIG_FILE}:/etc/nginx/conf.d/default.conf:ro${https_volumes}
     networks:
       - ${NETWORK_NAME}
     depends_on:
@@ -178,9 +225,9 @@ generate_workspace_compose() {
     image: airoman/wp-dind:apache-${webserver_image_version}
     container_name: workspace-apache
     ports:
-      - \"8000:80\"
+      - \"${WORDPRESS_PORT:-8000}:80\"${https_ports}
     volumes:
-      - ${WORKSPACE_DIR}:/var/www/html
+      - ${WORKSPACE_DIR}:/var/www/html${https_volumes}
     environment:
       - PHP_FPM_HOST=workspace-php
       - PHP_FPM_PORT=9000
@@ -193,14 +240,12 @@ generate_workspace_compose() {
     
     # Generate docker-compose.yml
     cat > "$COMPOSE_FILE" <<EOF
-version: '3.8'
-
 services:
   workspace-mysql:
     image: airoman/wp-dind:mysql-${mysql_image_version}
     container_name: workspace-mysql
     ports:
-      - "3306:3306"
+      - "${MYSQL_PORT:-3306}:3306"
     environment:
       MYSQL_ROOT_PASSWORD: rootpassword
       MYSQL_DATABASE: wordpress
@@ -278,8 +323,44 @@ start_workspace() {
         fi
     done
     
+    # The workspace certificate may only exist now, so the proxy can add its HTTPS route
+    /app/proxy-manager.sh generate >/dev/null || echo -e "${YELLOW}Warning: Could not update the hostname proxy${NC}"
+
     echo -e "${GREEN}Workspace started successfully!${NC}"
-    echo -e "${YELLOW}Access WordPress at: http://<dind-ip>:80${NC}"
+    echo -e "${YELLOW}Access WordPress at: http://<dind-ip>:${WORDPRESS_PORT:-8000}${NC}"
+    if /app/https-manager.sh enabled; then
+        echo -e "${YELLOW}HTTPS: https://<dind-ip>:${WORDPRESS_HTTPS_PORT:-8443}${NC}"
+    fi
+}
+
+# Function to recreate workspace containers after the stack in the workspace config changed
+# (only the given services; the old web server is removed as an orphan). --reset-mysql-data
+# also drops the MySQL data volume, which a MySQL version change needs.
+recreate_workspace() {
+    local reset_mysql=false
+    if [ "${1:-}" = "--reset-mysql-data" ]; then
+        reset_mysql=true
+        shift
+    fi
+
+    if ! is_workspace_mode; then
+        echo -e "${RED}Error: Not in workspace mode${NC}"
+        return 1
+    fi
+
+    if [ "$reset_mysql" = true ]; then
+        local volume=$(docker inspect --format '{{range .Mounts}}{{if eq .Destination "/var/lib/mysql"}}{{.Name}}{{end}}{{end}}' workspace-mysql 2>/dev/null || true)
+        echo -e "${YELLOW}Removing MySQL container and data volume...${NC}"
+        docker rm -f workspace-mysql >/dev/null 2>&1 || true
+        if [ -n "$volume" ]; then
+            docker volume rm "$volume" >/dev/null
+        fi
+    fi
+
+    generate_workspace_compose
+
+    echo -e "${GREEN}Recreating: $*${NC}"
+    docker-compose -f "$COMPOSE_FILE" up -d --no-deps --force-recreate --remove-orphans "$@"
 }
 
 # Function to stop workspace
@@ -325,8 +406,19 @@ case "${1:-}" in
     status)
         status_workspace
         ;;
+    generate)
+        generate_workspace_compose
+        ;;
+    recreate)
+        shift
+        [ $# -eq 0 ] && { echo "Usage: $0 recreate [--reset-mysql-data] <service>..."; exit 1; }
+        recreate_workspace "$@"
+        ;;
+    apply-multisite)
+        apply_multisite
+        ;;
     *)
-        echo "Usage: $0 {start|stop|status}"
+        echo "Usage: $0 {start|stop|status|generate|recreate|apply-multisite}"
         exit 1
         ;;
 esac